@@ -0,0 +1,213 @@
+/**
+ * CallFlowView - Renders the steps of a call flow and dispatches the answers
+ *
+ * Every visited step is shown as a block, top to bottom; answered steps are
+ * locked with their answer highlighted and the current step takes the next
+ * answer. What a node shows and where an answer leads both come from the
+ * flow config (store/flowConfig.js), so new call scripts need no code.
+ * Buttons and options with a `when` condition are only shown while it holds
+ * for the values collected before their step. Going back is done from the
+ * breadcrumb (components/FlowBreadcrumb.js).
+ *
+ * @example
+ * new CallFlowView(store, { config, container: document.getElementById('question-area') }).mount();
+ */
+
+import {
+  getFlowNode,
+  getFlowLabel,
+  getSelectOptions,
+  isChoiceShown,
+  resolveAnswer,
+} from '../store/flowConfig.js';
+import { answerStep } from '../store/flowActions.js';
+import { getFlowSteps, collectStepValues } from '../store/selectors/flowSelectors.js';
+import { formatText } from '../store/textCatalog.js';
+
+class CallFlowView {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} options.config - Flow config
+   * @param {HTMLElement} options.container - Element the steps are rendered into
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.config = options.config;
+    this.container = options.container;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Render the steps and re-render when they change
+   * @returns {CallFlowView} this
+   */
+  mount() {
+    this.render(this.store.getState());
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState), getFlowSteps);
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Render every visited step
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const steps = getFlowSteps(state);
+    this.container.innerHTML = '';
+    steps.forEach((step, index) => {
+      // 文中の {key} はその手順より前の回答で置き換える
+      const values = collectStepValues(steps.slice(0, index));
+      this.container.appendChild(this._createStepBlock(step, values));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createStepBlock(step, values) {
+    const node = getFlowNode(this.config, step.nodeId);
+    const block = document.createElement('div');
+    block.className = 'message-block';
+    block.dataset.nodeId = step.nodeId;
+    block.style.marginBottom = '12px';
+
+    if (!node) {
+      const error = document.createElement('p');
+      error.className = 'error';
+      error.textContent = `ノード「${step.nodeId}」が設定にありません`;
+      block.appendChild(error);
+      return block;
+    }
+
+    if (node.text) {
+      const text = document.createElement('p');
+      text.textContent = formatText(node.text, values);
+      block.appendChild(text);
+    }
+
+    const answer = (choice) => {
+      this.store.dispatch(answerStep(step.nodeId, resolveAnswer(this.config, node, choice, values)));
+    };
+
+    switch (node.type) {
+      case 'question':
+        this._appendButtons(block, node, step, values, answer);
+        break;
+      case 'select':
+        this._appendSelect(block, node, step, values, answer);
+        break;
+      case 'input':
+        this._appendInput(block, node, step, answer);
+        break;
+      default:
+        // 次がなければフローの終わり
+        if (node.next) {
+          const next = this._createButton(getFlowLabel(this.config, 'next'));
+          next.disabled = Boolean(step.answer);
+          next.addEventListener('click', () => answer());
+          block.appendChild(next);
+        }
+    }
+
+    return block;
+  }
+
+  /**
+   * @private
+   */
+  _appendButtons(block, node, step, values, answer) {
+    node.buttons.forEach((button, index) => {
+      // 条件（when）を満たさないボタンは出さない（回答には元の番号を使う）
+      if (!isChoiceShown(button, values)) return;
+      const element = this._createButton(button.label);
+      element.disabled = Boolean(step.answer);
+      if (step.answer && step.answer.label === button.label) {
+        element.classList.add('selected');
+        element.setAttribute('aria-pressed', 'true');
+      }
+      element.addEventListener('click', () => answer(index));
+      block.appendChild(element);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _appendSelect(block, node, step, values, answer) {
+    const select = document.createElement('select');
+    select.style.display = 'block';
+    select.style.margin = '8px 0';
+    select.disabled = Boolean(step.answer);
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = node.placeholder ?? getFlowLabel(this.config, 'placeholder');
+    select.appendChild(placeholder);
+
+    getSelectOptions(node).forEach((option, index) => {
+      if (!isChoiceShown(option, values)) return;
+      const element = document.createElement('option');
+      element.value = String(index);
+      element.textContent = option.label;
+      element.selected = Boolean(step.answer) && step.answer.label === option.label;
+      select.appendChild(element);
+    });
+
+    select.addEventListener('change', () => {
+      if (select.value !== '') answer(Number(select.value));
+    });
+    block.appendChild(select);
+  }
+
+  /**
+   * @private
+   */
+  _appendInput(block, node, step, answer) {
+    const form = document.createElement('form');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = node.placeholder || '';
+    input.value = step.answer ? step.answer.label : '';
+    input.disabled = Boolean(step.answer);
+    input.style.display = 'block';
+    input.style.margin = '8px 0';
+
+    const submit = this._createButton(getFlowLabel(this.config, 'next'));
+    submit.type = 'submit';
+    submit.disabled = Boolean(step.answer);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const value = input.value.trim();
+      if (value) answer(value);
+    });
+
+    form.appendChild(input);
+    form.appendChild(submit);
+    block.appendChild(form);
+  }
+
+  /**
+   * @private
+   */
+  _createButton(label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button';
+    button.textContent = label;
+    return button;
+  }
+}
+
+export default CallFlowView;
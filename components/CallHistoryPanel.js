@@ -0,0 +1,225 @@
+/**
+ * CallHistoryPanel - Side panel listing copied result texts
+ *
+ * Records every copy of the result areas (auto copy after a shortcut, right
+ * click, copy icon, copy button) and lets the operator search the log, copy an
+ * entry again or restore the form state it was created from.
+ *
+ * Expects the offcanvas markup in templates/index.html (#callHistoryPanel).
+ *
+ * @example
+ * new CallHistoryPanel(store, { shortcuts: CONFIG.shortcuts }).mount();
+ */
+
+import {
+  loadCallHistory,
+  saveCallHistory,
+  createCallHistoryEntry,
+  addCallHistoryEntry,
+  removeCallHistoryEntry,
+  searchCallHistory,
+} from '../store/callHistory.js';
+import { restoreCallHistory } from '../store/actions.js';
+import { formatDateTime } from '../store/outputFormats.js';
+
+// 履歴の日時の表示形式
+const TIMESTAMP_FORMAT = 'YYYY/MM/DD HH:mm';
+
+// コピー元の表示名
+const SOURCE_LABELS = {
+  'shortcut-button': 'ショートカット',
+  'right-click': '右クリック',
+  'icon-click': 'アイコン',
+  'copy-button': 'コピーボタン',
+};
+
+class CallHistoryPanel {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Array<Object>} [options.shortcuts] - Shortcut presets (for labels)
+   * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+   * @param {Document|HTMLElement} [options.root] - Element that contains the panel
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.shortcuts = options.shortcuts || [];
+    this.storage = options.storage || window.localStorage;
+    this.root = options.root || document;
+
+    this.entries = loadCallHistory(this.storage);
+    this.query = '';
+
+    this.list = this.root.querySelector('#call-history-list');
+    this.searchInput = this.root.querySelector('#call-history-search');
+    this.clearButton = this.root.querySelector('#call-history-clear-btn');
+  }
+
+  /**
+   * Start recording copies and render the list
+   * @returns {CallHistoryPanel} this
+   */
+  mount() {
+    if (!this.list) {
+      console.error('CallHistoryPanel: #call-history-list not found');
+      return this;
+    }
+
+    document.addEventListener('copyhandler:copied', (e) => {
+      // 結果表示エリア（outputs）のコピーだけを記録
+      const { outputId } = e.target.dataset;
+      if (!outputId) return;
+      this.record({ ...e.detail, outputId });
+    });
+
+    if (this.searchInput) {
+      this.searchInput.addEventListener('input', () => {
+        this.query = this.searchInput.value;
+        this.render();
+      });
+    }
+
+    if (this.clearButton) {
+      this.clearButton.addEventListener('click', () => {
+        if (!window.confirm('コピー履歴をすべて削除しますか？')) return;
+        this._update([]);
+      });
+    }
+
+    this.list.addEventListener('click', (e) => this._handleListClick(e));
+
+    this.render();
+    return this;
+  }
+
+  /**
+   * Add a copied text to the history
+   * @param {Object} copy - copyhandler:copied event detail ({ text, source, shortcutId, timestamp }) and outputId
+   */
+  record(copy) {
+    const entry = createCallHistoryEntry(this.store.getState(), copy);
+    this._update(addCallHistoryEntry(this.entries, entry));
+  }
+
+  /**
+   * Render the (filtered) history list
+   */
+  render() {
+    const entries = searchCallHistory(this.entries, this.query, (id) =>
+      this._getShortcutLabel(id)
+    );
+
+    this.list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'text-sm text-muted-foreground';
+      empty.textContent = this.entries.length === 0 ? '履歴はありません' : '該当する履歴はありません';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach((entry) => this.list.appendChild(this._renderEntry(entry)));
+  }
+
+  /**
+   * @private
+   */
+  _renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'call-history-entry';
+    item.dataset.id = entry.id;
+
+    const meta = document.createElement('div');
+    meta.className = 'text-sm text-muted-foreground';
+    meta.textContent = [
+      formatDateTime(entry.timestamp, TIMESTAMP_FORMAT),
+      entry.operatorName || '(名前なし)',
+      entry.shortcutId
+        ? this._getShortcutLabel(entry.shortcutId)
+        : SOURCE_LABELS[entry.source] || '',
+    ].filter(Boolean).join(' / ');
+
+    const text = document.createElement('pre');
+    text.className = 'call-history-text';
+    text.textContent = entry.text;
+
+    const actions = document.createElement('div');
+    actions.className = 'call-history-actions';
+    actions.appendChild(this._createButton('copy', 'コピー', 'btn-outline-primary'));
+    actions.appendChild(this._createButton('restore', '復元', 'btn-outline-secondary'));
+    actions.appendChild(this._createButton('delete', '削除', 'btn-outline-danger'));
+
+    item.appendChild(meta);
+    item.appendChild(text);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _createButton(action, label, variant) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-sm ${variant}`;
+    button.dataset.action = action;
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * @private
+   */
+  _handleListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const item = button.closest('.call-history-entry');
+    const entry = this.entries.find((h) => h.id === item.dataset.id);
+    if (!entry) return;
+
+    switch (button.dataset.action) {
+      case 'copy':
+        this._copy(item.querySelector('.call-history-text'), entry.text);
+        break;
+      case 'restore':
+        this.store.dispatch(restoreCallHistory(entry.id, entry.snapshot));
+        break;
+      case 'delete':
+        this._update(removeCallHistoryEntry(this.entries, entry.id));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Copy text (the history element is not a result area, so it is not re-recorded)
+   * @private
+   */
+  _copy(element, text) {
+    const copyHandler = window.CopyHandler && window.CopyHandler.getInstance();
+    const copied = copyHandler ? copyHandler.copyWithFlash(element, text) : navigator.clipboard.writeText(text);
+    copied.catch((error) => console.error('Could not copy the history entry:', error));
+  }
+
+  /**
+   * @private
+   */
+  _update(entries) {
+    this.entries = entries;
+    saveCallHistory(entries, this.storage);
+    this.render();
+  }
+
+  /**
+   * @private
+   */
+  _getShortcutLabel(shortcutId) {
+    const shortcut = this.shortcuts.find((s) => s.id === shortcutId);
+    return shortcut ? shortcut.label : shortcutId;
+  }
+}
+
+export default CallHistoryPanel;
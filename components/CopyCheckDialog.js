@@ -0,0 +1,166 @@
+/**
+ * CopyCheckDialog - Checks the form before the result text is copied
+ *
+ * Runs CONFIG.copyChecks on every copy of the result areas. Failed checks are
+ * highlighted on their inputs; an "error" stops the copy and opens a dialog
+ * where the operator can fix the form or copy anyway, a "warning" only shows
+ * a notice under the results.
+ *
+ * Expects the modal markup in templates/index.html (#copyCheckModal) and the
+ * copyhandler:beforecopy event of lib/copy-handler.
+ *
+ * @example
+ * new CopyCheckDialog(store, { checks: CONFIG.copyChecks }).mount();
+ */
+
+import { runCopyChecks, hasBlockingFailure } from '../store/copyChecks.js';
+
+const FIELD_CLASSES = {
+  error: 'copy-check-error',
+  warning: 'copy-check-warning',
+};
+
+class CopyCheckDialog {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Array<Object>} [options.checks] - Check definitions (CONFIG.copyChecks)
+   * @param {Document|HTMLElement} [options.root] - Element that contains the form and modal
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.checks = options.checks || [];
+    this.root = options.root || document;
+
+    // 直前のチェックで失敗した項目（修正されたらハイライトを消す）
+    this.failures = [];
+    // 「このままコピー」で実行するコピー
+    this.pendingCopy = null;
+
+    this.modal = this.root.querySelector('#copyCheckModal');
+    this.list = this.root.querySelector('#copy-check-list');
+    this.copyAnywayButton = this.root.querySelector('#copy-check-copy-anyway');
+    this.notice = this.root.querySelector('#copy-check-notice');
+  }
+
+  /**
+   * Start checking copies
+   * @returns {CopyCheckDialog} this
+   */
+  mount() {
+    document.addEventListener('copyhandler:beforecopy', (e) => this._handleBeforeCopy(e));
+
+    // 修正された項目のハイライトを消す
+    this.store.subscribe((newState) => {
+      if (this.failures.length === 0) return;
+      this._update(runCopyChecks(this.checks, newState));
+    });
+
+    if (this.copyAnywayButton) {
+      this.copyAnywayButton.addEventListener('click', () => {
+        const copy = this.pendingCopy;
+        this.pendingCopy = null;
+        this._hideModal();
+        if (copy) copy();
+      });
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('hidden.bs.modal', () => {
+        // 「修正する」で閉じた時は最初の項目にフォーカス
+        if (this.pendingCopy) {
+          this.pendingCopy = null;
+          this._focusFirstField();
+        }
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _handleBeforeCopy(e) {
+    // 結果表示エリア（outputs）のコピーだけをチェック
+    if (!e.target.dataset.outputId) return;
+
+    const failures = runCopyChecks(this.checks, this.store.getState());
+    this._update(failures);
+
+    if (!hasBlockingFailure(failures)) return;
+
+    e.preventDefault();
+
+    const element = e.target;
+    const { text, options } = e.detail;
+    this.pendingCopy = () => {
+      window.CopyHandler.getInstance()
+        .copyWithFlash(element, text, { ...options, skipBeforeCopy: true })
+        .catch((error) => console.error('Could not copy the result text:', error));
+    };
+    this._showModal(failures);
+  }
+
+  /**
+   * Highlight failed fields and show the warnings
+   * @private
+   */
+  _update(failures) {
+    this.failures = failures;
+
+    Object.values(FIELD_CLASSES).forEach((className) => {
+      this.root.querySelectorAll(`.${className}`).forEach((el) => el.classList.remove(className));
+    });
+    failures.forEach((failure) => {
+      failure.fields.forEach((selector) => {
+        this.root.querySelectorAll(selector).forEach((el) => {
+          el.classList.add(FIELD_CLASSES[failure.level] || FIELD_CLASSES.warning);
+        });
+      });
+    });
+
+    if (this.notice) {
+      const warnings = failures.filter((failure) => failure.level !== 'error');
+      this.notice.textContent = warnings.map((w) => '⚠ ' + w.message).join('\n');
+      this.notice.style.display = warnings.length > 0 ? '' : 'none';
+    }
+  }
+
+  /**
+   * @private
+   */
+  _showModal(failures) {
+    if (!this.modal || !this.list) return;
+
+    this.list.innerHTML = '';
+    failures.forEach((failure) => {
+      const item = document.createElement('li');
+      item.className = failure.level === 'error' ? 'text-danger' : '';
+      item.textContent = failure.message;
+      this.list.appendChild(item);
+    });
+
+    window.bootstrap.Modal.getOrCreateInstance(this.modal).show();
+  }
+
+  /**
+   * @private
+   */
+  _hideModal() {
+    if (!this.modal) return;
+    window.bootstrap.Modal.getOrCreateInstance(this.modal).hide();
+  }
+
+  /**
+   * @private
+   */
+  _focusFirstField() {
+    const failure = this.failures.find((f) => f.fields.length > 0);
+    if (!failure) return;
+    const field = this.root.querySelector(failure.fields[0]);
+    if (field) field.focus();
+  }
+}
+
+export default CopyCheckDialog;
@@ -0,0 +1,138 @@
+/**
+ * FlowBreadcrumb - Breadcrumb of the visited call-flow steps with back / forward
+ *
+ * Each answered step is listed with its answer; clicking it goes back to that
+ * step so it can be answered again, which also takes back every later answer
+ * and the values they set. 「戻る」 takes back the last answer and 「進む」
+ * redoes the answers taken back, as long as the same answers are given.
+ *
+ * @example
+ * new FlowBreadcrumb(store, { config, container: document.getElementById('flow-breadcrumb') }).mount();
+ */
+
+import { getFlowNode, getFlowLabel, getNodeTitle } from '../store/flowConfig.js';
+import { backStep, forwardStep, jumpToStep } from '../store/flowActions.js';
+import { getCurrentStep, canGoBack, canGoForward } from '../store/selectors/flowSelectors.js';
+
+class FlowBreadcrumb {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} options.config - Flow config
+   * @param {HTMLElement} options.container - Element the breadcrumb is rendered into
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.config = options.config;
+    this.container = options.container;
+    this._backButton = null;
+    this._forwardButton = null;
+    this._list = null;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Build the breadcrumb, render the current steps and subscribe
+   * @returns {FlowBreadcrumb} this
+   */
+  mount() {
+    if (!this.container) return this;
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this._createNav());
+
+    this.render(this.store.getState());
+    // trail が変わると「進む」の可否も変わるため、flow スライス全体を購読する
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState), (state) => state.flow);
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Render the visited steps
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const { steps } = state.flow;
+    const current = getCurrentStep(state);
+
+    this._backButton.disabled = !canGoBack(state);
+    this._forwardButton.disabled = !canGoForward(state);
+
+    this._list.innerHTML = '';
+    steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'flow-crumb';
+
+      if (step === current) {
+        item.setAttribute('aria-current', 'step');
+        item.textContent = getNodeTitle(this.config, step.nodeId);
+      } else {
+        // 回答済みの手順はクリックでその手順からやり直す
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'flow-crumb-link';
+        link.textContent = this._crumbText(step);
+        link.title = `${getNodeTitle(this.config, step.nodeId)}からやり直す`;
+        link.addEventListener('click', () => this.store.dispatch(jumpToStep(index)));
+        item.appendChild(link);
+      }
+
+      this._list.appendChild(item);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _crumbText(step) {
+    const title = getNodeTitle(this.config, step.nodeId);
+    const node = getFlowNode(this.config, step.nodeId);
+    // info の回答（「次へ」）は出さない
+    return node && node.type !== 'info' ? `${title}: ${step.answer.label}` : title;
+  }
+
+  /**
+   * @private
+   */
+  _createNav() {
+    const nav = document.createElement('nav');
+    nav.className = 'flow-breadcrumb';
+    nav.setAttribute('aria-label', '手順');
+
+    this._backButton = this._createButton(getFlowLabel(this.config, 'back'), 'flow-back');
+    this._backButton.addEventListener('click', () => this.store.dispatch(backStep()));
+
+    this._forwardButton = this._createButton(getFlowLabel(this.config, 'forward'), 'flow-forward');
+    this._forwardButton.addEventListener('click', () => this.store.dispatch(forwardStep()));
+
+    this._list = document.createElement('ol');
+
+    nav.appendChild(this._backButton);
+    nav.appendChild(this._forwardButton);
+    nav.appendChild(this._list);
+    return nav;
+  }
+
+  /**
+   * @private
+   */
+  _createButton(label, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `button ${className}`;
+    button.textContent = label;
+    return button;
+  }
+}
+
+export default FlowBreadcrumb;
@@ -0,0 +1,651 @@
+/**
+ * FlowEditor - Edits a call-flow config in the browser
+ *
+ * Lists the nodes of the config and edits the selected one: its text, its
+ * buttons (with their kv values), its select options and where each answer
+ * leads. References are validated on every edit (validateFlowConfig) and the
+ * config is exported as both data/flow-config.json and data/flow-config.js.
+ *
+ * The config lives in a StateManager ({ config }) so edits can be undone.
+ * Fields are committed on change (when they lose focus), not on every key;
+ * the form is only rebuilt when its layout changes (rows added or removed,
+ * another node, undo), so editing a field keeps the focus where it is.
+ *
+ * Expects the markup in call-flow/editor.html and lib/file-drop/index.js (window.FileDrop).
+ *
+ * @example
+ * new FlowEditor(store).mount();
+ */
+
+import { FLOW_NODE_TYPES, getStartNodeId, validateFlowConfig } from '../store/flowConfig.js';
+import {
+  addFlowNode,
+  updateFlowNode,
+  renameFlowNode,
+  removeFlowNode,
+  changeFlowNodeType,
+  checkNodeId,
+  findNodeReferences,
+  parseKvValue,
+  formatKvValue,
+  parseFlowConfigJson,
+  toFlowConfigJson,
+  toFlowConfigJs,
+} from '../store/flowEditing.js';
+
+const TYPE_LABELS = {
+  question: 'question（ボタン）',
+  select: 'select（選択肢）',
+  input: 'input（入力）',
+  info: 'info（案内のみ）',
+};
+
+class FlowEditor {
+  /**
+   * @param {StateManager} store - The state manager instance ({ config })
+   * @param {Object} [options]
+   * @param {Document|HTMLElement} [options.root] - Element that contains the editor markup
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.root = options.root || document;
+    this.selectedId = null;
+    this._keepForm = false;
+
+    this.nodeList = this.root.querySelector('#flow-editor-nodes');
+    this.form = this.root.querySelector('#flow-editor-form');
+    this.errorList = this.root.querySelector('#flow-editor-errors');
+    this.message = this.root.querySelector('#flow-editor-message');
+    this.undoButton = this.root.querySelector('#flow-editor-undo');
+    this.redoButton = this.root.querySelector('#flow-editor-redo');
+    this.exportJsonButton = this.root.querySelector('#flow-editor-export-json');
+    this.exportJsButton = this.root.querySelector('#flow-editor-export-js');
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Bind the toolbar, render the config and re-render on every edit
+   * @returns {FlowEditor} this
+   */
+  mount() {
+    if (typeof window.FileDrop !== 'undefined') {
+      new window.FileDrop({
+        dropZoneId: 'flow-editor-drop-zone',
+        fileInputId: 'flow-editor-file-input',
+        acceptExtension: '.json',
+        onFileLoad: (text, fileName) => this.import(text, fileName),
+        onError: (errorMessage) => this._showMessage(errorMessage, true),
+      });
+    }
+
+    this.undoButton.addEventListener('click', () => this.store.undo());
+    this.redoButton.addEventListener('click', () => this.store.redo());
+    this.exportJsonButton.addEventListener('click', () => this.export('json'));
+    this.exportJsButton.addEventListener('click', () => this.export('js'));
+
+    this.selectedId = getStartNodeId(this.getConfig());
+    this.render(this.store.getState());
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState));
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Get the config being edited
+   * @returns {Object} Flow config
+   */
+  getConfig() {
+    return this.store.getState().config;
+  }
+
+  /**
+   * Render the errors, the node list and the form of the selected node
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const { config } = state;
+    if (!config.nodes[this.selectedId]) {
+      // 削除・元に戻すで選択中のノードがなくなった時
+      this.selectedId = config.nodes[getStartNodeId(config)] ? getStartNodeId(config) : Object.keys(config.nodes)[0];
+    }
+
+    const errors = validateFlowConfig(config);
+    this._renderErrors(errors);
+    this._renderNodeList(config, errors);
+    // 入力欄の変更ではフォームを作り直さない（入力中のフォーカスを保つ）
+    if (!this._keepForm) {
+      this._renderForm(config);
+    }
+    this._keepForm = false;
+
+    this.undoButton.disabled = !this.store.canUndo();
+    this.redoButton.disabled = !this.store.canRedo();
+  }
+
+  /**
+   * Load a flow-config.json file
+   * @param {string} text - File contents
+   * @param {string} [fileName] - File name
+   */
+  import(text, fileName = 'flow-config.json') {
+    const { config, errors } = parseFlowConfigJson(text);
+    if (!config || !config.nodes || typeof config.nodes !== 'object') {
+      this._showMessage(`${fileName} を読み込めませんでした\n${errors.join('\n')}`, true);
+      return;
+    }
+
+    this.selectedId = getStartNodeId(config);
+    this.store.setState({ config }, 'LOAD_CONFIG');
+    this._showMessage(
+      errors.length > 0
+        ? `${fileName} を読み込みました（誤りが ${errors.length} 件あります）`
+        : `${fileName} を読み込みました`,
+      errors.length > 0
+    );
+  }
+
+  /**
+   * Download the config as data/flow-config.json or data/flow-config.js
+   * @param {string} format - "json" or "js"
+   */
+  export(format) {
+    const config = this.getConfig();
+    const errors = validateFlowConfig(config);
+    if (errors.length > 0 && !window.confirm(`設定に誤りが ${errors.length} 件あります。このまま保存しますか？`)) {
+      return;
+    }
+
+    const isJs = format === 'js';
+    const blob = new Blob([isJs ? toFlowConfigJs(config) : toFlowConfigJson(config)], {
+      type: isJs ? 'text/javascript' : 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = isJs ? 'flow-config.js' : 'flow-config.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * @private
+   */
+  _commit(config, actionType) {
+    this.store.setState((state) => ({ ...state, config }), actionType);
+  }
+
+  /**
+   * @private
+   */
+  _updateNode(id, node) {
+    this._commit(updateFlowNode(this.getConfig(), id, node), 'EDIT_NODE');
+  }
+
+  /**
+   * @private
+   */
+  _renderErrors(errors) {
+    this.errorList.innerHTML = '';
+    this.errorList.hidden = errors.length === 0;
+    if (errors.length === 0) return;
+
+    const title = document.createElement('p');
+    title.className = 'error';
+    title.textContent = `設定の誤り（${errors.length} 件）`;
+    const list = document.createElement('ul');
+    errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    this.errorList.appendChild(title);
+    this.errorList.appendChild(list);
+  }
+
+  /**
+   * @private
+   */
+  _renderNodeList(config, errors) {
+    this.nodeList.innerHTML = '';
+
+    const start = this._createSelect(
+      Object.keys(config.nodes).map((id) => ({ value: id, label: id })),
+      getStartNodeId(config),
+      'start'
+    );
+    start.addEventListener('change', () => this._commit({ ...config, start: start.value }, 'SET_START'));
+    this.nodeList.appendChild(this._labelled('開始ノード', start));
+
+    const list = document.createElement('ul');
+    list.className = 'flow-editor-node-list';
+    Object.entries(config.nodes).forEach(([id, node]) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'flow-editor-node';
+      button.classList.toggle('selected', id === this.selectedId);
+      button.dataset.nodeId = id;
+      const hasError = errors.some((error) => error.startsWith(`nodes.${id}.`));
+      button.textContent = `${hasError ? '⚠ ' : ''}${id}${node && node.title ? `（${node.title}）` : ''}`;
+      button.title = node && node.type;
+      button.addEventListener('click', () => {
+        this.selectedId = id;
+        this.render(this.store.getState());
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    this.nodeList.appendChild(list);
+
+    // ノードの追加
+    const add = document.createElement('form');
+    add.className = 'flow-editor-add';
+    const idInput = document.createElement('input');
+    idInput.type = 'text';
+    idInput.placeholder = '新しいノードの ID';
+    idInput.dataset.field = 'new-node-id';
+    const type = this._createSelect(FLOW_NODE_TYPES.map((t) => ({ value: t, label: TYPE_LABELS[t] })), 'question');
+    const submit = this._createButton('ノードを追加');
+    submit.type = 'submit';
+    add.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const id = idInput.value.trim();
+      const problem = checkNodeId(this.getConfig(), id);
+      if (problem) {
+        this._showMessage(problem, true);
+        return;
+      }
+      this.selectedId = id;
+      this._commit(addFlowNode(this.getConfig(), id, type.value), 'ADD_NODE');
+      this._showMessage(`ノード「${id}」を追加しました`);
+    });
+    add.appendChild(idInput);
+    add.appendChild(type);
+    add.appendChild(submit);
+    this.nodeList.appendChild(add);
+  }
+
+  /**
+   * @private
+   */
+  _renderForm(config) {
+    this.form.innerHTML = '';
+    const id = this.selectedId;
+    const node = config.nodes[id];
+    if (!node) return;
+
+    const nodeIds = Object.keys(config.nodes);
+    // 入力欄の変更（keepForm）は最新のノードに反映する。行の追加・削除はフォームを作り直す
+    const current = () => this.getConfig().nodes[id];
+    const update = (patch, keepForm = true) => {
+      this._keepForm = keepForm;
+      this._updateNode(id, this._withoutEmpty({ ...current(), ...patch }));
+    };
+
+    // ID（変更すると参照している next も変わる）
+    const idInput = this._createInput(id, 'id');
+    idInput.addEventListener('change', () => {
+      const newId = idInput.value.trim();
+      if (newId === id) return;
+      const problem = checkNodeId(this.getConfig(), newId);
+      if (problem) {
+        this._showMessage(problem, true);
+        idInput.value = id;
+        return;
+      }
+      this.selectedId = newId;
+      this._commit(renameFlowNode(this.getConfig(), id, newId), 'RENAME_NODE');
+    });
+    this.form.appendChild(this._labelled('ID', idInput));
+
+    const title = this._createInput(node.title || '', 'title', 'パンくずに表示する短い名前');
+    title.addEventListener('change', () => update({ title: title.value.trim() }));
+    this.form.appendChild(this._labelled('タイトル', title));
+
+    const type = this._createSelect(
+      FLOW_NODE_TYPES.map((t) => ({ value: t, label: TYPE_LABELS[t] })),
+      node.type,
+      'type'
+    );
+    type.addEventListener('change', () => this._updateNode(id, changeFlowNodeType(current(), type.value)));
+    this.form.appendChild(this._labelled('種類', type));
+
+    const text = document.createElement('textarea');
+    text.rows = 3;
+    text.value = node.text || '';
+    text.dataset.field = 'text';
+    text.placeholder = '{key} でそれまでの回答の値を表示';
+    text.addEventListener('change', () => update({ text: text.value }));
+    this.form.appendChild(this._labelled('文言', text));
+
+    if (node.type === 'select' || node.type === 'input') {
+      const key = this._createInput(node.key || '', 'key', '回答を保存する名前');
+      key.addEventListener('change', () => update({ key: key.value.trim() }));
+      this.form.appendChild(this._labelled('キー', key));
+
+      const placeholder = this._createInput(node.placeholder || '', 'placeholder');
+      placeholder.addEventListener('change', () => update({ placeholder: placeholder.value }));
+      this.form.appendChild(this._labelled('プレースホルダー', placeholder));
+    }
+
+    if (node.type === 'question') {
+      this.form.appendChild(this._createButtonsTable(node, current, nodeIds, update));
+    }
+    if (node.type === 'select') {
+      this.form.appendChild(this._createOptionsTable(node, current, nodeIds, update));
+    }
+
+    this.form.appendChild(this._createNextEditor(node, current, nodeIds, update));
+
+    const remove = this._createButton('このノードを削除');
+    remove.classList.add('flow-editor-remove-node');
+    remove.addEventListener('click', () => {
+      const references = findNodeReferences(this.getConfig(), id);
+      const message = references.length > 0
+        ? `ノード「${id}」は ${references.join(', ')} から参照されています。削除しますか？`
+        : `ノード「${id}」を削除しますか？`;
+      if (!window.confirm(message)) return;
+      this._commit(removeFlowNode(this.getConfig(), id), 'REMOVE_NODE');
+    });
+    this.form.appendChild(remove);
+  }
+
+  /**
+   * ボタン（ラベル・次のノード・表示条件・kv）の表
+   * @private
+   */
+  _createButtonsTable(node, current, nodeIds, update) {
+    const buttons = () => current().buttons || [];
+    const setButton = (index, patch) =>
+      update({
+        buttons: buttons().map((b, i) => (i === index ? this._withoutEmpty({ ...b, ...patch }) : b)),
+      });
+
+    const table = this._createTable(['ラベル', '次のノード', '表示条件（when）', 'kv キー', 'kv 値', '']);
+    (node.buttons || []).forEach((button, index) => {
+      const field = `buttons.${index}`;
+      const label = this._createInput(button.label || '', `${field}.label`);
+      label.addEventListener('change', () => setButton(index, { label: label.value }));
+
+      const next = this._createNextSelect(button.next, nodeIds, `${field}.next`, '（ノードの「次」）');
+      next.addEventListener('change', () => setButton(index, { next: next.value || undefined }));
+
+      const when = this._createInput(button.when || '', `${field}.when`);
+      when.addEventListener('change', () => setButton(index, { when: when.value.trim() }));
+
+      const kv = button.kv || {};
+      const kvKey = this._createInput(kv.key || '', `${field}.kv.key`);
+      const kvValue = this._createInput(formatKvValue(kv.value), `${field}.kv.value`, 'true / false / 数値 / 文字列');
+      // キーが空なら kv を外す
+      const setKv = () => {
+        const key = kvKey.value.trim();
+        setButton(index, { kv: key ? { key, value: parseKvValue(kvValue.value) } : undefined });
+      };
+      kvKey.addEventListener('change', setKv);
+      kvValue.addEventListener('change', setKv);
+
+      const remove = this._createButton('削除');
+      remove.addEventListener('click', () => update({ buttons: buttons().filter((b, i) => i !== index) }, false));
+
+      table.tBodies[0].appendChild(this._createRow([label, next, when, kvKey, kvValue, remove]));
+    });
+
+    const add = this._createButton('ボタンを追加');
+    add.addEventListener('click', () =>
+      update({ buttons: [...buttons(), { label: `ボタン${buttons().length + 1}` }] }, false)
+    );
+    return this._section('ボタン', table, add);
+  }
+
+  /**
+   * 選択肢（ラベル・値・次のノード・表示条件）の表
+   * @private
+   */
+  _createOptionsTable(node, current, nodeIds, update) {
+    const toObject = (option) => (typeof option === 'object' ? option : { label: String(option) });
+    const options = () => (current().options || []).map(toObject);
+    // ラベルだけの選択肢は文字列で保存する（data/flow-config.json と同じ形）
+    const save = (list, keepForm = true) => update({
+      options: list.map((option) => {
+        const compact = this._withoutEmpty(option);
+        return Object.keys(compact).length === 1 && compact.label !== undefined ? compact.label : compact;
+      }),
+    }, keepForm);
+    const setOption = (index, patch) => save(options().map((o, i) => (i === index ? { ...o, ...patch } : o)));
+
+    const table = this._createTable(['ラベル', '値（省略時はラベル）', '次のノード', '表示条件（when）', '']);
+    (node.options || []).map(toObject).forEach((option, index) => {
+      const field = `options.${index}`;
+      const label = this._createInput(option.label ?? '', `${field}.label`);
+      label.addEventListener('change', () => setOption(index, { label: label.value }));
+
+      const value = this._createInput(option.value === undefined ? '' : String(option.value), `${field}.value`);
+      value.addEventListener('change', () => setOption(index, { value: value.value }));
+
+      const next = this._createNextSelect(option.next, nodeIds, `${field}.next`, '（ノードの「次」）');
+      next.addEventListener('change', () => setOption(index, { next: next.value || undefined }));
+
+      const when = this._createInput(option.when || '', `${field}.when`);
+      when.addEventListener('change', () => setOption(index, { when: when.value.trim() }));
+
+      const remove = this._createButton('削除');
+      remove.addEventListener('click', () => save(options().filter((o, i) => i !== index), false));
+
+      table.tBodies[0].appendChild(this._createRow([label, value, next, when, remove]));
+    });
+
+    const add = this._createButton('選択肢を追加');
+    add.addEventListener('click', () => save([...options(), { label: `選択肢${options().length + 1}` }], false));
+    return this._section('選択肢', table, add);
+  }
+
+  /**
+   * ノードの next（1 つのノード、または条件つき分岐の一覧）
+   * @private
+   */
+  _createNextEditor(node, current, nodeIds, update) {
+    const toBranches = (next) => {
+      if (Array.isArray(next)) return next.map((branch) => ({ ...branch }));
+      return next ? [{ next }] : [];
+    };
+    const branches = () => toBranches(current().next);
+
+    // 条件のない分岐 1 つだけなら next: "id" で保存する
+    const save = (list, keepForm = true) => {
+      const cleaned = list.map((branch) => this._withoutEmpty(branch));
+      let next;
+      if (cleaned.length === 1 && !cleaned[0].when) {
+        next = cleaned[0].next;
+      } else if (cleaned.length > 0) {
+        next = cleaned;
+      }
+      update({ next }, keepForm);
+    };
+    const setBranch = (index, patch) => save(branches().map((b, i) => (i === index ? { ...b, ...patch } : b)));
+
+    const table = this._createTable(['条件（when、空欄はそれ以外）', '次のノード', '']);
+    toBranches(node.next).forEach((branch, index) => {
+      const field = `next.${index}`;
+      const when = this._createInput(branch.when || '', `${field}.when`);
+      when.addEventListener('change', () => setBranch(index, { when: when.value.trim() }));
+
+      const next = this._createNextSelect(branch.next, nodeIds, `${field}.next`, '（終了）');
+      next.addEventListener('change', () => setBranch(index, { next: next.value || undefined }));
+
+      const remove = this._createButton('削除');
+      remove.addEventListener('click', () => save(branches().filter((b, i) => i !== index), false));
+
+      table.tBodies[0].appendChild(this._createRow([when, next, remove]));
+    });
+
+    // 空の分岐は保存すると消えるため、条件の入力欄だけ先に出す
+    const add = this._createButton('分岐を追加');
+    add.addEventListener('click', () => {
+      const row = this._createRow([
+        this._createInput('', `next.${table.tBodies[0].rows.length}.when`),
+        this._createNextSelect(undefined, nodeIds, '', '（終了）'),
+        document.createElement('span'),
+      ]);
+      const [whenCell, nextCell] = row.cells;
+      const commit = () => {
+        const whenValue = whenCell.firstChild.value.trim();
+        const nextValue = nextCell.firstChild.value;
+        if (!whenValue && !nextValue) return;
+        save([...branches(), { when: whenValue, next: nextValue || undefined }], false);
+      };
+      whenCell.firstChild.addEventListener('change', commit);
+      nextCell.firstChild.addEventListener('change', commit);
+      table.tBodies[0].appendChild(row);
+      whenCell.firstChild.focus();
+    });
+
+    const hint = {
+      question: 'next のないボタンはここへ進みます。',
+      select: 'next のない選択肢はここへ進みます。',
+      input: '入力の後はここへ進みます。',
+      info: '空なら、このノードでフローが終わります。',
+    }[node.type];
+    return this._section(`次のノード（${hint}上から順に評価）`, table, add);
+  }
+
+  /**
+   * @private
+   */
+  _createNextSelect(value, nodeIds, field, emptyLabel) {
+    if (Array.isArray(value)) {
+      // ボタン・選択肢ごとの条件分岐は JSON で編集する
+      const span = document.createElement('span');
+      span.textContent = `条件分岐（${value.length}）`;
+      return span;
+    }
+    const options = [{ value: '', label: emptyLabel }, ...nodeIds.map((id) => ({ value: id, label: id }))];
+    if (value && !nodeIds.includes(value)) {
+      options.push({ value, label: `⚠ ${value}（ありません）` });
+    }
+    return this._createSelect(options, value || '', field);
+  }
+
+  /**
+   * 空欄の項目を取り除く（undefined / 空文字）
+   * @private
+   */
+  _withoutEmpty(object) {
+    return Object.fromEntries(
+      Object.entries(object).filter(([, value]) => value !== undefined && value !== '')
+    );
+  }
+
+  /**
+   * @private
+   */
+  _section(title, ...children) {
+    const section = document.createElement('fieldset');
+    section.className = 'flow-editor-section';
+    const legend = document.createElement('legend');
+    legend.textContent = title;
+    section.appendChild(legend);
+    children.forEach((child) => section.appendChild(child));
+    return section;
+  }
+
+  /**
+   * @private
+   */
+  _createTable(headers) {
+    const table = document.createElement('table');
+    table.className = 'flow-editor-table';
+    const head = table.createTHead().insertRow();
+    headers.forEach((header) => {
+      const th = document.createElement('th');
+      th.textContent = header;
+      head.appendChild(th);
+    });
+    table.appendChild(document.createElement('tbody'));
+    return table;
+  }
+
+  /**
+   * @private
+   */
+  _createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach((cell) => {
+      const td = document.createElement('td');
+      td.appendChild(cell);
+      row.appendChild(td);
+    });
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  _labelled(text, control) {
+    const label = document.createElement('label');
+    label.className = 'flow-editor-field';
+    const span = document.createElement('span');
+    span.textContent = text;
+    label.appendChild(span);
+    label.appendChild(control);
+    return label;
+  }
+
+  /**
+   * @private
+   */
+  _createInput(value, field, placeholder = '') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.dataset.field = field;
+    return input;
+  }
+
+  /**
+   * @private
+   */
+  _createSelect(options, value, field) {
+    const select = document.createElement('select');
+    options.forEach((option) => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = value;
+    if (field) select.dataset.field = field;
+    return select;
+  }
+
+  /**
+   * @private
+   */
+  _createButton(label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button';
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * @private
+   */
+  _showMessage(text, isError = false) {
+    if (!this.message) return;
+    this.message.textContent = text;
+    this.message.classList.toggle('error', isError);
+  }
+}
+
+export default FlowEditor;
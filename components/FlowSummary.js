@@ -0,0 +1,147 @@
+/**
+ * FlowSummary - Shows the post-call summary of a call flow and copies it
+ *
+ * The summary (config.summary, store/flowSummary.js) is re-rendered from the
+ * collected values after every answer, so it can be copied at any point. The
+ * text to copy is kept in data-copy-text, which lib/copy-handler copies on
+ * right click; with `autoCopy` the summary is copied when the flow ends
+ * through the same autoCopyResults event as templates/index.html.
+ *
+ * @example
+ * new FlowSummary(store, { config, container: document.getElementById('flow-summary') }).mount();
+ */
+
+import { getFlowNode, isEndNode } from '../store/flowConfig.js';
+import { getFlowSummary, renderFlowSummaryLines } from '../store/flowSummary.js';
+import {
+  getFlowSteps,
+  getCurrentStep,
+  getFlowValues,
+  isFlowFinished,
+} from '../store/selectors/flowSelectors.js';
+
+class FlowSummary {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} options.config - Flow config
+   * @param {HTMLElement} options.container - Element the summary is rendered into
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.config = options.config;
+    this.summary = getFlowSummary(options.config);
+    this.container = options.container;
+    this._results = null;
+    this._copyButton = null;
+    this._finished = false;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Build the summary area, render the current values and subscribe
+   * @returns {FlowSummary} this
+   */
+  mount() {
+    // summary のない設定では何も出さない
+    if (!this.summary || !this.container) return this;
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this._createBlock());
+
+    this.render(this.store.getState());
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState), getFlowSteps);
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Render the summary for a state
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const lines = renderFlowSummaryLines(this.config, getFlowValues(state));
+    const text = lines.join(this.summary.newline);
+
+    this._results.innerHTML = '';
+    lines.forEach((line) => {
+      const el = document.createElement('div');
+      el.textContent = line;
+      this._results.appendChild(el);
+    });
+    this._results.dataset.copyText = text;
+    this._copyButton.disabled = text === '';
+
+    // 最後まで進んだ時だけ自動コピーする（戻って進み直した時も）
+    const current = getCurrentStep(state);
+    const finished =
+      isFlowFinished(state) || (current !== null && isEndNode(getFlowNode(this.config, current.nodeId)));
+    if (finished && !this._finished && this.summary.autoCopy && text) {
+      this._results.dispatchEvent(
+        new CustomEvent('autoCopyResults', {
+          bubbles: true,
+          detail: { source: 'call-flow', timestamp: Date.now() },
+        })
+      );
+    }
+    this._finished = finished;
+  }
+
+  /**
+   * @private
+   */
+  _createBlock() {
+    const block = document.createElement('div');
+    block.className = 'output-block flow-summary';
+
+    const header = document.createElement('div');
+    header.className = 'output-header';
+
+    const label = document.createElement('span');
+    label.className = 'output-label';
+    label.textContent = this.summary.label;
+
+    this._copyButton = document.createElement('button');
+    this._copyButton.type = 'button';
+    this._copyButton.className = 'button flow-summary-copy';
+    this._copyButton.textContent = 'コピー';
+    this._copyButton.addEventListener('click', () => this._copy());
+
+    this._results = document.createElement('div');
+    this._results.className = 'results copyable';
+    if (this.summary.autoCopy) {
+      this._results.dataset.autoCopy = '';
+    }
+
+    header.appendChild(label);
+    header.appendChild(this._copyButton);
+    block.appendChild(header);
+    block.appendChild(this._results);
+    return block;
+  }
+
+  /**
+   * @private
+   */
+  _copy() {
+    const text = this._results.dataset.copyText;
+    if (!text) return;
+
+    const copyHandler = window.CopyHandler && window.CopyHandler.getInstance();
+    const copied = copyHandler
+      ? copyHandler.copyWithFlash(this._results, text, { eventDetail: { source: 'copy-button' } })
+      : navigator.clipboard.writeText(text);
+    copied.catch((error) => console.error('Could not copy the call summary:', error));
+  }
+}
+
+export default FlowSummary;
@@ -0,0 +1,152 @@
+/**
+ * ProfilePanel - Import/export of the configuration profile
+ *
+ * Exports the running configuration (with the current texts) as a profile JSON
+ * and imports one through FileDrop. An imported profile is validated, saved and
+ * applied on top of CONFIG after the page reloads.
+ *
+ * Expects the offcanvas markup in templates/index.html (#profilePanel) and
+ * lib/file-drop/index.js (window.FileDrop).
+ *
+ * @example
+ * new ProfilePanel(store, { config, profile }).mount();
+ */
+
+import {
+  parseProfile,
+  createProfile,
+  saveProfile,
+  clearProfile,
+} from '../store/profile.js';
+import { clearTextCatalog } from '../store/textCatalog.js';
+import { formatSchemaErrors } from '../store/schema.js';
+
+const EXPORT_FILE_NAME = 'templates-profile.json';
+
+class ProfilePanel {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} options.config - Configuration in use (CONFIG with the profile applied)
+   * @param {Object|null} [options.profile] - Profile currently applied
+   * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+   * @param {Document|HTMLElement} [options.root] - Element that contains the panel
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.config = options.config || {};
+    this.profile = options.profile || null;
+    this.storage = options.storage || window.localStorage;
+    this.root = options.root || document;
+
+    this.current = this.root.querySelector('#profile-current');
+    this.message = this.root.querySelector('#profile-message');
+    this.nameInput = this.root.querySelector('#profile-name-input');
+    this.exportButton = this.root.querySelector('#profile-export-btn');
+    this.clearButton = this.root.querySelector('#profile-clear-btn');
+  }
+
+  /**
+   * Bind the drop zone and buttons
+   * @returns {ProfilePanel} this
+   */
+  mount() {
+    if (typeof window.FileDrop === 'undefined') {
+      console.error('ProfilePanel: FileDrop is not loaded');
+      return this;
+    }
+
+    new window.FileDrop({
+      dropZoneId: 'profile-drop-zone',
+      fileInputId: 'profile-file-input',
+      acceptExtension: '.json',
+      onFileLoad: (text) => this.import(text),
+      onError: (errorMessage) => this._showMessage(errorMessage, true),
+    });
+
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => this.export());
+    }
+
+    if (this.clearButton) {
+      this.clearButton.addEventListener('click', () => {
+        if (!window.confirm('プロファイルを解除して config/defaults.js の設定に戻しますか？')) return;
+        clearProfile(this.storage);
+        window.location.reload();
+      });
+    }
+
+    this.render();
+    return this;
+  }
+
+  /**
+   * Show the profile currently applied
+   */
+  render() {
+    if (this.current) {
+      this.current.textContent = this.profile
+        ? `適用中: ${this.profile.name || '(名前なし)'}`
+        : '適用中: なし（config/defaults.js）';
+    }
+    if (this.nameInput && this.profile && this.profile.name) {
+      this.nameInput.value = this.profile.name;
+    }
+    if (this.clearButton) {
+      this.clearButton.disabled = !this.profile;
+    }
+  }
+
+  /**
+   * Validate and save a profile file, then reload to apply it
+   * @param {string} text - File contents
+   */
+  import(text) {
+    const { profile, errors } = parseProfile(text);
+    if (!profile) {
+      this._showMessage(`プロファイルの形式が正しくありません\n${formatSchemaErrors(errors)}`, true);
+      return;
+    }
+
+    saveProfile(profile, this.storage);
+    // プロファイルの文言を優先する（この端末で保存した文言設定は破棄）
+    if (profile.config.texts) {
+      clearTextCatalog(this.storage);
+    }
+
+    this._showMessage(`「${profile.name || '(名前なし)'}」を読み込みました。再読み込みすると適用されます。`);
+    if (window.confirm('プロファイルを適用するためにページを再読み込みします。入力中の内容はリセットされます。よろしいですか？')) {
+      window.location.reload();
+    }
+  }
+
+  /**
+   * Download the running configuration as a profile
+   */
+  export() {
+    const name = this.nameInput ? this.nameInput.value.trim() : '';
+    const profile = createProfile(this.config, {
+      name,
+      texts: this.store.getState().texts,
+    });
+
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * @private
+   */
+  _showMessage(text, isError = false) {
+    if (!this.message) return;
+    this.message.textContent = text;
+    this.message.classList.toggle('text-danger', isError);
+  }
+}
+
+export default ProfilePanel;
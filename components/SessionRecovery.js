@@ -0,0 +1,168 @@
+/**
+ * SessionRecovery - Autosaves the form and offers to restore it after a reload
+ *
+ * Changes of the form are saved to localStorage under the page's key through
+ * store/persistence.js (throttled, and flushed when the page is left). When
+ * the page opens with a saved session, a dialog shows when it was saved and
+ * asks whether to restore it; nothing is saved until it is answered, so the
+ * saved session is not overwritten by the fresh page. リセット clears it.
+ *
+ * Expects the modal markup in templates/index.html (#sessionRestoreModal).
+ *
+ * @example
+ * new SessionRecovery(store, { page: 'templates' }).mount();
+ */
+
+import { createSessionPersistence, createSessionSnapshot } from '../store/session.js';
+import { restoreSession } from '../store/actions.js';
+import { formatDateTime } from '../store/outputFormats.js';
+
+// 保存日時の表示形式
+const TIMESTAMP_FORMAT = 'YYYY/MM/DD HH:mm';
+
+class SessionRecovery {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {string} options.page - Page name the session is saved under
+   * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+   * @param {number} [options.throttle] - Minimum milliseconds between saves (default: 500)
+   * @param {Document|HTMLElement} [options.root] - Element that contains the modal
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.page = options.page;
+    this.persistence = createSessionPersistence(this.page, {
+      storage: options.storage,
+      throttle: options.throttle,
+    });
+    this.root = options.root || document;
+
+    // 保存内容の読み込み中・復元するかどうかの回答待ちの間は保存しない
+    this.pendingSession = null;
+    this._loading = false;
+    // 保存内容を読み込んで（あれば確認を出して）から解決する
+    this.ready = Promise.resolve();
+    // 開いた時点のフォーム（これと同じなら保存しない）
+    this.initialSnapshot = null;
+    this._unsubscribe = null;
+    this._flush = () => this.persistence.flush();
+
+    this.modal = this.root.querySelector('#sessionRestoreModal');
+    this.message = this.root.querySelector('#session-restore-message');
+    this.restoreButton = this.root.querySelector('#session-restore-yes');
+  }
+
+  /**
+   * Start saving and ask about a previous session
+   * @returns {SessionRecovery} this
+   */
+  mount() {
+    const state = this.store.getState();
+    this.initialSnapshot = JSON.stringify(createSessionSnapshot(state));
+    this._unsubscribe = this.store.subscribe((newState, prevState, action) =>
+      this._handleChange(newState, prevState, action)
+    );
+    window.addEventListener('pagehide', this._flush);
+
+    this._loading = true;
+    this.ready = this.persistence.read(state._meta?.version ?? null).then((session) => {
+      this._loading = false;
+      if (session && this.modal) {
+        this._ask(session);
+      } else {
+        // 読み込み中の変更を保存する
+        this._save(this.store.getState());
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Stop saving (a scheduled save is written first)
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    window.removeEventListener('pagehide', this._flush);
+    this.persistence.flush();
+  }
+
+  /**
+   * Apply a saved session to the form
+   * @param {Object} session - Saved session ({ savedAt, state })
+   */
+  restore(session) {
+    this.pendingSession = null;
+    this.store.dispatch(restoreSession(session.state));
+  }
+
+  /**
+   * Forget a saved session
+   */
+  discard() {
+    this.pendingSession = null;
+    this.persistence.clear();
+  }
+
+  /**
+   * @private
+   */
+  _handleChange(newState, prevState, action) {
+    if (this._loading || this.pendingSession) return;
+
+    if (action.type === 'RESET') {
+      this.persistence.clear();
+      return;
+    }
+
+    // 日時の更新などフォーム以外の変更では保存しない
+    if (JSON.stringify(createSessionSnapshot(newState)) === JSON.stringify(createSessionSnapshot(prevState))) {
+      return;
+    }
+    this._save(newState);
+  }
+
+  /**
+   * 開いた時点と同じフォームなら保存内容を消す
+   * @private
+   */
+  _save(state) {
+    if (JSON.stringify(createSessionSnapshot(state)) === this.initialSnapshot) {
+      this.persistence.clear();
+    } else {
+      this.persistence.save(state);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ask(session) {
+    this.pendingSession = session;
+
+    if (this.message) {
+      this.message.textContent =
+        `${formatDateTime(session.savedAt, TIMESTAMP_FORMAT)} に保存された入力内容があります。復元しますか？`;
+    }
+
+    const modal = window.bootstrap.Modal.getOrCreateInstance(this.modal);
+
+    this.restoreButton.addEventListener('click', () => {
+      if (this.pendingSession) this.restore(this.pendingSession);
+      modal.hide();
+    }, { once: true });
+
+    // 「破棄」や×で閉じた時は保存されていた内容を消す
+    this.modal.addEventListener('hidden.bs.modal', () => {
+      if (this.pendingSession) this.discard();
+    }, { once: true });
+
+    modal.show();
+  }
+}
+
+export default SessionRecovery;
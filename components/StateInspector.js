@@ -0,0 +1,297 @@
+/**
+ * StateInspector - In-page inspector overlay for a StateManager
+ *
+ * Lists the actions of the store's timeline (applied and undone), shows what
+ * each action changed and jumps to the state after any of them. Works from
+ * file:// without a browser extension; the store needs enableTimeTravel.
+ *
+ * Open with the hotkey (default Ctrl+Alt+D) or by adding ?debug to the URL.
+ * The overlay is styled inline so it can be mounted on any page.
+ *
+ * @example
+ * new StateInspector(store, { title: 'templates' }).mount();
+ */
+
+const MAX_VALUE_LENGTH = 80;
+
+const PANEL_STYLE = {
+  position: 'fixed',
+  right: '12px',
+  bottom: '12px',
+  width: '520px',
+  maxWidth: 'calc(100vw - 24px)',
+  height: '50vh',
+  display: 'flex',
+  flexDirection: 'column',
+  background: 'rgba(255,255,255,0.97)',
+  border: '1px solid #ccc',
+  borderRadius: '6px',
+  boxShadow: '0 2px 12px rgba(0,0,0,0.2)',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  zIndex: '10000',
+};
+
+/**
+ * List the leaf values that differ between two states
+ * @param {*} before - State before
+ * @param {*} after - State after
+ * @param {string} path - Path of the compared values
+ * @returns {Array<{path: string, before: *, after: *}>} Changes
+ */
+export function diffStates(before, after, path = '') {
+  if (Object.is(before, after)) return [];
+
+  const isObject = (value) => value !== null && typeof value === 'object';
+  if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ path: path || '(root)', before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].flatMap((key) =>
+    diffStates(before[key], after[key], path ? `${path}.${key}` : key)
+  );
+}
+
+/**
+ * Parse a hotkey such as "ctrl+alt+d"
+ * @private
+ */
+function parseHotkey(hotkey) {
+  const parts = hotkey.toLowerCase().split('+');
+  return {
+    key: parts[parts.length - 1],
+    ctrl: parts.includes('ctrl'),
+    alt: parts.includes('alt'),
+    shift: parts.includes('shift'),
+  };
+}
+
+/**
+ * Short display form of a value
+ * @private
+ */
+function formatValue(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+class StateInspector {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {string} [options.hotkey] - Toggle hotkey (default: "ctrl+alt+d")
+   * @param {string} [options.title] - Shown in the header (e.g. the page name)
+   * @param {HTMLElement} [options.container] - Element the overlay is added to (default: document.body)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.hotkey = parseHotkey(options.hotkey || 'ctrl+alt+d');
+    this.title = options.title || '';
+    this.container = options.container || document.body;
+
+    this.panel = null;
+    this.list = null;
+    this.detail = null;
+    // 表示中のエントリ（null = 現在の状態）
+    this.selected = null;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Listen for the hotkey (and open right away with ?debug)
+   * @returns {StateInspector} this
+   */
+  mount() {
+    document.addEventListener('keydown', (e) => {
+      const { key, ctrl, alt, shift } = this.hotkey;
+      if (
+        e.key.toLowerCase() === key &&
+        (e.ctrlKey || e.metaKey) === ctrl &&
+        e.altKey === alt &&
+        e.shiftKey === shift
+      ) {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    if (new URLSearchParams(window.location.search).has('debug')) {
+      this.open();
+    }
+
+    return this;
+  }
+
+  /**
+   * Show the overlay
+   */
+  open() {
+    if (!this.panel) this._createPanel();
+    this.panel.style.display = 'flex';
+    if (!this._unsubscribe) {
+      this._unsubscribe = this.store.subscribe(() => this.render());
+    }
+    this.render();
+  }
+
+  /**
+   * Hide the overlay
+   */
+  close() {
+    if (this.panel) this.panel.style.display = 'none';
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Show or hide the overlay
+   */
+  toggle() {
+    if (this.panel && this.panel.style.display !== 'none') {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Render the action list and the selected entry
+   */
+  render() {
+    const { entries, index } = this.store.getTimeline();
+    if (this.selected !== null && this.selected > entries.length) {
+      this.selected = null;
+    }
+
+    this.list.innerHTML = '';
+    this.list.appendChild(this._createItem('@@INIT', 0, index, null));
+    entries.forEach((entry, i) => {
+      this.list.appendChild(this._createItem(entry.action.type, i + 1, index, entry));
+    });
+
+    const selected = this.selected === null ? index : this.selected;
+    this._renderDetail(entries, selected, index);
+  }
+
+  /**
+   * @private
+   */
+  _createItem(label, position, index, entry) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.textContent = entry
+      ? `${position}. ${label}  ${new Date(entry.timestamp).toLocaleTimeString()}`
+      : label;
+
+    const selected = this.selected === null ? index : this.selected;
+    Object.assign(item.style, {
+      display: 'block',
+      width: '100%',
+      textAlign: 'left',
+      border: 'none',
+      padding: '2px 6px',
+      font: 'inherit',
+      cursor: 'pointer',
+      background: position === selected ? '#dbeafe' : 'transparent',
+      // 元に戻した（やり直せる）アクションは薄く表示
+      color: position > index ? '#999' : '#222',
+      fontWeight: position === index ? 'bold' : 'normal',
+    });
+
+    item.addEventListener('click', () => {
+      this.selected = position;
+      this.render();
+    });
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _renderDetail(entries, selected, index) {
+    this.detail.innerHTML = '';
+
+    const jumpButton = document.createElement('button');
+    jumpButton.type = 'button';
+    jumpButton.textContent = selected === index ? '現在の状態' : 'この状態へジャンプ';
+    jumpButton.disabled = selected === index;
+    jumpButton.style.marginBottom = '6px';
+    jumpButton.addEventListener('click', () => {
+      this.selected = null;
+      this.store.jumpTo(selected);
+    });
+    this.detail.appendChild(jumpButton);
+
+    const entry = entries[selected - 1];
+    const pre = document.createElement('pre');
+    Object.assign(pre.style, { margin: '0', whiteSpace: 'pre-wrap', wordBreak: 'break-word' });
+
+    if (!entry) {
+      pre.textContent = '(初期状態)';
+    } else {
+      const changes = diffStates(entry.before, entry.after);
+      const payload = typeof entry.action.payload === 'function'
+        ? '(updater function)'
+        : formatValue(entry.action.payload);
+      pre.textContent = [
+        `payload: ${payload}`,
+        '',
+        ...(changes.length > 0
+          ? changes.map((c) => `${c.path}: ${formatValue(c.before)} → ${formatValue(c.after)}`)
+          : ['(変更なし)']),
+      ].join('\n');
+    }
+    this.detail.appendChild(pre);
+  }
+
+  /**
+   * @private
+   */
+  _createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'state-inspector';
+    Object.assign(this.panel.style, PANEL_STYLE);
+
+    const header = document.createElement('div');
+    Object.assign(header.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      padding: '4px 8px',
+      borderBottom: '1px solid #ddd',
+      fontWeight: 'bold',
+    });
+    header.textContent = `StateManager Inspector${this.title ? ` - ${this.title}` : ''}`;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = '×';
+    closeButton.title = '閉じる';
+    Object.assign(closeButton.style, { border: 'none', background: 'none', cursor: 'pointer' });
+    closeButton.addEventListener('click', () => this.close());
+    header.appendChild(closeButton);
+
+    const body = document.createElement('div');
+    Object.assign(body.style, { display: 'flex', flex: '1', minHeight: '0' });
+
+    this.list = document.createElement('div');
+    Object.assign(this.list.style, {
+      width: '45%',
+      overflowY: 'auto',
+      borderRight: '1px solid #ddd',
+    });
+
+    this.detail = document.createElement('div');
+    Object.assign(this.detail.style, { flex: '1', overflowY: 'auto', padding: '6px' });
+
+    body.appendChild(this.list);
+    body.appendChild(this.detail);
+    this.panel.appendChild(header);
+    this.panel.appendChild(body);
+    this.container.appendChild(this.panel);
+  }
+}
+
+export default StateInspector;
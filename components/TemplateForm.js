@@ -0,0 +1,145 @@
+/**
+ * TemplateForm - Keeps the template form controls in sync with the store
+ *
+ * templates.js only dispatches actions from input events; the checked/value
+ * state of every control is written back here. This way shortcuts, resets and
+ * undo all update the form through the same path.
+ *
+ * Each group of controls subscribes to its own piece of state, so typing the
+ * operator name does not rewrite every checkbox.
+ *
+ * @example
+ * const form = new TemplateForm(store).mount();
+ */
+
+import { getCheckboxIndeterminateState } from '../store/selectors/statusSelectors.js';
+import { toCheckboxKey } from '../store/actions.js';
+
+class TemplateForm {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Document|HTMLElement} root - Element that contains the form
+   */
+  constructor(store, root = document) {
+    this.store = store;
+    this.root = root;
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Render the current state and subscribe to changes
+   * @returns {TemplateForm} this
+   */
+  mount() {
+    this.render(this.store.getState());
+
+    const bind = (selector, render) => {
+      this._unsubscribers.push(
+        this.store.subscribe((newState) => render.call(this, newState), selector)
+      );
+    };
+    bind(getCheckboxIndeterminateState, this._renderStatusCheckbox);
+    bind((state) => state.status, this._renderStatus);
+    bind((state) => state.checkboxes, this._renderCheckboxes);
+    bind((state) => state.forms, this._renderForms);
+
+    return this;
+  }
+
+  /**
+   * Remove the subscriptions
+   */
+  unmount() {
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribers = [];
+  }
+
+  /**
+   * Write state into the form controls
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    this._renderStatusCheckbox(state);
+    this._renderStatus(state);
+    this._renderCheckboxes(state);
+    this._renderForms(state);
+  }
+
+  /**
+   * 親ステータスは子の状態から決まる（混在時は不確定表示）
+   * @private
+   */
+  _renderStatusCheckbox(state) {
+    const statusCheckbox = this._byId('status-checkbox');
+    if (statusCheckbox) {
+      const { checked, indeterminate } = getCheckboxIndeterminateState(state);
+      statusCheckbox.checked = checked;
+      statusCheckbox.indeterminate = indeterminate;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderStatus({ status }) {
+    this._setChecked('paid-status-checkbox', status.paidStatus);
+    this._setChecked('delay-status-checkbox', status.delayStatus);
+    this._setChecked('dealer-informed-checkbox', status.dealerInformed);
+  }
+
+  /**
+   * @private
+   */
+  _renderCheckboxes({ checkboxes }) {
+    this._setChecked('mitsubishi-checkbox', checkboxes.mitsubishi);
+    this._setChecked('newyear-checkbox', checkboxes.newyear);
+    this._setChecked('show-datetime-name-checkbox', checkboxes.showDatetimeName);
+    this._setChecked('phone-guidance-at-store-checkbox', checkboxes.phoneGuidanceAtStore);
+    this._setChecked('dealer-cost-coverage-checkbox', checkboxes.dealerCostCoverage);
+
+    this.root.querySelectorAll('.check-item').forEach((cb) => {
+      cb.checked = !!checkboxes[toCheckboxKey(cb.dataset.target)];
+    });
+  }
+
+  /**
+   * @private
+   */
+  _renderForms({ forms }) {
+    this._setChecked('paid-maker-warranty-checkbox', forms.paidMakerWarranty);
+
+    this._setValue('person-select', forms.personSelect);
+    this._setValue('name-input', forms.nameInput);
+    this._setValue('dealer-cost-coverage-select', forms.dealerCostCoverageType);
+
+    this.root.querySelectorAll('.paid-radio').forEach((radio) => {
+      radio.checked = radio.value === forms.paidRadio;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _byId(id) {
+    return this.root.querySelector(`#${id}`);
+  }
+
+  /**
+   * @private
+   */
+  _setChecked(id, checked) {
+    const el = this._byId(id);
+    if (el) el.checked = !!checked;
+  }
+
+  /**
+   * Set value only when it differs so typing keeps the caret position
+   * @private
+   */
+  _setValue(id, value) {
+    const el = this._byId(id);
+    if (el && el.value !== value) el.value = value;
+  }
+}
+
+export default TemplateForm;
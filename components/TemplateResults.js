@@ -0,0 +1,216 @@
+/**
+ * TemplateResults - Renders one result area per output profile (CONFIG.outputs)
+ *
+ * Every output is rendered from the same state by store/outputFormats.js.
+ * Lines and segments are updated in place, so the MutationObserver in
+ * templates.js flashes exactly the parts of the result text that changed.
+ * The text to copy (with the profile's newline) is kept in data-copy-text,
+ * which lib/copy-handler copies instead of the displayed text.
+ *
+ * @example
+ * const results = new TemplateResults(store, { outputs: CONFIG.outputs }).mount();
+ * results.unmount();
+ */
+
+import {
+  normalizeOutputFormat,
+  isOutputVisible,
+  renderOutputLines,
+  renderOutputText,
+} from '../store/outputFormats.js';
+
+// 済=薄い緑、未=薄いピンク
+const STATUS_COLORS = {
+  done: '#d4edda',
+  pending: '#f8d7da',
+};
+
+class TemplateResults {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Array<Object>} options.outputs - Output profiles
+   * @param {Document|HTMLElement} [options.root] - Element that contains #outputs
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.outputs = (options.outputs || []).map(normalizeOutputFormat);
+    this.root = options.root || document;
+    this.container = this.root.querySelector('#outputs');
+    this._blocks = [];
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Build the output areas, render the current state and subscribe
+   * @returns {TemplateResults} this
+   */
+  mount() {
+    if (!this.container) {
+      console.error('TemplateResults: #outputs not found');
+      return this;
+    }
+
+    this.container.innerHTML = '';
+    this._blocks = this.outputs.map((format) => this._createBlock(format));
+
+    this.render(this.store.getState());
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState));
+
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Render every output for a state
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const visibleCount = this._blocks.filter(({ format }) => isOutputVisible(state, format)).length;
+
+    this._blocks.forEach(({ format, block, label, results }) => {
+      const visible = isOutputVisible(state, format);
+      this._setVisible(block, visible);
+      // 出力が1つだけの時はラベルを出さない
+      this._setVisible(label, visibleCount > 1);
+      if (!visible) return;
+
+      this._renderLines(results, renderOutputLines(state, format));
+      results.dataset.copyText = renderOutputText(state, format);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createBlock(format) {
+    const block = document.createElement('div');
+    block.className = 'output-block';
+    block.dataset.outputId = format.id;
+
+    const header = document.createElement('div');
+    header.className = 'output-header';
+
+    const label = document.createElement('span');
+    label.className = 'text-sm output-label';
+    label.textContent = format.label || format.id;
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'btn btn-sm btn-outline-primary output-copy-btn';
+    copyButton.textContent = 'コピー';
+    copyButton.title = `${format.label || format.id}をコピー`;
+
+    const results = document.createElement('div');
+    results.id = `results-${format.id}`;
+    results.className = 'results copyable';
+    results.dataset.outputId = format.id;
+    if (format.autoCopy) {
+      results.dataset.autoCopy = '';
+    }
+
+    copyButton.addEventListener('click', () => this._copy(results));
+
+    header.appendChild(label);
+    header.appendChild(copyButton);
+    block.appendChild(header);
+    block.appendChild(results);
+    this.container.appendChild(block);
+
+    return { format, block, label, results };
+  }
+
+  /**
+   * Update the line elements in place (keyed by line key)
+   * @private
+   */
+  _renderLines(results, lines) {
+    const keys = new Set(lines.map((line) => line.key));
+    const existing = new Map();
+    Array.from(results.children).forEach((el) => {
+      // 先に消しておく（残った行を動かさないため）
+      if (keys.has(el.dataset.key)) {
+        existing.set(el.dataset.key, el);
+      } else {
+        el.remove();
+      }
+    });
+
+    lines.forEach((line, index) => {
+      let el = existing.get(line.key);
+
+      if (!el) {
+        el = document.createElement('div');
+        el.className = 'output-line';
+        el.dataset.key = line.key;
+      }
+      if (results.children[index] !== el) {
+        results.insertBefore(el, results.children[index] || null);
+      }
+
+      this._renderSegments(el, line);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _renderSegments(el, line) {
+    if (line.segments.length === 0) {
+      if (el.innerHTML !== '<br>') el.innerHTML = '<br>';
+      return;
+    }
+
+    // 先頭の span は行頭の文字（linePrefix + bullet）
+    const texts = [line.prefix, ...line.segments.map((s) => s.text)];
+    if (el.children.length !== texts.length || el.firstElementChild.tagName !== 'SPAN') {
+      el.innerHTML = '';
+      texts.forEach(() => el.appendChild(document.createElement('span')));
+    }
+
+    Array.from(el.children).forEach((span, index) => {
+      if (span.textContent !== texts[index]) {
+        span.textContent = texts[index];
+      }
+
+      const segment = index === 0 ? null : line.segments[index - 1];
+      const isStatus = segment && segment.status !== undefined;
+      span.classList.toggle('status-display', Boolean(isStatus));
+      span.style.backgroundColor = isStatus
+        ? (segment.status ? STATUS_COLORS.done : STATUS_COLORS.pending)
+        : '';
+    });
+  }
+
+  /**
+   * @private
+   */
+  _copy(results) {
+    const text = results.dataset.copyText;
+    if (!text) return;
+
+    const copyHandler = window.CopyHandler && window.CopyHandler.getInstance();
+    const copied = copyHandler
+      ? copyHandler.copyWithFlash(results, text, { eventDetail: { source: 'copy-button' } })
+      : navigator.clipboard.writeText(text);
+    copied.catch((error) => console.error('Could not copy the result text:', error));
+  }
+
+  /**
+   * @private
+   */
+  _setVisible(el, visible) {
+    el.style.display = visible ? '' : 'none';
+  }
+}
+
+export default TemplateResults;
@@ -0,0 +1,167 @@
+/**
+ * TextCatalogDialog - Settings panel for editing the result phrases
+ *
+ * Every edit is written to state.texts right away, so the result areas behind
+ * the (backdrop-less) panel work as a live preview. Closing the panel without
+ * 保存 restores the texts it was opened with. Text edits are kept out of the
+ * undo history, so Ctrl+Z on the form never undoes catalog typing and the
+ * typing does not push the form steps out of the history.
+ *
+ * Expects the offcanvas markup in templates/index.html (#textCatalogPanel).
+ *
+ * @example
+ * new TextCatalogDialog(store, { defaults: CONFIG.texts }).mount();
+ */
+
+import {
+  TEXT_CATALOG,
+  saveTextCatalog,
+  clearTextCatalog,
+  exportTextCatalog,
+} from '../store/textCatalog.js';
+import { setText, discardTexts, resetTexts } from '../store/actions.js';
+
+const EXPORT_FILE_NAME = 'text-catalog.json';
+
+class TextCatalogDialog {
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} [options.defaults] - Default texts (CONFIG.texts)
+   * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+   * @param {Document|HTMLElement} [options.root] - Element that contains the panel
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.defaults = options.defaults || {};
+    this.storage = options.storage || window.localStorage;
+    this.root = options.root || document;
+
+    // Texts at the time the panel was opened (or last saved)
+    this.savedTexts = store.getState().texts;
+
+    this.panel = this.root.querySelector('#textCatalogPanel');
+    this.fields = this.root.querySelector('#text-catalog-fields');
+    this.saveButton = this.root.querySelector('#text-catalog-save-btn');
+    this.exportButton = this.root.querySelector('#text-catalog-export-btn');
+    this.resetButton = this.root.querySelector('#text-catalog-reset-btn');
+  }
+
+  /**
+   * Build the fields and bind the panel buttons
+   * @returns {TextCatalogDialog} this
+   */
+  mount() {
+    if (!this.panel || !this.fields) {
+      console.error('TextCatalogDialog: #textCatalogPanel not found');
+      return this;
+    }
+
+    TEXT_CATALOG.forEach((entry) => this.fields.appendChild(this._renderField(entry)));
+
+    this.fields.addEventListener('input', (e) => {
+      const key = e.target.dataset.textKey;
+      if (!key) return;
+      this.store.dispatch(setText(key, e.target.value), { history: false });
+    });
+
+    this.panel.addEventListener('show.bs.offcanvas', () => {
+      this.savedTexts = this.store.getState().texts;
+      this.render();
+    });
+
+    this.panel.addEventListener('hidden.bs.offcanvas', () => {
+      if (this.store.getState().texts !== this.savedTexts) {
+        this.store.dispatch(discardTexts(this.savedTexts), { history: false });
+      }
+    });
+
+    if (this.saveButton) {
+      this.saveButton.addEventListener('click', () => this.save());
+    }
+
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => this.export());
+    }
+
+    if (this.resetButton) {
+      this.resetButton.addEventListener('click', () => {
+        if (!window.confirm('文言をすべてデフォルトに戻しますか？')) return;
+        this.resetToDefaults();
+      });
+    }
+
+    this.render();
+    return this;
+  }
+
+  /**
+   * Fill the fields with the current texts
+   */
+  render() {
+    const { texts } = this.store.getState();
+    this.fields.querySelectorAll('[data-text-key]').forEach((field) => {
+      field.value = texts[field.dataset.textKey] ?? '';
+    });
+  }
+
+  /**
+   * Save the current texts to storage
+   */
+  save() {
+    const { texts } = this.store.getState();
+    saveTextCatalog(texts, this.storage);
+    this.savedTexts = texts;
+  }
+
+  /**
+   * Drop saved overrides and go back to CONFIG.texts
+   */
+  resetToDefaults() {
+    clearTextCatalog(this.storage);
+    this.store.dispatch(resetTexts(this.defaults), { history: false });
+    this.savedTexts = this.store.getState().texts;
+    this.render();
+  }
+
+  /**
+   * Download the current texts as JSON
+   */
+  export() {
+    const blob = new Blob([exportTextCatalog(this.store.getState().texts)], {
+      type: 'application/json',
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * @private
+   */
+  _renderField({ key, label }) {
+    const id = `text-catalog-${key}`;
+
+    const wrapper = document.createElement('div');
+
+    const labelEl = document.createElement('label');
+    labelEl.className = 'form-label text-sm';
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
+
+    const textarea = document.createElement('textarea');
+    textarea.id = id;
+    textarea.className = 'form-control';
+    textarea.rows = 2;
+    textarea.dataset.textKey = key;
+
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(textarea);
+    return wrapper;
+  }
+}
+
+export default TextCatalogDialog;
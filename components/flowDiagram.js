@@ -1,16 +1,298 @@
+/**
+ * FlowDiagram - Draws a call-flow config as an SVG diagram of nodes and edges
+ *
+ * The layout is computed by store/flowLayout.js (no graph library). The node
+ * the call is on is highlighted, with the visited nodes and the edges taken
+ * so far, so supervisors can review the script logic without reading JSON.
+ * Clicking a visited node goes back to that step; clicking any other node
+ * starts the flow there (after a confirmation, as it takes back the answers).
+ *
+ * @example
+ * new FlowDiagram(store, { config, container: document.getElementById('flow-graph') }).mount();
+ */
+
+import { getFlowNode, getNodeTitle } from '../store/flowConfig.js';
+import { layoutFlow } from '../store/flowLayout.js';
+import { startFlow, jumpToStep } from '../store/flowActions.js';
+import { getFlowSteps } from '../store/selectors/flowSelectors.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// ノード名・分岐ラベルの最大文字数（超えた分は … にしてツールチップで全文を出す）
+const MAX_TITLE_LENGTH = 10;
+const MAX_LABEL_LENGTH = 24;
+// ループ（前のノードに戻る線）を右側に回すための余白
+const LOOP_MARGIN = 48;
+
 class FlowDiagram {
-    constructor() {
-        this.diagramData = [];
+  /**
+   * @param {StateManager} store - The state manager instance
+   * @param {Object} options
+   * @param {Object} options.config - Flow config
+   * @param {HTMLElement} options.container - Element the SVG is rendered into
+   * @param {Object} [options.layout] - Sizes passed to layoutFlow
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.diagramData = options.config;
+    this.container = options.container;
+    this.layoutOptions = options.layout || {};
+    this._nodeElements = new Map();
+    this._edgeElements = new Map();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Draw the diagram and follow the steps of the call
+   * @returns {FlowDiagram} this
+   */
+  mount() {
+    if (!this.container) return this;
+
+    this.drawDiagram();
+    this._unsubscribe = this.store.subscribe((newState) => this.render(newState), getFlowSteps);
+    return this;
+  }
+
+  /**
+   * Remove the subscription
+   */
+  unmount() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
     }
+  }
+
+  /**
+   * Lay out the config and draw the whole diagram
+   */
+  drawDiagram() {
+    const { nodes, edges, width, height } = layoutFlow(this.diagramData, this.layoutOptions);
+    const hasLoops = edges.some((edge) => edge.back);
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+
+    const svg = this._createSvgElement('svg', {
+      class: 'flow-graph',
+      width: width + (hasLoops ? LOOP_MARGIN : 0),
+      height,
+      viewBox: `0 0 ${width + (hasLoops ? LOOP_MARGIN : 0)} ${height}`,
+      role: 'img',
+      'aria-label': 'フロー図',
+    });
+    svg.appendChild(this._createArrowMarker());
+
+    this._edgeElements.clear();
+    this._nodeElements.clear();
+    // 線を先に描いてノードの下にする
+    edges.forEach((edge) => svg.appendChild(this._createEdge(edge, byId.get(edge.from), byId.get(edge.to))));
+    nodes.forEach((node) => svg.appendChild(this._createNode(node)));
+
+    this.container.innerHTML = '';
+    this.container.appendChild(svg);
+    this.render(this.store.getState());
+  }
+
+  /**
+   * Draw the diagram of another config
+   * @param {Object} newData - Flow config
+   */
+  updateDiagram(newData) {
+    this.diagramData = newData;
+    this.drawDiagram();
+  }
+
+  /**
+   * Highlight the current node, the visited nodes and the edges taken
+   * @param {Object} state - Application state
+   */
+  render(state) {
+    const steps = getFlowSteps(state);
+    const last = steps[steps.length - 1];
+    const visited = new Set(steps.map((step) => step.nodeId));
+    const taken = new Set(
+      steps.slice(1).map((step, index) => this._edgeKey(steps[index].nodeId, step.nodeId))
+    );
+
+    this._nodeElements.forEach((element, id) => {
+      element.classList.toggle('is-current', Boolean(last) && last.nodeId === id);
+      element.classList.toggle('is-visited', visited.has(id));
+    });
+    this._edgeElements.forEach((element, key) => {
+      element.classList.toggle('is-taken', taken.has(key));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createNode(layout) {
+    const node = getFlowNode(this.diagramData, layout.id);
+    const title = getNodeTitle(this.diagramData, layout.id);
+
+    const group = this._createSvgElement('g', {
+      class: `flow-graph-node flow-graph-node-${node.type}`,
+      transform: `translate(${layout.x}, ${layout.y})`,
+      tabindex: 0,
+      role: 'button',
+      'data-node-id': layout.id,
+    });
+
+    // ツールチップにはノードの文言を出す
+    const tooltip = this._createSvgElement('title');
+    tooltip.textContent = node.text ? `${title}\n${node.text}` : title;
+    group.appendChild(tooltip);
+
+    group.appendChild(this._createSvgElement('rect', {
+      width: layout.width,
+      height: layout.height,
+      rx: 6,
+    }));
 
-    drawDiagram() {
-        // Logic to draw the flow diagram
+    const label = this._createSvgElement('text', {
+      x: layout.width / 2,
+      y: layout.height / 2 - 4,
+      'text-anchor': 'middle',
+    });
+    label.textContent = this._truncate(title, MAX_TITLE_LENGTH);
+    group.appendChild(label);
+
+    const type = this._createSvgElement('text', {
+      class: 'flow-graph-node-type',
+      x: layout.width / 2,
+      y: layout.height / 2 + 12,
+      'text-anchor': 'middle',
+    });
+    type.textContent = node.type;
+    group.appendChild(type);
+
+    group.addEventListener('click', () => this._select(layout.id));
+    group.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this._select(layout.id);
+      }
+    });
+
+    this._nodeElements.set(layout.id, group);
+    return group;
+  }
+
+  /**
+   * @private
+   */
+  _createEdge(edge, from, to) {
+    let d;
+    let labelX;
+    let labelY;
+
+    if (edge.back) {
+      // 前のノードに戻る線は右側を回る
+      const x1 = from.x + from.width;
+      const y1 = from.y + from.height / 2;
+      const x2 = to.x + to.width;
+      const y2 = to.y + to.height / 2;
+      const outer = Math.max(x1, x2) + LOOP_MARGIN;
+      d = `M ${x1} ${y1} C ${outer} ${y1}, ${outer} ${y2}, ${x2} ${y2}`;
+      labelX = outer - LOOP_MARGIN / 4;
+      labelY = (y1 + y2) / 2;
+    } else {
+      const x1 = from.x + from.width / 2;
+      const y1 = from.y + from.height;
+      const x2 = to.x + to.width / 2;
+      const y2 = to.y;
+      const bend = (y2 - y1) / 2;
+      d = `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+      labelX = (x1 + x2) / 2;
+      labelY = (y1 + y2) / 2;
     }
 
-    updateDiagram(newData) {
-        this.diagramData = newData;
-        this.drawDiagram();
+    const group = this._createSvgElement('g', {
+      class: edge.back ? 'flow-graph-edge is-loop' : 'flow-graph-edge',
+      'data-from': edge.from,
+      'data-to': edge.to,
+    });
+    group.appendChild(this._createSvgElement('path', { d, 'marker-end': 'url(#flow-graph-arrow)' }));
+
+    if (edge.label) {
+      const tooltip = this._createSvgElement('title');
+      tooltip.textContent = edge.label;
+      group.appendChild(tooltip);
+
+      const label = this._createSvgElement('text', {
+        x: labelX,
+        y: labelY,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle',
+      });
+      label.textContent = this._truncate(edge.label, MAX_LABEL_LENGTH);
+      group.appendChild(label);
     }
+
+    this._edgeElements.set(this._edgeKey(edge.from, edge.to), group);
+    return group;
+  }
+
+  /**
+   * @private
+   */
+  _createArrowMarker() {
+    const defs = this._createSvgElement('defs');
+    const marker = this._createSvgElement('marker', {
+      id: 'flow-graph-arrow',
+      viewBox: '0 0 10 10',
+      refX: 10,
+      refY: 5,
+      markerWidth: 8,
+      markerHeight: 8,
+      orient: 'auto-start-reverse',
+    });
+    marker.appendChild(this._createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+    defs.appendChild(marker);
+    return defs;
+  }
+
+  /**
+   * 通話中のノードはその手順に戻り、それ以外はそのノードから始め直す
+   * @private
+   */
+  _select(nodeId) {
+    const steps = getFlowSteps(this.store.getState());
+    const index = steps.map((step) => step.nodeId).lastIndexOf(nodeId);
+
+    if (index !== -1) {
+      this.store.dispatch(jumpToStep(index));
+      return;
+    }
+
+    const title = getNodeTitle(this.diagramData, nodeId);
+    if (window.confirm(`「${title}」から始めますか？これまでの回答は取り消されます。`)) {
+      this.store.dispatch(startFlow(nodeId));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _edgeKey(from, to) {
+    return `${from}\u0000${to}`;
+  }
+
+  /**
+   * @private
+   */
+  _truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  /**
+   * @private
+   */
+  _createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+    return element;
+  }
 }
 
-export default FlowDiagram;
\ No newline at end of file
+export default FlowDiagram;
@@ -1,46 +1,210 @@
-// デフォルト値の設定ファイル
-// このファイルを編集することで、チェックボックスやラジオボタンのデフォルト値を変更できます
-
-const CONFIG = {
-  // ステータス: "済" または "未"
-  status: "未",
-
-  // 三菱チェックボックスのデフォルト状態 (true/false)
-  isMitsubishi: false,
-
-  // 有償警告ラジオボタンのデフォルト値: "有償警告" または "保証対象外部位有償案内"
-  paid: "有償警告",
-
-  // メーカー保証期間内チェックボックスのデフォルト状態 (true/false)
-  paidMakerWarranty: false,
-
-  // 日時・名前表示のデフォルト状態 (true/false)
-  showDatetimeName: false,
-
-  // チェックボックスのデフォルト状態 (true/false)
-  checks: {
-    "status-urgent": false,  // 至急対応希望
-    "status-note": false,     // 備考要確認
-    "status-name": false,     // 名前の聴取
-    "model-check": false,     // 型番確認
-    // "status-delay": true      // お日にちがかかる可能性
-  },
-
-  // 年末年始チェックボックスのデフォルト状態 (true/false)
-  newyear: true,
-
-  // 各種テキストメッセージ
-  texts: {
-    statusUrgent: "【至急対応希望】\n",
-    statusNote: "備考要確認\n",
-    statusName: "奥様の名前の聴取\n",
-    statusPaid: "有償警告",
-    statusDelay: "お日にちがかかる可能性案内"
-  },
-
-  // アニメーション設定
-  animation: {
-    flashColor: "#ffeb3b",    // ハイライト色
-    flashDuration: 300        // ハイライト時間（ミリ秒）
-  }
-};
+// デフォルト値の設定ファイル
+// このファイルを編集することで、チェックボックスやラジオボタンのデフォルト値を変更できます
+
+const CONFIG = {
+  // ステータス: "済" または "未"
+  status: "未",
+
+  // 三菱チェックボックスのデフォルト状態 (true/false)
+  isMitsubishi: false,
+
+  // 有償警告ラジオボタンのデフォルト値: "有償警告" または "保証対象外部位有償案内"
+  paid: "有償警告",
+
+  // メーカー保証期間内チェックボックスのデフォルト状態 (true/false)
+  paidMakerWarranty: false,
+
+  // 日時・名前表示のデフォルト状態 (true/false)
+  showDatetimeName: false,
+
+  // チェックボックスのデフォルト状態 (true/false)
+  checks: {
+    "status-urgent": false,  // 至急対応希望
+    "status-note": false,     // 備考要確認
+    "status-name": false,     // 名前の聴取
+    "model-check": false,     // 型番確認
+    // "status-delay": true      // お日にちがかかる可能性
+  },
+
+  // 年末年始チェックボックスのデフォルト状態 (true/false)
+  newyear: true,
+
+  // ショートカットボタン（この並び順で表示されます）
+  //   id: ボタンの識別子, label: ボタンの表示名, title: ツールチップ
+  //   paid: 有償警告ラジオボタンの値
+  //   paidMakerWarranty: メーカー保証期間内 (true/false)
+  //   paidStatus: 有償警告の案内済み (true/false)
+  //   delayStatus: お日にちがかかる可能性の案内済み (true/false)
+  //   dealerInformed: 販売店にて案内済み (true/false)
+  // 省略した項目はデフォルト値になります。
+  shortcuts: [
+    { id: "yu-mi", label: "10年保証/未", title: "10年保証有償警告/未", paid: "有償警告", paidMakerWarranty: false, paidStatus: false, delayStatus: false, dealerInformed: false },
+    { id: "yu-sumi", label: "10年保証/済", title: "10年保証有償警告/済", paid: "有償警告", paidMakerWarranty: false, paidStatus: true, delayStatus: true, dealerInformed: false },
+    { id: "me-mi", label: "メーカー保証/未", title: "メーカー保証期間内/未", paid: "有償警告", paidMakerWarranty: true, paidStatus: false, delayStatus: false, dealerInformed: false },
+    { id: "me-sumi", label: "メーカー保証/済", title: "メーカー保証期間内/済", paid: "有償警告", paidMakerWarranty: true, paidStatus: true, delayStatus: true, dealerInformed: false },
+    { id: "gai-mi", label: "保証対象外/未", title: "保証対象外部位/未", paid: "保証対象外部位有償案内", paidMakerWarranty: false, paidStatus: false, delayStatus: false, dealerInformed: false },
+    { id: "gai-sumi", label: "保証対象外/済", title: "保証対象外部位/済", paid: "保証対象外部位有償案内", paidMakerWarranty: false, paidStatus: true, delayStatus: true, dealerInformed: false },
+    // 例: 販売店にて案内済み + 済
+    // { id: "dealer-sumi", label: "販売店案内/済", title: "販売店にて案内済み/済", paid: "有償警告", paidStatus: true, delayStatus: true, dealerInformed: true },
+  ],
+
+  // オプション同士の連動ルール（上から順に評価されます）
+  //   when: 条件 { path, equals }（all / any で組み合わせ可）
+  //   set: 条件が成り立った時に変更する項目 { "checkboxes.statusNote": true }
+  //   require: 条件が成り立っている間は固定する項目
+  //   confirm: set を適用する前に表示する確認メッセージ
+  //   reason: 自動で変更した時に画面に表示する理由
+  //   actions: このアクションで変更された時だけ評価する（省略時は常に評価）
+  rules: [
+    {
+      id: "name-needs-note",
+      when: { path: "checkboxes.statusName", equals: true },
+      set: { "checkboxes.statusNote": true },
+      reason: "名前の聴取をオンにしたため、Teams用の「備考要確認」をオンにしました",
+      actions: ["SET_CHECK"],
+    },
+    {
+      id: "name-off-confirm-note",
+      when: { path: "checkboxes.statusName", equals: false },
+      confirm: "Teams用テンプレの「備考要確認」を非表示にしますか？",
+      set: { "checkboxes.statusNote": false },
+      actions: ["SET_CHECK"],
+    },
+    {
+      id: "dealer-informed-paid-status",
+      when: { path: "status.dealerInformed", equals: true },
+      set: { "status.paidStatus": true },
+      reason: "販売店にて案内済みのため、有償警告を「済」にしました",
+      actions: ["SET_DEALER_INFORMED"],
+    },
+    {
+      id: "dealer-uninformed-paid-status",
+      when: { path: "status.dealerInformed", equals: false },
+      set: { "status.paidStatus": false },
+      reason: "販売店にて案内済みを外したため、有償警告を「未」に戻しました",
+      actions: ["SET_DEALER_INFORMED"],
+    },
+    {
+      id: "newyear-over-mitsubishi",
+      when: {
+        all: [
+          { path: "checkboxes.newyear", equals: true },
+          { path: "checkboxes.mitsubishi", equals: true },
+        ],
+      },
+      reason: "年末年始がオンのため、三菱の文言ではなく年末年始トークが表示されます",
+    },
+  ],
+
+  // コピー前のチェック（条件に当てはまるとコピー時に表示されます）
+  //   level: "error"（コピーを止めて確認する）または "warning"（コピーして警告を表示する）
+  //   when: チェックに失敗する条件（rules と同じ書き方。matches は正規表現）
+  //   message: 表示するメッセージ
+  //   fields: ハイライトする入力欄のセレクタ
+  copyChecks: [
+    {
+      id: "operator-name-missing",
+      level: "error",
+      when: {
+        all: [
+          { path: "checkboxes.showDatetimeName", equals: true },
+          { path: "forms.nameInput", matches: "^\\s*$" },
+        ],
+      },
+      message: "オペレーター名が入力されていません",
+      fields: ["#name-input"],
+    },
+    {
+      id: "operator-name-placeholder",
+      level: "error",
+      when: {
+        all: [
+          { path: "checkboxes.showDatetimeName", equals: true },
+          { path: "forms.nameInput", matches: "■" },
+        ],
+      },
+      message: "オペレーター名が「■」のままです",
+      fields: ["#name-input"],
+    },
+    {
+      id: "dealer-informed-paid-pending",
+      level: "warning",
+      when: {
+        all: [
+          { path: "status.dealerInformed", equals: true },
+          { path: "status.paidStatus", equals: false },
+        ],
+      },
+      message: "販売店にて案内済みですが、有償警告が「未」になっています",
+      fields: ["#dealer-informed-checkbox", "#paid-status-checkbox"],
+    },
+  ],
+
+  // 出力プロファイル（結果表示エリア。この並び順で表示され、それぞれにコピーボタンが付きます）
+  //   id: 識別子, label: 表示名
+  //   fields: 含める項目（この順に出力）
+  //     datetimeName: 日時・名前, urgent: 至急対応希望, phoneGuidance: 店舗にて電話を代わっていただき案内,
+  //     dealerCostCoverage: 販売店の費用負担, personName: 名前の聴取, modelCheck: 型番確認,
+  //     note: 備考要確認, paid: 有償警告, delay: お日にちがかかる可能性
+  //   bullet: 箇条書きの記号（省略時 "・"）, linePrefix: 各行の先頭に付ける文字
+  //   datetimeFormat: 日時の形式（YYYY, MM, DD, HH, mm など。省略時 "YYYY/MM/DD HH:mm"）
+  //   newline: コピーする時の改行コード（省略時 "\n"）
+  //   visibleWhen: 表示する条件（rules と同じ書き方。省略時は常に表示）
+  //   autoCopy: ショートカットボタンを押した時に自動でコピーする (true/false)
+  outputs: [
+    {
+      id: "rsystem",
+      label: "R-system",
+      autoCopy: true,
+      fields: ["datetimeName", "urgent", "phoneGuidance", "dealerCostCoverage", "personName", "paid", "delay"],
+    },
+    {
+      id: "teams",
+      label: "Teams",
+      fields: ["datetimeName", "urgent", "modelCheck", "note", "paid", "delay"],
+      visibleWhen: {
+        any: [
+          { path: "checkboxes.statusNote", equals: true },
+          { path: "checkboxes.modelCheck", equals: true },
+        ],
+      },
+    },
+    // 例: チケット用（箇条書きは "- "、改行は CRLF）
+    // {
+    //   id: "ticket",
+    //   label: "チケット",
+    //   bullet: "- ",
+    //   datetimeFormat: "MM/DD HH:mm",
+    //   newline: "\r\n",
+    //   fields: ["datetimeName", "urgent", "personName", "paid", "delay"],
+    // },
+  ],
+
+  // 各種テキストメッセージ（結果テキストの文言）
+  // 「文言設定」ボタンから編集でき、編集内容はブラウザに保存されます。
+  texts: {
+    statusUrgent: "【至急対応希望】\n",
+    statusNote: "備考要確認\n",
+    statusNameSuffix: "の名前の聴取\n",              // 呼称の後ろに付く文言
+    statusPaid: "有償警告",
+    statusPaidMakerWarranty: "メーカー保証期間内の有償警告",
+    statusPaidOutOfWarranty: "保証対象外部位有償案内",
+    statusDelay: "お日にちがかかる可能性案内",
+    statusDelayMitsubishi: "通常よりお日にちがかかる可能性案内",
+    statusDelayNewyear: "年末年始トーク",
+    statusDone: "済",
+    statusPending: "未",
+    modelCheck: "型番確認\n",
+    dealerInformed: " (販売店にて案内済み)",
+    dealerCostCoverage: "費用が発生した場合、●●店/●●様(連絡先)が{coverage}負担するとのこと。", // {coverage} に全額/一部が入る
+    dealerCostCoverageFull: "全額",
+    dealerCostCoveragePartial: "一部",
+    phoneGuidanceAtStore: "お客様来店中のため、お電話を代わっていただき、案内。"
+  },
+
+  // アニメーション設定
+  animation: {
+    flashColor: "#ffeb3b",    // ハイライト色
+    flashDuration: 300        // ハイライト時間（ミリ秒）
+  }
+};
@@ -1,42 +1,122 @@
-// JavaScript configuration object for CallFlow (flat keys, no deep nesting)
+// JavaScript configuration object for CallFlow (same content as flow-config.json)
 // This file allows the app to load config when opened via file:// (no HTTP server needed)
+// Node types: question (buttons), select, input, info. See store/flowConfig.js.
 window.FLOW_CONFIG = {
-  initial: {
-    text: "修理のご依頼でしょうか？",
-    buttons: [
-      {
-        label: "はい",
-        action: "yes",
-        kv: { key: "isRepairRequest", value: "true" },
-      },
-      {
-        label: "いいえ",
-        action: "no",
-        kv: { key: "isRepairRequest", value: "false" },
-      },
-    ],
+  start: "initial",
+
+  labels: {
+    back: "戻る",
+    forward: "進む",
+    next: "次へ",
+    placeholder: "未選択",
   },
 
-  telephoneNumber: {
-    text: "お客様のお電話番号を教えていただけますでしょうか？",
-    buttons: [
-      {
-        label: "OK",
-        action: "yes",
-        kv: { key: "isTelephoneNumberOk", value: "true" },
-      },
+  // 通話後にコピーする対応メモ。{key} の値がまだない行は出さない。
+  summary: {
+    label: "対応メモ",
+    autoCopy: true,
+    lines: [
+      { when: "isRepairRequest", text: "修理受付" },
+      { when: "isRepairRequest == false", text: "修理以外のお問い合わせ（窓口案内済）" },
+      "メーカー: {manufacturer}",
+      { when: 'warranty == "in"', text: "保証: 期間内" },
+      { when: 'warranty == "out"', text: "保証: 期間外（有償修理案内済）" },
+      { when: 'warranty == "extended"', text: "保証: 延長保証" },
     ],
   },
 
-  manufacturer: {
-    text: "メーカーはどちらでしょうか？",
-    default: "未選択",
-    manufacturerOptions: ["三菱", "パナソニック", "TOTO", "LIXIL"],
-    kv_key: "manufacturer",
-  },
+  nodes: {
+    initial: {
+      title: "修理依頼",
+      type: "question",
+      text: "修理のご依頼でしょうか？",
+      buttons: [
+        {
+          label: "はい",
+          next: "telephoneNumber",
+          kv: { key: "isRepairRequest", value: true },
+        },
+        {
+          label: "いいえ",
+          next: "notRepair",
+          kv: { key: "isRepairRequest", value: false },
+        },
+      ],
+    },
+
+    telephoneNumber: {
+      title: "電話番号",
+      type: "question",
+      text: "お客様のお電話番号を教えていただけますでしょうか？",
+      buttons: [
+        {
+          label: "OK",
+          next: "manufacturer",
+          kv: { key: "phone_prompt", value: "ok" },
+        },
+      ],
+    },
+
+    manufacturer: {
+      title: "メーカー",
+      type: "select",
+      text: "メーカーはどちらでしょうか？",
+      key: "manufacturer",
+      options: ["三菱", "パナソニック", "TOTO", "LIXIL"],
+      next: "manufacturerConfirm",
+    },
+
+    manufacturerConfirm: {
+      title: "メーカー確認",
+      type: "info",
+      text: "メーカーは【{manufacturer}】ですね？",
+      next: "warranty",
+    },
+
+    // 延長保証は三菱のみ。分岐は上から順に評価する。
+    warranty: {
+      title: "保証",
+      type: "question",
+      text: "保証書に記載の保証期間内でしょうか？",
+      buttons: [
+        { label: "保証期間内", kv: { key: "warranty", value: "in" } },
+        { label: "保証期間外", kv: { key: "warranty", value: "out" } },
+        {
+          label: "延長保証",
+          when: 'manufacturer == "三菱"',
+          kv: { key: "warranty", value: "extended" },
+        },
+      ],
+      next: [
+        { when: 'warranty == "out"', next: "paidRepair" },
+        { when: 'manufacturer == "三菱" && isRepairRequest', next: "freeRepair" },
+        { next: "manufacturerSupport" },
+      ],
+    },
+
+    freeRepair: {
+      title: "無償修理",
+      type: "info",
+      text: "保証期間内のため、無償で修理を承ります",
+    },
+
+    paidRepair: {
+      title: "有償修理",
+      type: "info",
+      text: "保証期間外のため、有償修理となります。よろしいでしょうか？",
+    },
+
+    manufacturerSupport: {
+      title: "メーカー窓口案内",
+      type: "info",
+      text: "保証期間内の修理は、{manufacturer}のサポート窓口をご案内いたします",
+    },
 
-  manufacturerConfirm: {
-    text: "メーカーは【{manufacturer}】ですね？",
+    notRepair: {
+      title: "修理以外",
+      type: "info",
+      text: "こちらは、修理受付専用の窓口です",
+    },
+    // ここに続きのフローを追加する。
   },
-  // ここに続きのフローを追加する。
 };
@@ -12,8 +12,8 @@ window.COPY_HANDLER_CONFIG = {
   // 無視する要素（右クリックメニューを無効化しない要素）
   ignoreElements: ["input", "textarea", "button", "select"],
 
-  // 自動コピー対象の要素ID
-  autoCopyTargetId: "results",
+  // 自動コピー対象の要素のセレクタ（outputs の autoCopy: true の結果表示エリア）
+  autoCopySelector: ".results[data-auto-copy]",
 
   // クリックイベント設定
   copyOnLeftClick: false,    // 左クリックでコピー（デフォルト: 無効）
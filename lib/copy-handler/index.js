@@ -60,6 +60,8 @@
         onCopySuccess: null, // コピー成功時のコールバック
         showCopyIcon: true, // コピーアイコンを表示するか
         copyIconColor: null, // コピーアイコンの色（nullの場合はCSS変数を使用）
+        autoCopyTargetId: null, // autoCopyResults イベントを受け付ける要素ID
+        autoCopySelector: null, // autoCopyResults イベントを受け付ける要素のセレクタ
       };
 
       return { ...defaultConfig, ...config };
@@ -102,6 +104,16 @@
       });
     }
 
+    /**
+     * 要素からコピーするテキストを取得
+     * data-copy-text 属性があればその値（改行コードなどを表示と変えたい場合）、なければ innerText
+     * @param {HTMLElement} element - 対象要素
+     * @returns {string} - コピーするテキスト
+     */
+    #getCopyText(element) {
+      return element.dataset.copyText ?? element.innerText?.trim() ?? "";
+    }
+
     /**
      * テキストをクリップボードにコピー（静的メソッド）
      * @param {string} text - コピーするテキスト
@@ -159,21 +171,38 @@
 
     /**
      * テキストをコピーしてフラッシュアニメーションを実行
+     * コピー前に element から "copyhandler:beforecopy" イベント（bubbles: true, cancelable: true）を発火し、
+     * preventDefault() された場合はコピーしない
+     * コピー成功後、element から "copyhandler:copied" イベント（bubbles: true）を発火する
      * @param {HTMLElement} element - フラッシュ対象の要素
-     * @param {string} text - コピーするテキスト（省略時は element.innerText）
+     * @param {string} text - コピーするテキスト（省略時は data-copy-text 属性または element.innerText）
      * @param {Object} options - オプション（flashColor, transitionClass を上書き可能）
-     * @returns {Promise<string>} - コピーしたテキスト
+     * @param {Object} [options.eventDetail] - beforecopy / copied イベントの detail に追加する値
+     * @param {boolean} [options.skipBeforeCopy] - beforecopy イベントを発火しない（確認済みのコピー用）
+     * @returns {Promise<string|null>} - コピーしたテキスト（キャンセル時は null）
      */
     async copyWithFlash(element, text = null, options = {}) {
       // テキスト抽出（未指定時は element.innerText）
-      const copyText = text ?? element.innerText?.trim() ?? "";
+      const copyText = text ?? this.#getCopyText(element);
       if (!copyText) {
         throw new Error("No text to copy");
       }
 
       // 設定マージ（インスタンス設定 + メソッドオプション）
       const config = { ...this.#config, ...options };
-      const { flashColor, transitionClass, onCopySuccess } = config;
+      const { flashColor, transitionClass, onCopySuccess, eventDetail } = config;
+
+      // コピー前の確認（入力チェックなど）。detail.options で同じコピーをやり直せる
+      if (!config.skipBeforeCopy) {
+        const beforeCopyEvent = new CustomEvent("copyhandler:beforecopy", {
+          bubbles: true,
+          cancelable: true,
+          detail: { ...eventDetail, text: copyText, options },
+        });
+        if (!element.dispatchEvent(beforeCopyEvent)) {
+          return null;
+        }
+      }
 
       try {
         // コピー実行
@@ -187,6 +216,14 @@
           onCopySuccess(copyText, element);
         }
 
+        // コピー完了を通知（履歴の記録などに使用）
+        element.dispatchEvent(
+          new CustomEvent("copyhandler:copied", {
+            bubbles: true,
+            detail: { ...eventDetail, text: copyText },
+          }),
+        );
+
         return copyText;
       } catch (err) {
         console.error("Copy with flash failed:", err);
@@ -229,12 +266,15 @@
         e.preventDefault();
 
         // テキストを取得してコピー
-        const text = el.innerText?.trim() ?? "";
+        const text = this.#getCopyText(el);
         if (!text) return;
 
         // copyWithFlash を呼び出す際は、onCopySuccess を含むインスタンス設定を使用
         // options で明示的に上書きされている場合のみ反映
-        this.copyWithFlash(el, text, options);
+        this.copyWithFlash(el, text, {
+          ...options,
+          eventDetail: { source: "right-click" },
+        });
       });
 
       console.log("[CopyHandler] Right-click copy initialized");
@@ -295,11 +335,14 @@
         e.stopPropagation();
 
         // テキストを取得してコピー
-        const text = el.innerText?.trim() ?? "";
+        const text = this.#getCopyText(el);
         if (!text) return;
 
         // copyWithFlash を呼び出す
-        this.copyWithFlash(el, text, options);
+        this.copyWithFlash(el, text, {
+          ...options,
+          eventDetail: { source: "icon-click" },
+        });
       });
 
       console.log("[CopyHandler] Icon click copy initialized");
@@ -365,10 +408,44 @@
       this.initCopyOnRightClick(options);
       this.initCopyOnIconClick(options);
       this.initCopyOnTableCellClick(options);
+      this.initAutoCopy(options);
       this.setCopyIconVisibility(this.#config.showCopyIcon !== false);
       console.log("[CopyHandler] All copy features initialized");
     }
 
+    /**
+     * autoCopyResults イベントによる自動コピーを初期化
+     * autoCopyTargetId または autoCopySelector の要素から発火された（バブリングする）イベントのみ処理する
+     * @param {Object} options - オプション設定
+     */
+    initAutoCopy(options = {}) {
+      const config = { ...this.#config, ...options };
+      const { autoCopyTargetId, autoCopySelector } = config;
+
+      if (!autoCopyTargetId && !autoCopySelector) return;
+
+      document.addEventListener("autoCopyResults", (e) => {
+        // 指定された要素からのイベントのみ処理
+        const isTarget =
+          (autoCopyTargetId && e.target.id === autoCopyTargetId) ||
+          (autoCopySelector && e.target.matches(autoCopySelector));
+        if (!isTarget) return;
+
+        const text = this.#getCopyText(e.target);
+        if (!text) return;
+
+        // 失敗は copyWithFlash がログに出すので、ここでは握りつぶす（未処理の reject にしない）
+        this.copyWithFlash(e.target, text, {
+          ...options,
+          eventDetail: { ...e.detail },
+        }).catch(() => {});
+      });
+
+      console.log(
+        `[CopyHandler] Auto copy initialized (target: ${autoCopySelector || "#" + autoCopyTargetId})`,
+      );
+    }
+
     /**
      * .copyable-table のセルクリックでコピー機能を初期化
      * @param {Object} options - オプション設定
@@ -0,0 +1,39 @@
+/**
+ * Operator Name Sync for Manual App
+ * Shares the operator name with the other open tabs (templates/index.html)
+ * through the StateManager cross-tab sync plugin (store/sync.js)
+ */
+import StateManager from "../store/StateManager.js";
+import { createSync, createSyncReducer } from "../store/sync.js";
+
+const nameInput = document.getElementById("operator-name-input");
+
+if (nameInput) {
+  // templates/index.html と同じパスで共有する
+  const store = new StateManager(
+    { forms: { nameInput: nameInput.value } },
+    { reducers: { forms: createSyncReducer("forms") } }
+  );
+
+  // 他のタブで変更された名前を入力欄と .operator-name に反映
+  store.subscribe(
+    (state) => {
+      if (nameInput.value === state.forms.nameInput) return;
+      nameInput.value = state.forms.nameInput;
+      nameInput.dispatchEvent(new Event("input"));
+    },
+    (state) => state.forms.nameInput
+  );
+
+  nameInput.addEventListener("input", () => {
+    if (nameInput.value === store.getState().forms.nameInput) return;
+    store.setState(
+      (state) => ({ ...state, forms: { ...state.forms, nameInput: nameInput.value } }),
+      "SET_NAME_INPUT"
+    );
+  });
+
+  createSync({ channel: "operator", paths: ["forms.nameInput"] }).connect(store);
+
+  window.__STORE__ = store;
+}
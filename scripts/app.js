@@ -1,35 +1,79 @@
 /**
  * Application Entry Point
  *
- * Initializes the StateManager and bridges it with the existing templates.js code.
- * This allows gradual migration from the old global state to the new state management system.
+ * Initializes the StateManager and mounts the views that render from it.
+ * templates.js dispatches actions (window.__ACTIONS__, store/actions.js) into
+ * window.__STORE__; everything shown on the page is rendered by store
+ * subscriptions. window.__CONFIG__ is CONFIG with the imported profile applied.
  */
 
 import StateManager from '../store/StateManager.js';
-import { createInitialState } from '../store/initialState.js';
+import { createInitialState, TEMPLATE_STATE_SCHEMA } from '../store/initialState.js';
+import TemplateForm from '../components/TemplateForm.js';
+import TemplateResults from '../components/TemplateResults.js';
+import CallHistoryPanel from '../components/CallHistoryPanel.js';
+import TextCatalogDialog from '../components/TextCatalogDialog.js';
+import ProfilePanel from '../components/ProfilePanel.js';
+import CopyCheckDialog from '../components/CopyCheckDialog.js';
+import SessionRecovery from '../components/SessionRecovery.js';
+import StateInspector from '../components/StateInspector.js';
+import { loadTextCatalog } from '../store/textCatalog.js';
+import { loadProfile, applyProfile } from '../store/profile.js';
+import { createRules } from '../store/rules.js';
+import { createTemplateReducers } from '../store/reducers.js';
+import { createSync } from '../store/sync.js';
+import * as actions from '../store/actions.js';
+import { DEFAULT_OUTPUTS } from '../store/outputFormats.js';
 
 /**
  * Initialize the application
  */
 async function initializeApp() {
-  // Get CONFIG from defaults.js (loaded via script tag)
-  const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+  // Get CONFIG from defaults.js (loaded via script tag) and apply the imported profile
+  const profile = loadProfile();
+  const config = applyProfile(typeof CONFIG !== 'undefined' ? CONFIG : {}, profile);
+
+  // Default texts (CONFIG.texts) and the overrides saved from 文言設定
+  const defaultTexts = createInitialState(config).texts;
 
   // Create initial state
-  const initialState = createInitialState(config);
+  const initialState = createInitialState({
+    ...config,
+    texts: { ...defaultTexts, ...loadTextCatalog() },
+  });
+
+  // Evaluate the option rules (CONFIG.rules) on every change; templates.js
+  // shows the notices and asks the confirmations
+  const rules = createRules(config.rules || [], {
+    onEvaluate: ({ notices, confirmations }, action) => {
+      document.dispatchEvent(new CustomEvent('rules:evaluated', {
+        detail: { action, notices, confirmations },
+      }));
+    },
+  });
 
   // Initialize StateManager with logging enabled for debugging
   const store = new StateManager(initialState, {
     enableLogging: false, // Set to true for debugging
     enableValidation: true,
+    schema: TEMPLATE_STATE_SCHEMA,
+    reducers: createTemplateReducers(initialState),
+    // The rules run before validation, so the values they set are validated too
+    middleware: [rules.middleware],
     enableTimeTravel: true,
     maxHistorySize: 50
   });
+  rules.connect(store);
 
   // Make store globally accessible for debugging (file:// protocol safe)
   window.__STORE__ = store;
+  window.__CONFIG__ = config;
+  window.__ACTIONS__ = actions;
   console.log('✅ StateManager initialized. Access via window.__STORE__');
 
+  // In-page inspector (Ctrl+Alt+D or ?debug)
+  new StateInspector(store, { title: 'templates' }).mount();
+
   // Subscribe to state changes for debugging
   if (store._options.enableLogging) {
     store.subscribe((newState, prevState, action) => {
@@ -37,70 +81,24 @@ async function initializeApp() {
     });
   }
 
-  // Backward compatibility: Sync with old global state if it exists
-  if (typeof state !== 'undefined') {
-    console.log('⚠️ Legacy state object detected. Setting up bidirectional sync...');
-    setupLegacySync(store);
+  // Bind the template page views (templates/index.html only)
+  if (document.getElementById('outputs')) {
+    new TemplateForm(store).mount();
+    new TemplateResults(store, { outputs: config.outputs || DEFAULT_OUTPUTS }).mount();
+    new CallHistoryPanel(store, { shortcuts: config.shortcuts }).mount();
+    new TextCatalogDialog(store, { defaults: defaultTexts }).mount();
+    new ProfilePanel(store, { config, profile }).mount();
+    new CopyCheckDialog(store, { checks: config.copyChecks }).mount();
+    // Share the operator name (manual/index.html too) and 年末年始 with the other open tabs.
+    // Connected before the session autosave so the shared values are not saved as edits
+    createSync({ channel: 'operator', paths: ['forms.nameInput', 'checkboxes.newyear'] }).connect(store);
+    new SessionRecovery(store, { page: 'templates' }).mount();
   }
 
-  return store;
-}
-
-/**
- * Set up bidirectional sync between new StateManager and old global state
- * This is temporary during migration period
- *
- * @param {StateManager} store - The state manager instance
- */
-function setupLegacySync(store) {
-  // Old state -> New state (when old code updates state)
-  const oldState = window.state;
-
-  // Monitor old state changes (polling - not ideal but works for migration)
-  let lastOldState = JSON.stringify(oldState);
-
-  setInterval(() => {
-    const currentOldState = JSON.stringify(oldState);
-    if (currentOldState !== lastOldState) {
-      console.log('📡 Legacy state changed, syncing to new store...');
-
-      // Update new store from old state
-      store.setState(prevState => ({
-        ...prevState,
-        texts: {
-          ...prevState.texts,
-          statusUrgent: oldState.statusUrgentText,
-          statusNote: oldState.statusNoteText,
-          statusName: oldState.statusNameText,
-          statusPaid: oldState.statusPaidText,
-          statusDelay: oldState.statusDelayText,
-        },
-        status: {
-          ...prevState.status,
-          dealerInformed: oldState.dealerInformed,
-          paidStatus: oldState.paidStatus,
-          delayStatus: oldState.delayStatus,
-        }
-      }), 'LEGACY_SYNC');
+  // Let classic scripts (templates.js) know the store is available
+  document.dispatchEvent(new CustomEvent('store:ready', { detail: { store, config, actions } }));
 
-      lastOldState = currentOldState;
-    }
-  }, 100); // Check every 100ms
-
-  // New state -> Old state (when new store updates)
-  store.subscribe((newState) => {
-    // Update old global state
-    oldState.statusUrgentText = newState.texts.statusUrgent;
-    oldState.statusNoteText = newState.texts.statusNote;
-    oldState.statusNameText = newState.texts.statusName;
-    oldState.statusPaidText = newState.texts.statusPaid;
-    oldState.statusDelayText = newState.texts.statusDelay;
-    oldState.dealerInformed = newState.status.dealerInformed;
-    oldState.paidStatus = newState.status.paidStatus;
-    oldState.delayStatus = newState.status.delayStatus;
-  });
-
-  console.log('✅ Legacy state sync configured');
+  return store;
 }
 
 // Initialize when DOM is ready
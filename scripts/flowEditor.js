@@ -0,0 +1,61 @@
+/**
+ * Call Flow Editor Entry Point
+ *
+ * Loads data/flow-config.(js|json) into a StateManager ({ config }) and mounts
+ * the editor (components/FlowEditor.js). Nothing is saved in the browser: the
+ * edited config is downloaded and replaces the files in data/.
+ */
+
+import StateManager from '../store/StateManager.js';
+import FlowEditor from '../components/FlowEditor.js';
+import StateInspector from '../components/StateInspector.js';
+
+// Relative to call-flow/editor.html
+const CONFIG_URL = '../data/flow-config.json';
+
+// Used when no config can be loaded (a new flow)
+const EMPTY_CONFIG = { start: 'initial', nodes: { initial: { type: 'info', text: '' } } };
+
+/**
+ * Load the config like the call-flow page: window.FLOW_CONFIG (file://), then the JSON
+ * @returns {Promise<Object>} Flow config (a copy, as the store freezes its state)
+ */
+async function loadConfig() {
+  if (window.FLOW_CONFIG) {
+    return JSON.parse(JSON.stringify(window.FLOW_CONFIG));
+  }
+  try {
+    const res = await fetch(CONFIG_URL);
+    if (!res.ok) throw new Error(`Config fetch failed: ${res.status} ${res.statusText}`);
+    return await res.json();
+  } catch (err) {
+    console.warn('Could not load config, starting from an empty flow:', err);
+    return JSON.parse(JSON.stringify(EMPTY_CONFIG));
+  }
+}
+
+/**
+ * Initialize the editor
+ */
+async function initializeEditor() {
+  const config = await loadConfig();
+
+  const store = new StateManager({ config }, {
+    enableTimeTravel: true,
+    maxHistorySize: 100
+  });
+  window.__STORE__ = store;
+
+  new FlowEditor(store).mount();
+  new StateInspector(store, { title: 'flow-editor' }).mount();
+  return store;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeEditor);
+} else {
+  initializeEditor();
+}
+
+export { initializeEditor };
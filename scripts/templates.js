@@ -1,1261 +1,756 @@
-// ==========================================
-// 定数とデフォルト設定
-// ==========================================
-
-// デフォルト値を取得する関数
-// config/defaults.js で定義されたCONFIGオブジェクトが存在すれば使用、なければフォールバック
-function getConfig() {
-  // グローバルのCONFIGオブジェクトがあればそれを使用
-  if (typeof CONFIG !== "undefined") {
-    return CONFIG;
-  }
-
-  // フォールバック: defaults.jsが読み込まれていない場合のデフォルト値
-  console.warn("CONFIG not found. Using fallback defaults.");
-  return {
-    status: "未",
-    maker: "三菱以外",
-    paid: "有償警告",
-    paidMakerWarranty: false,
-    showDatetimeName: true,
-    newyear: false,
-    checks: {
-      "status-urgent": false,
-      "status-note": false,
-      "status-name": false,
-      // "status-delay": true,
-    },
-    texts: {
-      statusUrgent: "【至急対応希望】\n",
-      statusNote: "備考要確認\n",
-      statusName: "奥様の名前の聴取\n",
-      statusPaid: "有償警告",
-      statusDelay: "お日にちがかかる可能性案内",
-    },
-    animation: {
-      flashColor: "#ffeb3b",
-      flashDuration: 300,
-    },
-  };
-}
-
-// 設定を読み込む
-const config = getConfig();
-const DEFAULT_TEXTS = config.texts;
-const DEFAULTS = {
-  status: config.status,
-  maker: config.maker,
-  paid: config.paid,
-  paidMakerWarranty: config.paidMakerWarranty,
-  showDatetimeName: config.showDatetimeName,
-  newyear: config.newyear,
-  checks: config.checks,
-};
-const ANIMATION_CONFIG = config.animation;
-
-// ==========================================
-// 状態管理
-// ==========================================
-
-// 状態を保持するオブジェクト
-const state = {
-  statusUrgentText: DEFAULT_TEXTS.statusUrgent,
-  statusNoteText: DEFAULT_TEXTS.statusNote,
-  statusNameText: DEFAULT_TEXTS.statusName,
-  statusPaidText: DEFAULT_TEXTS.statusPaid,
-  statusDelayText: DEFAULT_TEXTS.statusDelay,
-  dealerInformed: false, // 販売店にて案内済みの状態
-  paidStatus: false, // 有償警告の案内済み状態
-  delayStatus: false, // お日にちがかかる可能性の案内済み状態
-};
-
-// targetId に対応する最新の表示文字列を返す
-function getTextFor(targetId) {
-  switch (targetId) {
-    case "status-urgent":
-      return state.statusUrgentText;
-    case "status-note":
-      return "・" + state.statusNoteText;
-    case "status-name":
-      return "・" + state.statusNameText;
-    case "status-delay":
-      return "・" + state.statusDelayText;
-    case "model-check":
-      return "・型番確認\n";
-    default:
-      return "";
-  }
-}
-
-// 状態を更新する関数
-function updateStateText(key, value) {
-  if (state.hasOwnProperty(key)) {
-    state[key] = value;
-  }
-}
-
-// ==========================================
-// ユーティリティ関数
-// ==========================================
-
-// 要素ごとの元の背景色とタイマーを保持するWeakMap
-const elementFlashData = new WeakMap();
-
-// 指定した要素の背景色を一定時間変更する関数
-function flashElement(
-  element,
-  color = ANIMATION_CONFIG.flashColor,
-  duration = ANIMATION_CONFIG.flashDuration
-) {
-  if (!element) return;
-
-  // 既存のフラッシュデータを取得または初期化
-  let flashData = elementFlashData.get(element);
-
-  if (!flashData) {
-    // 初回: 元の背景色を保存
-    flashData = {
-      originalBackground: element.style.backgroundColor || "",
-      timerId: null,
-    };
-    elementFlashData.set(element, flashData);
-  }
-
-  // 既存のタイマーがあればクリア
-  if (flashData.timerId) {
-    clearTimeout(flashData.timerId);
-  }
-
-  // 背景色を変更
-  element.style.backgroundColor = color;
-
-  // 新しいタイマーを設定
-  flashData.timerId = setTimeout(() => {
-    element.style.backgroundColor = flashData.originalBackground;
-    flashData.timerId = null;
-  }, duration);
-}
-
-// 現在の日時をフォーマットして返す関数
-function getCurrentDateTime() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const day = String(now.getDate()).padStart(2, "0");
-  const hours = String(now.getHours()).padStart(2, "0");
-  const minutes = String(now.getMinutes()).padStart(2, "0");
-
-  return `${year}/${month}/${day} ${hours}:${minutes} `;
-}
-
-// 現在の日時を表示する関数
-function displayCurrentDateTime() {
-  const formattedDateTime = getCurrentDateTime();
-  const datetimeElements = document.querySelectorAll(".current-datetime");
-  datetimeElements.forEach((el) => {
-    el.textContent = formattedDateTime;
-  });
-}
-
-// ==========================================
-// DOM要素管理と表示更新
-// ==========================================
-
-// DOM要素の参照を保持
-let elements = {};
-
-// DOM要素を初期化
-function initializeElements() {
-  elements = {
-    statusCheckbox: document.getElementById("status-checkbox"),
-    paidStatusCheckbox: document.getElementById("paid-status-checkbox"),
-    delayStatusCheckbox: document.getElementById("delay-status-checkbox"),
-    mitsubishiCheckbox: document.getElementById("mitsubishi-checkbox"),
-    newyearCheckbox: document.getElementById("newyear-checkbox"),
-    showDatetimeNameCheckbox: document.getElementById(
-      "show-datetime-name-checkbox"
-    ),
-    detailedViewCheckbox: document.getElementById("detailed-view-checkbox"),
-    paidRadios: document.querySelectorAll(".paid-radio"),
-    paidMakerWarrantyCheckbox: document.getElementById(
-      "paid-maker-warranty-checkbox"
-    ),
-    dealerInformedCheckbox: document.getElementById("dealer-informed-checkbox"),
-    personSelect: document.getElementById("person-select"),
-    updateDatetimeBtn: document.getElementById("update-datetime-btn"),
-    resetBtn: document.getElementById("reset-btn"),
-    nameInput: document.getElementById("name-input"),
-    checkboxes: document.querySelectorAll(".check-item"),
-    datetimeNameContainers: document.querySelectorAll(
-      ".datetime-name-container"
-    ),
-    shortcutYuMi: document.getElementById("shortcut-yu-mi"),
-    shortcutYuSumi: document.getElementById("shortcut-yu-sumi"),
-    shortcutMeMi: document.getElementById("shortcut-me-mi"),
-    shortcutMeSumi: document.getElementById("shortcut-me-sumi"),
-    shortcutGaiMi: document.getElementById("shortcut-gai-mi"),
-    shortcutGaiSumi: document.getElementById("shortcut-gai-sumi"),
-  };
-  return elements;
-}
-
-// ステータスチェックボックスの状態を子チェックボックスの状態に基づいて更新する関数
-function updateStatusCheckboxState() {
-  if (
-    !elements.statusCheckbox ||
-    !elements.paidStatusCheckbox ||
-    !elements.delayStatusCheckbox
-  ) {
-    return;
-  }
-
-  const paidChecked = elements.paidStatusCheckbox.checked;
-  const delayChecked = elements.delayStatusCheckbox.checked;
-
-  if (paidChecked && delayChecked) {
-    // 両方チェックされている場合
-    elements.statusCheckbox.checked = true;
-    elements.statusCheckbox.indeterminate = false;
-  } else if (!paidChecked && !delayChecked) {
-    // 両方チェックされていない場合
-    elements.statusCheckbox.checked = false;
-    elements.statusCheckbox.indeterminate = false;
-  } else {
-    // 混在している場合（不確定状態）
-    elements.statusCheckbox.checked = false;
-    elements.statusCheckbox.indeterminate = true;
-  }
-
-  updateStatusDisplay();
-}
-
-// ステータス表示を更新する関数
-function updateStatusDisplay() {
-  // チェックボックスがチェックされていれば「済」、そうでなければ「未」
-  const selectedStatus =
-    elements.statusCheckbox && elements.statusCheckbox.checked ? "済" : "未";
-
-  // #status-value を更新（結果表示エリア用、改行付き）
-  const statusDisplay = document.getElementById("status-value");
-  if (statusDisplay) {
-    statusDisplay.textContent = selectedStatus + "\n";
-  }
-
-  // .status-display-paid の表示を状態に基づいて更新
-  const statusDisplayPaidElements = document.querySelectorAll(
-    ".status-display-paid"
-  );
-  statusDisplayPaidElements.forEach((el) => {
-    const paidStatusText = state.paidStatus ? "済" : "未";
-    el.textContent = paidStatusText;
-    // 背景色を設定（済=薄い緑、未=薄いピンク）
-    el.style.backgroundColor = state.paidStatus ? "#d4edda" : "#f8d7da";
-  });
-
-  // .status-display-delay の表示を状態に基づいて更新
-  const statusDisplayDelayElements = document.querySelectorAll(
-    ".status-display-delay"
-  );
-  statusDisplayDelayElements.forEach((el) => {
-    const delayStatusText = state.delayStatus ? "済" : "未";
-    el.textContent = delayStatusText;
-    // 背景色を設定（済=薄い緑、未=薄いピンク）
-    el.style.backgroundColor = state.delayStatus ? "#d4edda" : "#f8d7da";
-  });
-
-  // .status-paid の表示状態に応じて .status-display-paid の表示を制御
-  const statusPaidElements = document.querySelectorAll(".status-paid");
-  statusPaidElements.forEach((statusPaidEl, index) => {
-    const isPaidVisible = statusPaidEl.textContent.trim() !== "";
-    if (statusDisplayPaidElements[index]) {
-      statusDisplayPaidElements[index].style.display = isPaidVisible
-        ? ""
-        : "none";
-    }
-  });
-
-  // .status-delay の表示状態に応じて .status-display-delay の表示を制御
-  const statusDelayElementsForDisplay =
-    document.querySelectorAll(".status-delay");
-  statusDelayElementsForDisplay.forEach((statusDelayEl, index) => {
-    const isDelayVisible = statusDelayEl.textContent.trim() !== "";
-    if (statusDisplayDelayElements[index]) {
-      statusDisplayDelayElements[index].style.display = isDelayVisible
-        ? ""
-        : "none";
-    }
-  });
-}
-
-// 有償警告表示を更新する関数
-function updatePaidDisplay() {
-  const statusPaidElements = document.querySelectorAll(".status-paid");
-  const dealerInformedDisplayElements = document.querySelectorAll(
-    ".dealer-informed-display"
-  );
-
-  // ラジオボタンで選択された値を取得
-  const selectedRadio = document.querySelector(
-    '.paid-radio[name="paid"]:checked'
-  );
-  const selectedValue = selectedRadio ? selectedRadio.value : "";
-
-  // メーカー保証期間内チェックボックスの状態を確認
-  const isMakerWarranty =
-    elements.paidMakerWarrantyCheckbox &&
-    elements.paidMakerWarrantyCheckbox.checked;
-
-  // 表示内容を決定
-  let displayText = "";
-
-  if (selectedValue) {
-    if (isMakerWarranty && selectedValue !== "保証対象外部位有償案内") {
-      // メーカー保証期間内がtrueで、保証対象外部位有償案内がfalseの場合
-      displayText = "・メーカー保証期間内の有償警告";
-    } else {
-      // それ以外の場合は選択された値をそのまま表示
-      displayText = "・" + selectedValue;
-    }
-  }
-
-  statusPaidElements.forEach((el) => {
-    el.textContent = displayText;
-  });
-
-  // 販売店にて案内済みの表示を更新
-  dealerInformedDisplayElements.forEach((el) => {
-    el.textContent = state.dealerInformed ? " (販売店にて案内済み)" : "";
-  });
-
-  // status-display要素の表示制御も更新
-  updateStatusDisplay();
-}
-
-// 状態に基づいてチェックボックスを更新する関数
-function updateCheckboxesFromState() {
-  // paid-status-checkboxを更新
-  if (elements.paidStatusCheckbox) {
-    elements.paidStatusCheckbox.checked = state.paidStatus;
-  }
-
-  // delay-status-checkboxを更新
-  if (elements.delayStatusCheckbox) {
-    elements.delayStatusCheckbox.checked = state.delayStatus;
-  }
-
-  // ステータスチェックボックスの状態を更新
-  updateStatusCheckboxState();
-  updateStatusDisplay();
-}
-
-// status-name専用の表示更新関数
-function updateStatusNameDisplay(isChecked) {
-  const prefixElements = document.querySelectorAll(".status-name-prefix");
-  const personNameElements = document.querySelectorAll(".person-name");
-  const suffixElements = document.querySelectorAll(".status-name-suffix");
-
-  if (isChecked) {
-    // チェックされている場合：3つの要素に分けて表示
-    prefixElements.forEach((el) => (el.textContent = "・"));
-    personNameElements.forEach(
-      (el) => (el.textContent = elements.personSelect.value)
-    );
-    suffixElements.forEach((el) => (el.textContent = "の名前の聴取\n"));
-  } else {
-    // チェックされていない場合：すべて空に
-    prefixElements.forEach((el) => (el.textContent = ""));
-    personNameElements.forEach((el) => (el.textContent = ""));
-    suffixElements.forEach((el) => (el.textContent = ""));
-  }
-}
-
-// 全表示を現在の状態で更新する
-function updateDisplays() {
-  console.log("updateDisplays called");
-  elements.checkboxes.forEach((cb) => {
-    // status-name の場合は専用関数を使用
-    if (cb.dataset.target === "status-name") {
-      updateStatusNameDisplay(cb.checked);
-    } else if (cb.dataset.target === "model-check") {
-      // model-check の場合は専用の表示先を使用
-      const displays = document.querySelectorAll(".model-check-display");
-      displays.forEach((display) => {
-        display.textContent = cb.checked ? getTextFor(cb.dataset.target) : "";
-      });
-    } else {
-      const displays = document.querySelectorAll("." + cb.dataset.target);
-      displays.forEach((display) => {
-        display.textContent = cb.checked ? getTextFor(cb.dataset.target) : "";
-      });
-    }
-  });
-
-  // status-delay要素を直接更新（チェックボックスが削除されたため）
-  const statusDelayElements = document.querySelectorAll(".status-delay");
-  statusDelayElements.forEach((el) => {
-    el.textContent = "・" + state.statusDelayText;
-  });
-
-  // status-noteとmodel-checkの両方がfalseの時、親div要素を非表示にする
-  updateNoteAndModelCheckVisibility();
-
-  // status-display要素の表示制御も更新
-  updateStatusDisplay();
-}
-
-// phone-guidance-at-storeの表示/非表示を制御する関数
-function updatePhoneGuidanceVisibility() {
-  const checkbox = document.getElementById("phone-guidance-at-store-checkbox");
-  const element = document.getElementById("phone-guidance-at-store");
-
-  if (checkbox && element) {
-    element.style.display = checkbox.checked ? "" : "none";
-  }
-}
-
-// dealer-cost-coverageの表示/非表示を制御する関数
-function updateDealerCostCoverageVisibility() {
-  const checkbox = document.getElementById("dealer-cost-coverage-checkbox");
-  const select = document.getElementById("dealer-cost-coverage-select");
-  const element = document.getElementById("dealer-cost-coverage");
-
-  if (checkbox && element && select) {
-    if (checkbox.checked) {
-      const coverageTypes = {
-        full: "全額",
-        partial: "一部",
-      };
-
-      const coverageType = coverageTypes[select.value];
-      element.textContent = coverageType
-        ? `費用が発生した場合、●●店/●●様(連絡先)が${coverageType}負担するとのこと。`
-        : "";
-      element.style.display = "";
-    } else {
-      element.textContent = "";
-      element.style.display = "none";
-    }
-  }
-}
-
-// status-noteとmodel-checkの表示/非表示を制御する関数
-function updateNoteAndModelCheckVisibility() {
-  console.log("updateNoteAndModelCheckVisibility called");
-  // status-noteとmodel-checkのチェックボックスを取得
-  const statusNoteCheckbox = document.querySelector(
-    'input[data-target="status-note"]'
-  );
-  const modelCheckCheckbox = document.querySelector(
-    'input[data-target="model-check"]'
-  );
-
-  // チェック状態を取得
-  const isStatusNoteChecked = statusNoteCheckbox
-    ? statusNoteCheckbox.checked
-    : false;
-  const isModelCheckChecked = modelCheckCheckbox
-    ? modelCheckCheckbox.checked
-    : false;
-
-  // 両方がfalseの場合は非表示
-  const shouldHide = !isStatusNoteChecked && !isModelCheckChecked;
-
-  // teams-results-containerを取得して表示/非表示を切り替え
-  const teamsContainer = document.getElementById("teams-results-container");
-
-  if (teamsContainer) {
-    // 両方がfalseなら非表示、それ以外は表示
-    teamsContainer.style.display = shouldHide ? "none" : "";
-  }
-  // #results-for-rsystem-labelの表示/非表示も切り替え
-  const rsystemLabel = document.getElementById("results-for-rsystem-label");
-  if (rsystemLabel) {
-    rsystemLabel.style.display = shouldHide ? "none" : "";
-  }
-}
-
-// 名前表示を更新する関数
-function updateNameDisplay() {
-  const nameValue = elements.nameInput.value.trim();
-  const nameDisplayElements = document.querySelectorAll(".name-display");
-  nameDisplayElements.forEach((el) => {
-    el.textContent = nameValue;
-  });
-}
-
-// CC・名前表示の表示/非表示を更新する関数
-function updateDatetimeNameVisibility() {
-  if (!elements.showDatetimeNameCheckbox || !elements.datetimeNameContainers) {
-    return;
-  }
-
-  const isVisible = elements.showDatetimeNameCheckbox.checked;
-
-  // trueなら表示、falseなら非表示（div全体を制御）
-  elements.datetimeNameContainers.forEach((container) => {
-    container.style.display = isVisible ? "" : "none";
-  });
-}
-
-// ==========================================
-// イベントハンドラ
-// ==========================================
-
-// 名前入力イベントハンドラ
-function setupNameInputHandler() {
-  if (elements.nameInput) {
-    elements.nameInput.addEventListener("input", () => {
-      updateNameDisplay();
-    });
-  }
-}
-
-// 日時・名前表示チェックボックスイベントハンドラ
-function setupShowDatetimeNameCheckboxHandler() {
-  if (elements.showDatetimeNameCheckbox) {
-    elements.showDatetimeNameCheckbox.addEventListener("change", () => {
-      updateDatetimeNameVisibility();
-    });
-  }
-}
-
-// 詳細表示チェックボックスイベントハンドラ
-function setupDetailedViewCheckboxHandler() {
-  if (elements.detailedViewCheckbox) {
-    elements.detailedViewCheckbox.addEventListener("change", () => {
-      updateDetailedViewVisibility();
-    });
-  }
-}
-
-// 詳細表示の表示/非表示を切り替える関数
-function updateDetailedViewVisibility() {
-  const isDetailedView =
-    elements.detailedViewCheckbox && elements.detailedViewCheckbox.checked;
-  const detailedSections = document.querySelectorAll(".detailed-section");
-
-  detailedSections.forEach((section) => {
-    if (isDetailedView) {
-      section.style.display = "";
-    } else {
-      section.style.display = "none";
-    }
-  });
-}
-
-// 日時更新ボタンイベントハンドラ
-function setupDatetimeButtonHandler() {
-  if (elements.updateDatetimeBtn) {
-    elements.updateDatetimeBtn.addEventListener("click", () => {
-      displayCurrentDateTime();
-    });
-  }
-}
-
-// リセットボタンイベントハンドラ
-function setupResetButtonHandler() {
-  if (elements.resetBtn) {
-    elements.resetBtn.addEventListener("click", () => {
-      // オペレーター名を保存
-      const currentName = elements.nameInput ? elements.nameInput.value : "";
-
-      // デフォルト値を再適用
-      applyDefaults();
-
-      // オペレーター名を復元
-      if (elements.nameInput) {
-        elements.nameInput.value = currentName;
-        updateNameDisplay();
-      }
-
-      // 日時を更新
-      displayCurrentDateTime();
-
-      // 表示を更新
-      updateDisplays();
-    });
-  }
-}
-
-// ショートカット処理のヘルパー関数
-function applyShortcut(options = {}) {
-  const {
-    paidStatus = undefined,
-    delayStatus = undefined,
-    dealerInformed = undefined,
-    applyDefaultsFirst = false,
-  } = options;
-
-  // デフォルト値を適用する場合
-  if (applyDefaultsFirst) {
-    // オペレーター名を保存
-    const currentName = elements.nameInput ? elements.nameInput.value : "";
-
-    // デフォルト値を適用
-    applyDefaults();
-
-    // オペレーター名を復元
-    if (elements.nameInput) {
-      elements.nameInput.value = currentName;
-      updateNameDisplay();
-    }
-  }
-
-  // 状態を更新（undefinedでない値のみ）
-  if (paidStatus !== undefined) {
-    state.paidStatus = paidStatus;
-    if (elements.paidStatusCheckbox) {
-      elements.paidStatusCheckbox.checked = paidStatus;
-    }
-  }
-
-  if (delayStatus !== undefined) {
-    state.delayStatus = delayStatus;
-    if (elements.delayStatusCheckbox) {
-      elements.delayStatusCheckbox.checked = delayStatus;
-    }
-  }
-
-  if (dealerInformed !== undefined) {
-    state.dealerInformed = dealerInformed;
-    if (elements.dealerInformedCheckbox) {
-      elements.dealerInformedCheckbox.checked = dealerInformed;
-    }
-  }
-
-  // 日時を更新
-  displayCurrentDateTime();
-
-  // 表示を更新
-  updateDisplays();
-  updatePaidDisplay();
-  updateDatetimeNameVisibility();
-
-  // カスタムイベントを発火（DOM更新後）
-  requestAnimationFrame(() => {
-    const resultsElement = document.getElementById("results");
-    if (resultsElement) {
-      resultsElement.dispatchEvent(
-        new CustomEvent("autoCopyResults", {
-          bubbles: true,
-          detail: {
-            source: "shortcut-button",
-            timestamp: Date.now(),
-          },
-        })
-      );
-    }
-  });
-}
-
-// ショートカットボタンのイベントハンドラ
-function setupShortcutButtonsHandler() {
-  // 有未ボタン
-  if (elements.shortcutYuMi) {
-    elements.shortcutYuMi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: false,
-        delayStatus: false,
-        dealerInformed: false,
-      });
-    });
-  }
-
-  // 有済ボタン
-  if (elements.shortcutYuSumi) {
-    elements.shortcutYuSumi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: true,
-        delayStatus: true,
-      });
-    });
-  }
-
-  // メーカー保証/未ボタン
-  if (elements.shortcutMeMi) {
-    elements.shortcutMeMi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: false,
-        delayStatus: false,
-      });
-      // paidMakerWarrantyをtrueに設定
-      if (elements.paidMakerWarrantyCheckbox) {
-        elements.paidMakerWarrantyCheckbox.checked = true;
-        updatePaidDisplay();
-      }
-    });
-  }
-
-  // メーカー保証/済ボタン
-  if (elements.shortcutMeSumi) {
-    elements.shortcutMeSumi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: true,
-        delayStatus: true,
-      });
-      // paidMakerWarrantyをtrueに設定
-      if (elements.paidMakerWarrantyCheckbox) {
-        elements.paidMakerWarrantyCheckbox.checked = true;
-        updatePaidDisplay();
-      }
-    });
-  }
-
-  // 保証対象外部位/未ボタン
-  if (elements.shortcutGaiMi) {
-    elements.shortcutGaiMi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: false,
-        delayStatus: false,
-      });
-
-      // paid radioを「保証対象外部位有償案内」に切り替え
-      const outOfWarrantyRadio = document.querySelector(
-        'input[name="paid"][value="保証対象外部位有償案内"]'
-      );
-      if (outOfWarrantyRadio) {
-        outOfWarrantyRadio.checked = true;
-      }
-
-      // 表示を更新
-      updatePaidDisplay();
-    });
-  }
-
-  // 保証対象外部位/済ボタン
-  if (elements.shortcutGaiSumi) {
-    elements.shortcutGaiSumi.addEventListener("click", () => {
-      applyShortcut({
-        applyDefaultsFirst: true,
-        paidStatus: true,
-        delayStatus: true,
-      });
-
-      // paid radioを「保証対象外部位有償案内」に切り替え
-      const outOfWarrantyRadio = document.querySelector(
-        'input[name="paid"][value="保証対象外部位有償案内"]'
-      );
-      if (outOfWarrantyRadio) {
-        outOfWarrantyRadio.checked = true;
-      }
-
-      // 表示を更新
-      updatePaidDisplay();
-    });
-  }
-}
-
-// 呼称select変更イベントハンドラ
-function setupPersonSelectHandler() {
-  if (elements.personSelect) {
-    elements.personSelect.addEventListener("change", () => {
-      const selectedPerson = elements.personSelect.value;
-      updateStateText("statusNameText", selectedPerson + "の名前の聴取\n");
-
-      // person-name要素のみを更新（flashElementはMutationObserverが自動的に実行）
-      const personNameElements = document.querySelectorAll(".person-name");
-      personNameElements.forEach((el) => {
-        el.textContent = selectedPerson;
-      });
-    });
-  }
-}
-
-// ステータスチェックボックス変更イベントハンドラ
-function setupStatusCheckboxHandler() {
-  if (elements.statusCheckbox) {
-    elements.statusCheckbox.addEventListener("change", () => {
-      // indeterminateの場合は、クリックでcheckedに変更
-      if (elements.statusCheckbox.indeterminate) {
-        elements.statusCheckbox.indeterminate = false;
-        elements.statusCheckbox.checked = true;
-      }
-
-      const isChecked = elements.statusCheckbox.checked;
-
-      // 状態を更新
-      state.paidStatus = isChecked;
-      state.delayStatus = isChecked;
-
-      // 状態に基づいてUIを更新
-      updateCheckboxesFromState();
-    });
-  }
-}
-
-// paid-status-checkbox変更イベントハンドラ
-function setupPaidStatusCheckboxHandler() {
-  if (elements.paidStatusCheckbox) {
-    elements.paidStatusCheckbox.addEventListener("change", () => {
-      // 状態を更新
-      state.paidStatus = elements.paidStatusCheckbox.checked;
-
-      // UIを更新
-      updateStatusCheckboxState();
-      updateStatusDisplay();
-    });
-  }
-}
-
-// delay-status-checkbox変更イベントハンドラ
-function setupDelayStatusCheckboxHandler() {
-  if (elements.delayStatusCheckbox) {
-    elements.delayStatusCheckbox.addEventListener("change", () => {
-      // 状態を更新
-      state.delayStatus = elements.delayStatusCheckbox.checked;
-
-      // UIを更新
-      updateStatusCheckboxState();
-      updateStatusDisplay();
-    });
-  }
-}
-
-// メーカーチェックボックス変更イベントハンドラ
-function setupMitsubishiCheckboxHandler() {
-  if (elements.mitsubishiCheckbox) {
-    elements.mitsubishiCheckbox.addEventListener("change", () => {
-      console.log("mitsubishi checkbox changed");
-      // 年末年始がチェックされている場合は年末年始トークを維持
-      if (elements.newyearCheckbox && elements.newyearCheckbox.checked) {
-        updateStateText("statusDelayText", "年末年始トーク");
-      } else {
-        const isMitsubishi = elements.mitsubishiCheckbox.checked;
-        if (isMitsubishi) {
-          // 三菱
-          updateStateText(
-            "statusDelayText",
-            "通常よりお日にちがかかる可能性案内"
-          );
-        } else {
-          // 三菱以外
-          updateStateText("statusDelayText", "お日にちがかかる可能性案内");
-        }
-      }
-      // 表示を再描画
-      updateDisplays();
-    });
-  }
-}
-
-// 年末年始チェックボックス変更イベントハンドラ
-function setupNewyearCheckboxHandler() {
-  if (elements.newyearCheckbox) {
-    elements.newyearCheckbox.addEventListener("change", () => {
-      console.log("newyear checkbox changed");
-
-      if (elements.newyearCheckbox.checked) {
-        // チェックされている場合は「年末年始トーク」に変更
-        updateStateText("statusDelayText", "年末年始トーク");
-      } else {
-        // チェックが外れた場合は、三菱チェックボックスの状態に応じて元に戻す
-        const isMitsubishi = !!(
-          elements.mitsubishiCheckbox && elements.mitsubishiCheckbox.checked
-        );
-        if (isMitsubishi) {
-          updateStateText(
-            "statusDelayText",
-            "通常よりお日にちがかかる可能性案内"
-          );
-        } else {
-          updateStateText("statusDelayText", "お日にちがかかる可能性案内");
-        }
-      }
-      // 表示を再描画
-      updateDisplays();
-    });
-  }
-}
-
-// 有償警告のイベントハンドラ
-function setupPaidHandlers() {
-  // ラジオボタンのイベントハンドラ
-  elements.paidRadios.forEach((radio) => {
-    radio.addEventListener("change", () => {
-      updatePaidDisplay();
-    });
-  });
-
-  // メーカー保証期間内チェックボックスのイベントハンドラ
-  if (elements.paidMakerWarrantyCheckbox) {
-    elements.paidMakerWarrantyCheckbox.addEventListener("change", () => {
-      updatePaidDisplay();
-    });
-  }
-}
-
-// 販売店にて案内済みチェックボックス変更イベントハンドラ
-function setupDealerInformedCheckboxHandler() {
-  if (elements.dealerInformedCheckbox) {
-    elements.dealerInformedCheckbox.addEventListener("change", () => {
-      // 状態を更新
-      state.dealerInformed = elements.dealerInformedCheckbox.checked;
-      state.paidStatus = elements.dealerInformedCheckbox.checked;
-
-      // 有償警告表示を更新
-      updatePaidDisplay();
-
-      // 状態に基づいてUIを更新
-      updateCheckboxesFromState();
-    });
-  }
-}
-
-// チェックボックス変更イベントハンドラ
-function setupCheckboxesHandler() {
-  console.log("setupCheckboxesHandler called");
-  elements.checkboxes.forEach((cb) => {
-    cb.addEventListener("change", () => {
-      // status-name の場合は専用関数を使用
-      if (cb.dataset.target === "status-name") {
-        updateStatusNameDisplay(cb.checked);
-        // falseになった時、モーダルを表示
-        if (!cb.checked) {
-          showStatusNoteConfirmModal(cb);
-        } else {
-          // status-name が true になったら status-note も true にする
-          const statusNoteCheckbox = document.querySelector(
-            'input[data-target="status-note"]'
-          );
-          if (statusNoteCheckbox && !statusNoteCheckbox.checked) {
-            statusNoteCheckbox.checked = true;
-            // status-note の表示も更新
-            const displays = document.querySelectorAll(".status-note");
-            displays.forEach((display) => {
-              display.textContent = getTextFor("status-note");
-            });
-          }
-        }
-      } else if (cb.dataset.target === "model-check") {
-        // model-check の場合は専用の表示先を使用
-        const displays = document.querySelectorAll(".model-check-display");
-        displays.forEach((display) => {
-          display.textContent = cb.checked ? getTextFor(cb.dataset.target) : "";
-        });
-      } else {
-        const displays = document.querySelectorAll("." + cb.dataset.target);
-        displays.forEach((display) => {
-          display.textContent = cb.checked ? getTextFor(cb.dataset.target) : "";
-        });
-      }
-
-      // status-display要素の表示制御も更新
-      updateStatusDisplay();
-
-      // teams-results-containerの表示/非表示を更新
-      updateNoteAndModelCheckVisibility();
-    });
-  });
-}
-
-// status-noteの確認モーダルを表示する関数
-function showStatusNoteConfirmModal(statusNameCheckbox) {
-  const modal = document.getElementById("statusNoteConfirmModal");
-  const yesButton = document.getElementById("statusNoteConfirmYes");
-  const noButton = document.getElementById("statusNoteConfirmNo");
-
-  if (!modal || !yesButton || !noButton) return;
-
-  // Bootstrapのモーダルインスタンスを取得または作成
-  const bootstrapModal = new bootstrap.Modal(modal);
-
-  // 「はい」ボタンのクリックハンドラー
-  const handleYes = () => {
-    // status-noteチェックボックスをfalseにする
-    const statusNoteCheckbox = document.querySelector(
-      'input[data-target="status-note"]'
-    );
-    if (statusNoteCheckbox) {
-      statusNoteCheckbox.checked = false;
-      // status-note の表示も更新
-      const displays = document.querySelectorAll(".status-note");
-      displays.forEach((display) => {
-        display.textContent = "";
-      });
-      // teams-results-containerの表示/非表示を更新
-      updateNoteAndModelCheckVisibility();
-    }
-
-    // status-nameの表示を更新
-    updateStatusNameDisplay(false);
-
-    // モーダルを閉じる
-    bootstrapModal.hide();
-
-    // イベントリスナーを削除
-    yesButton.removeEventListener("click", handleYes);
-    noButton.removeEventListener("click", handleNo);
-  };
-
-  // 「いいえ」ボタンのクリックハンドラー
-  const handleNo = () => {
-    // status-nameチェックボックスを元に戻す（trueに）
-    // statusNameCheckbox.checked = true;
-
-    // モーダルを閉じる
-    bootstrapModal.hide();
-
-    // イベントリスナーを削除
-    yesButton.removeEventListener("click", handleYes);
-    noButton.removeEventListener("click", handleNo);
-  };
-
-  // イベントリスナーを追加
-  yesButton.addEventListener("click", handleYes);
-  noButton.addEventListener("click", handleNo);
-
-  // モーダルが閉じられた時のクリーンアップ
-  modal.addEventListener(
-    "hidden.bs.modal",
-    () => {
-      yesButton.removeEventListener("click", handleYes);
-      noButton.removeEventListener("click", handleNo);
-    },
-    { once: true }
-  );
-
-  // モーダルを表示
-  bootstrapModal.show();
-}
-
-// phone-guidance-at-storeチェックボックスのハンドラ
-function setupPhoneGuidanceCheckboxHandler() {
-  const checkbox = document.getElementById("phone-guidance-at-store-checkbox");
-
-  if (checkbox) {
-    checkbox.addEventListener("change", () => {
-      updatePhoneGuidanceVisibility();
-    });
-  }
-}
-
-// dealer-cost-coverageチェックボックスとselectのハンドラ
-function setupDealerCostCoverageCheckboxHandler() {
-  const checkbox = document.getElementById("dealer-cost-coverage-checkbox");
-  const select = document.getElementById("dealer-cost-coverage-select");
-
-  if (checkbox) {
-    checkbox.addEventListener("change", () => {
-      updateDealerCostCoverageVisibility();
-    });
-  }
-
-  if (select) {
-    select.addEventListener("change", () => {
-      updateDealerCostCoverageVisibility();
-    });
-  }
-}
-
-// すべてのイベントハンドラを設定
-function setupAllEventHandlers() {
-  setupNameInputHandler();
-  setupShowDatetimeNameCheckboxHandler();
-  setupDetailedViewCheckboxHandler();
-  setupDatetimeButtonHandler();
-  setupResetButtonHandler();
-  setupShortcutButtonsHandler();
-  setupPersonSelectHandler();
-  setupStatusCheckboxHandler();
-  setupPaidStatusCheckboxHandler();
-  setupDelayStatusCheckboxHandler();
-  setupMitsubishiCheckboxHandler();
-  setupNewyearCheckboxHandler();
-  setupPaidHandlers();
-  setupDealerInformedCheckboxHandler();
-  setupCheckboxesHandler();
-  setupPhoneGuidanceCheckboxHandler();
-  setupDealerCostCoverageCheckboxHandler();
-}
-
-// ==========================================
-// 初期化
-// ==========================================
-
-// 定数から input の初期値を適用する
-function applyDefaults() {
-  // ステータスチェックボックス（"済"ならtrue、"未"ならfalse）
-  if (elements.statusCheckbox) {
-    elements.statusCheckbox.checked = DEFAULTS.status === "済";
-  }
-
-  // 三菱チェックボックス
-  if (elements.mitsubishiCheckbox) {
-    elements.mitsubishiCheckbox.checked = DEFAULTS.isMitsubishi;
-  }
-
-  // 有償警告ラジオボタン
-  elements.paidRadios.forEach((r) => {
-    r.checked = r.value === DEFAULTS.paid;
-  });
-
-  // メーカー保証期間内チェックボックス
-  if (elements.paidMakerWarrantyCheckbox) {
-    elements.paidMakerWarrantyCheckbox.checked =
-      DEFAULTS.paidMakerWarranty ?? false;
-  }
-
-  // 日時・名前表示チェックボックス
-  if (elements.showDatetimeNameCheckbox) {
-    elements.showDatetimeNameCheckbox.checked =
-      DEFAULTS.showDatetimeName ?? true;
-  }
-
-  // 年末年始チェックボックス
-  if (elements.newyearCheckbox) {
-    elements.newyearCheckbox.checked = DEFAULTS.newyear ?? false;
-  }
-
-  // チェックボックス
-  elements.checkboxes.forEach((cb) => {
-    const key = cb.dataset.target;
-    cb.checked = !!DEFAULTS.checks[key];
-  });
-
-  // statusDelayText を決める（年末年始トークが優先）
-  const isNewyear =
-    elements.newyearCheckbox && elements.newyearCheckbox.checked;
-  if (isNewyear) {
-    updateStateText("statusDelayText", "年末年始トーク");
-  } else {
-    const isMitsubishi = !!(
-      elements.mitsubishiCheckbox && elements.mitsubishiCheckbox.checked
-    );
-    if (isMitsubishi) {
-      updateStateText("statusDelayText", "通常よりお日にちがかかる可能性案内");
-    } else {
-      updateStateText("statusDelayText", "お日にちがかかる可能性案内");
-    }
-  }
-
-  // 状態を初期化
-  state.dealerInformed = false;
-  state.paidStatus = false;
-  state.delayStatus = false;
-
-  // チェックボックスの状態を初期化
-  if (elements.dealerInformedCheckbox) {
-    elements.dealerInformedCheckbox.checked = false;
-  }
-  if (elements.paidStatusCheckbox) {
-    elements.paidStatusCheckbox.checked = false;
-  }
-  if (elements.delayStatusCheckbox) {
-    elements.delayStatusCheckbox.checked = false;
-  }
-
-  // 有償警告表示を初期化
-  updatePaidDisplay();
-
-  // ステータス表示を初期化
-  updateStatusDisplay();
-
-  // status-delay要素にテキストを設定（チェックボックスが削除されたため直接設定）
-  const statusDelayElements = document.querySelectorAll(".status-delay");
-  statusDelayElements.forEach((el) => {
-    el.textContent = "・" + state.statusDelayText;
-  });
-}
-
-// id="results" 内の要素のテキスト変更を監視
-function setupMutationObserver() {
-  const resultsElement = document.getElementById("results");
-  if (!resultsElement) return;
-
-  // 各要素の以前のテキストを保存
-  const previousTextMap = new Map();
-
-  // results内のすべてのspan要素の初期テキストを保存
-  resultsElement.querySelectorAll("span").forEach((span) => {
-    previousTextMap.set(span, span.textContent || "");
-  });
-
-  // MutationObserverを使って子要素の変更を監視
-  const observer = new MutationObserver((mutations) => {
-    // 変更されたspan要素を収集（重複を避ける）
-    const changedElements = new Set();
-
-    mutations.forEach((mutation) => {
-      let targetElement = null;
-
-      // characterDataの変更（テキストノードの内容変更）
-      if (mutation.type === "characterData") {
-        targetElement = mutation.target.parentElement;
-      }
-      // childListの変更（textContentによる直接設定）
-      else if (mutation.type === "childList") {
-        targetElement = mutation.target;
-      }
-
-      // span要素の場合のみ処理（.status-displayクラスを除外）
-      if (
-        targetElement &&
-        targetElement.tagName === "SPAN" &&
-        resultsElement.contains(targetElement) &&
-        !targetElement.classList.contains("status-display")
-      ) {
-        const currentText = targetElement.textContent || "";
-        const previousText = previousTextMap.get(targetElement) || "";
-
-        // 実際にテキストが変更された場合のみフラッシュ
-        if (currentText !== previousText) {
-          changedElements.add(targetElement);
-          previousTextMap.set(targetElement, currentText);
-        }
-      }
-    });
-
-    // 変更された要素をフラッシュ
-    changedElements.forEach((element) => {
-      flashElement(element);
-    });
-  });
-
-  // 監視を開始
-  observer.observe(resultsElement, {
-    childList: true,
-    subtree: true,
-    characterData: true,
-    characterDataOldValue: true,
-  });
-}
-
-// アプリケーションの初期化
-function initializeApp() {
-  // DOM要素を初期化
-  initializeElements();
-
-  // デフォルト値を適用
-  applyDefaults();
-
-  // 日時を表示
-  displayCurrentDateTime();
-
-  // 初期描画
-  updateDisplays();
-
-  // 日時・名前表示の初期状態を設定
-  updateDatetimeNameVisibility();
-
-  // 詳細表示の初期状態を設定
-  updateDetailedViewVisibility();
-
-  // すべてのイベントハンドラを設定
-  setupAllEventHandlers();
-
-  // MutationObserverを設定
-  setupMutationObserver();
-}
-
-// DOMの読み込みが完了したら初期化
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initializeApp);
-} else {
-  // すでに読み込まれている場合は即座に実行
-  initializeApp();
-}
+// ==========================================
+// 定数とデフォルト設定
+// ==========================================
+
+// デフォルト値を取得する関数
+// config/defaults.js で定義されたCONFIGオブジェクトが存在すれば使用、なければフォールバック
+function getConfig() {
+  // グローバルのCONFIGオブジェクトがあればそれを使用
+  if (typeof CONFIG !== "undefined") {
+    return CONFIG;
+  }
+
+  // フォールバック: defaults.jsが読み込まれていない場合のデフォルト値
+  console.warn("CONFIG not found. Using fallback defaults.");
+  return {
+    status: "未",
+    maker: "三菱以外",
+    paid: "有償警告",
+    paidMakerWarranty: false,
+    showDatetimeName: true,
+    newyear: false,
+    checks: {
+      "status-urgent": false,
+      "status-note": false,
+      "status-name": false,
+      // "status-delay": true,
+    },
+    texts: {
+      statusUrgent: "【至急対応希望】\n",
+      statusNote: "備考要確認\n",
+      statusNameSuffix: "の名前の聴取\n",
+      statusPaid: "有償警告",
+      statusDelay: "お日にちがかかる可能性案内",
+    },
+    animation: {
+      flashColor: "#ffeb3b",
+      flashDuration: 300,
+    },
+  };
+}
+
+// 設定を読み込む（initializeApp でプロファイル適用後の設定に置き換える）
+let config = getConfig();
+
+// 連動ルールの理由を表示しておく時間（ミリ秒）
+const RULE_NOTICE_DURATION = 5000;
+
+// ==========================================
+// 状態管理
+// ==========================================
+
+// 状態は StateManager（scripts/app.js が window.__STORE__ に公開）が保持する。
+// このファイルはアクションを発行するだけで、状態の変更は store/reducers.js、
+// 表示は components/ 配下の TemplateForm / TemplateResults がストアの購読によって行う。
+let store = null;
+
+// アクションクリエイター（store/actions.js、scripts/app.js が window.__ACTIONS__ に公開）
+let actions = null;
+
+// アクションを発行する
+function dispatch(action) {
+  return store.dispatch(action);
+}
+
+// ==========================================
+// アクション
+// ==========================================
+
+// オペレーター名を更新
+function setNameInput(value) {
+  dispatch(actions.setNameInput(value));
+}
+
+// 日時・名前表示の切り替え
+function setShowDatetimeName(checked) {
+  dispatch(actions.setShowDatetimeName(checked));
+}
+
+// 日時を現在時刻に更新
+function updateDateTime() {
+  dispatch(actions.updateDateTime());
+}
+
+// デフォルト値を再適用（オペレーター名と文言設定は保持し、日時は更新）
+function resetForm() {
+  dispatch(actions.reset());
+}
+
+// 呼称を変更
+function setPersonSelect(value) {
+  dispatch(actions.setPersonSelect(value));
+}
+
+// 有償警告・お日にちの案内済み状態をまとめて変更
+function setAllStatuses(checked) {
+  dispatch(actions.setAllStatuses(checked));
+}
+
+// 有償警告の案内済み状態を変更
+function setPaidStatus(checked) {
+  dispatch(actions.setPaidStatus(checked));
+}
+
+// お日にちがかかる可能性の案内済み状態を変更
+function setDelayStatus(checked) {
+  dispatch(actions.setDelayStatus(checked));
+}
+
+// 三菱チェックボックスを変更
+function setMitsubishi(checked) {
+  dispatch(actions.setMitsubishi(checked));
+}
+
+// 年末年始チェックボックスを変更
+function setNewyear(checked) {
+  dispatch(actions.setNewyear(checked));
+}
+
+// 有償警告ラジオボタンを変更
+function setPaidRadio(value) {
+  dispatch(actions.setPaidRadio(value));
+}
+
+// メーカー保証期間内チェックボックスを変更
+function setPaidMakerWarranty(checked) {
+  dispatch(actions.setPaidMakerWarranty(checked));
+}
+
+// 販売店にて案内済みを変更（有償警告の案内済み状態も連動）
+function setDealerInformed(checked) {
+  dispatch(actions.setDealerInformed(checked));
+}
+
+// .check-item のチェックボックスを変更
+function setCheck(key, checked) {
+  dispatch(actions.setCheck(key, checked));
+}
+
+// 店舗にて電話を代わっていただき案内を変更
+function setPhoneGuidanceAtStore(checked) {
+  dispatch(actions.setPhoneGuidanceAtStore(checked));
+}
+
+// 販売店の費用負担チェックボックスを変更
+function setDealerCostCoverage(checked) {
+  dispatch(actions.setDealerCostCoverage(checked));
+}
+
+// 販売店の費用負担の種類（全額/一部）を変更
+function setDealerCostCoverageType(value) {
+  dispatch(actions.setDealerCostCoverageType(value));
+}
+
+// ==========================================
+// ユーティリティ関数
+// ==========================================
+
+// 要素ごとの元の背景色とタイマーを保持するWeakMap
+const elementFlashData = new WeakMap();
+
+// 指定した要素の背景色を一定時間変更する関数
+function flashElement(
+  element,
+  color = config.animation.flashColor,
+  duration = config.animation.flashDuration
+) {
+  if (!element) return;
+
+  // 既存のフラッシュデータを取得または初期化
+  let flashData = elementFlashData.get(element);
+
+  if (!flashData) {
+    // 初回: 元の背景色を保存
+    flashData = {
+      originalBackground: element.style.backgroundColor || "",
+      timerId: null,
+    };
+    elementFlashData.set(element, flashData);
+  }
+
+  // 既存のタイマーがあればクリア
+  if (flashData.timerId) {
+    clearTimeout(flashData.timerId);
+  }
+
+  // 背景色を変更
+  element.style.backgroundColor = color;
+
+  // 新しいタイマーを設定
+  flashData.timerId = setTimeout(() => {
+    element.style.backgroundColor = flashData.originalBackground;
+    flashData.timerId = null;
+  }, duration);
+}
+
+// ==========================================
+// DOM要素管理
+// ==========================================
+
+// DOM要素の参照を保持
+let elements = {};
+
+// DOM要素を初期化
+function initializeElements() {
+  elements = {
+    statusCheckbox: document.getElementById("status-checkbox"),
+    paidStatusCheckbox: document.getElementById("paid-status-checkbox"),
+    delayStatusCheckbox: document.getElementById("delay-status-checkbox"),
+    mitsubishiCheckbox: document.getElementById("mitsubishi-checkbox"),
+    newyearCheckbox: document.getElementById("newyear-checkbox"),
+    showDatetimeNameCheckbox: document.getElementById(
+      "show-datetime-name-checkbox"
+    ),
+    detailedViewCheckbox: document.getElementById("detailed-view-checkbox"),
+    paidRadios: document.querySelectorAll(".paid-radio"),
+    paidMakerWarrantyCheckbox: document.getElementById(
+      "paid-maker-warranty-checkbox"
+    ),
+    dealerInformedCheckbox: document.getElementById("dealer-informed-checkbox"),
+    dealerCostCoverageCheckbox: document.getElementById(
+      "dealer-cost-coverage-checkbox"
+    ),
+    dealerCostCoverageSelect: document.getElementById(
+      "dealer-cost-coverage-select"
+    ),
+    phoneGuidanceCheckbox: document.getElementById(
+      "phone-guidance-at-store-checkbox"
+    ),
+    personSelect: document.getElementById("person-select"),
+    updateDatetimeBtn: document.getElementById("update-datetime-btn"),
+    resetBtn: document.getElementById("reset-btn"),
+    nameInput: document.getElementById("name-input"),
+    checkboxes: document.querySelectorAll(".check-item"),
+    shortcutButtons: document.getElementById("shortcut-buttons"),
+    ruleNotice: document.getElementById("rule-notice"),
+  };
+  return elements;
+}
+
+// ==========================================
+// イベントハンドラ
+// ==========================================
+
+// 名前入力イベントハンドラ
+function setupNameInputHandler() {
+  if (elements.nameInput) {
+    elements.nameInput.addEventListener("input", () => {
+      setNameInput(elements.nameInput.value);
+    });
+  }
+}
+
+// 日時・名前表示チェックボックスイベントハンドラ
+function setupShowDatetimeNameCheckboxHandler() {
+  if (elements.showDatetimeNameCheckbox) {
+    elements.showDatetimeNameCheckbox.addEventListener("change", () => {
+      setShowDatetimeName(elements.showDatetimeNameCheckbox.checked);
+    });
+  }
+}
+
+// 詳細表示チェックボックスイベントハンドラ
+function setupDetailedViewCheckboxHandler() {
+  if (elements.detailedViewCheckbox) {
+    elements.detailedViewCheckbox.addEventListener("change", () => {
+      updateDetailedViewVisibility();
+    });
+  }
+}
+
+// 詳細表示の表示/非表示を切り替える関数
+function updateDetailedViewVisibility() {
+  const isDetailedView =
+    elements.detailedViewCheckbox && elements.detailedViewCheckbox.checked;
+  const detailedSections = document.querySelectorAll(".detailed-section");
+
+  detailedSections.forEach((section) => {
+    if (isDetailedView) {
+      section.style.display = "";
+    } else {
+      section.style.display = "none";
+    }
+  });
+}
+
+// 日時更新ボタンイベントハンドラ
+function setupDatetimeButtonHandler() {
+  if (elements.updateDatetimeBtn) {
+    elements.updateDatetimeBtn.addEventListener("click", () => {
+      updateDateTime();
+    });
+  }
+}
+
+// リセットボタンイベントハンドラ
+function setupResetButtonHandler() {
+  if (elements.resetBtn) {
+    elements.resetBtn.addEventListener("click", () => {
+      resetForm();
+    });
+  }
+}
+
+// ショートカット処理のヘルパー関数
+function applyShortcut(options = {}) {
+  const {
+    paidStatus = undefined,
+    delayStatus = undefined,
+    dealerInformed = undefined,
+    paidRadio = undefined,
+    paidMakerWarranty = undefined,
+    applyDefaultsFirst = false,
+    shortcutId = undefined,
+  } = options;
+
+  // 1回の状態更新で適用する（途中の状態が表示されず、元に戻すも1回で済むように）
+  store.transaction(() => {
+    // デフォルト値を適用する場合はオペレーター名と年末年始以外をリセット
+    dispatch(applyDefaultsFirst ? actions.reset() : actions.updateDateTime());
+
+    // undefinedでない値のみ上書き
+    if (paidRadio !== undefined) dispatch(actions.setPaidRadio(paidRadio));
+    if (paidMakerWarranty !== undefined) dispatch(actions.setPaidMakerWarranty(paidMakerWarranty));
+    if (paidStatus !== undefined) dispatch(actions.setPaidStatus(paidStatus));
+    if (delayStatus !== undefined) dispatch(actions.setDelayStatus(delayStatus));
+    if (dealerInformed !== undefined) dispatch(actions.setDealerInformed(dealerInformed));
+  }, "APPLY_SHORTCUT");
+
+  // カスタムイベントを発火（DOM更新後）
+  // outputs で autoCopy: true の結果表示エリアをコピーする
+  requestAnimationFrame(() => {
+    const resultsElement = document.querySelector(".results[data-auto-copy]");
+    if (resultsElement) {
+      resultsElement.dispatchEvent(
+        new CustomEvent("autoCopyResults", {
+          bubbles: true,
+          detail: {
+            source: "shortcut-button",
+            shortcutId,
+            timestamp: Date.now(),
+          },
+        })
+      );
+    }
+  });
+}
+
+// ショートカットのプリセットを適用する
+// （preset は config/defaults.js の shortcuts の1要素）
+function applyShortcutPreset(preset) {
+  applyShortcut({
+    applyDefaultsFirst: true,
+    paidRadio: preset.paid,
+    paidMakerWarranty: preset.paidMakerWarranty,
+    paidStatus: preset.paidStatus,
+    delayStatus: preset.delayStatus,
+    dealerInformed: preset.dealerInformed,
+    shortcutId: preset.id,
+  });
+}
+
+// ショートカットボタンを生成してイベントハンドラを設定
+function setupShortcutButtonsHandler() {
+  if (!elements.shortcutButtons) return;
+
+  elements.shortcutButtons.innerHTML = "";
+  (config.shortcuts || []).forEach((preset) => {
+    const button = document.createElement("button");
+    button.id = "shortcut-" + preset.id;
+    button.type = "button";
+    button.className = "btn btn-outline-primary";
+    button.style.fontSize = "0.85rem";
+    button.style.paddingLeft = "6px";
+    button.style.paddingRight = "6px";
+    button.title = preset.title || preset.label;
+    button.textContent = preset.label;
+
+    button.addEventListener("click", () => {
+      applyShortcutPreset(preset);
+    });
+
+    elements.shortcutButtons.appendChild(button);
+  });
+}
+
+// 呼称select変更イベントハンドラ
+function setupPersonSelectHandler() {
+  if (elements.personSelect) {
+    elements.personSelect.addEventListener("change", () => {
+      setPersonSelect(elements.personSelect.value);
+    });
+  }
+}
+
+// ステータスチェックボックス変更イベントハンドラ
+function setupStatusCheckboxHandler() {
+  if (elements.statusCheckbox) {
+    elements.statusCheckbox.addEventListener("change", () => {
+      // 不確定状態からのクリックはブラウザが checked=true にする
+      setAllStatuses(elements.statusCheckbox.checked);
+    });
+  }
+}
+
+// paid-status-checkbox変更イベントハンドラ
+function setupPaidStatusCheckboxHandler() {
+  if (elements.paidStatusCheckbox) {
+    elements.paidStatusCheckbox.addEventListener("change", () => {
+      setPaidStatus(elements.paidStatusCheckbox.checked);
+    });
+  }
+}
+
+// delay-status-checkbox変更イベントハンドラ
+function setupDelayStatusCheckboxHandler() {
+  if (elements.delayStatusCheckbox) {
+    elements.delayStatusCheckbox.addEventListener("change", () => {
+      setDelayStatus(elements.delayStatusCheckbox.checked);
+    });
+  }
+}
+
+// メーカーチェックボックス変更イベントハンドラ
+// （年末年始トークが優先される。表示文言は getStatusDelayText で決まる）
+function setupMitsubishiCheckboxHandler() {
+  if (elements.mitsubishiCheckbox) {
+    elements.mitsubishiCheckbox.addEventListener("change", () => {
+      setMitsubishi(elements.mitsubishiCheckbox.checked);
+    });
+  }
+}
+
+// 年末年始チェックボックス変更イベントハンドラ
+function setupNewyearCheckboxHandler() {
+  if (elements.newyearCheckbox) {
+    elements.newyearCheckbox.addEventListener("change", () => {
+      setNewyear(elements.newyearCheckbox.checked);
+    });
+  }
+}
+
+// 有償警告のイベントハンドラ
+function setupPaidHandlers() {
+  // ラジオボタンのイベントハンドラ
+  elements.paidRadios.forEach((radio) => {
+    radio.addEventListener("change", () => {
+      if (radio.checked) {
+        setPaidRadio(radio.value);
+      }
+    });
+  });
+
+  // メーカー保証期間内チェックボックスのイベントハンドラ
+  if (elements.paidMakerWarrantyCheckbox) {
+    elements.paidMakerWarrantyCheckbox.addEventListener("change", () => {
+      setPaidMakerWarranty(elements.paidMakerWarrantyCheckbox.checked);
+    });
+  }
+}
+
+// 販売店にて案内済みチェックボックス変更イベントハンドラ
+function setupDealerInformedCheckboxHandler() {
+  if (elements.dealerInformedCheckbox) {
+    elements.dealerInformedCheckbox.addEventListener("change", () => {
+      setDealerInformed(elements.dealerInformedCheckbox.checked);
+    });
+  }
+}
+
+// チェックボックス変更イベントハンドラ
+function setupCheckboxesHandler() {
+  elements.checkboxes.forEach((cb) => {
+    cb.addEventListener("change", () => {
+      setCheck(actions.toCheckboxKey(cb.dataset.target), cb.checked);
+    });
+  });
+}
+
+// ==========================================
+// 連動ルール（config/defaults.js の rules）
+// ==========================================
+
+// ルールの評価結果を受け取る（scripts/app.js が rules:evaluated を発火する）
+function setupRulesHandler() {
+  document.addEventListener("rules:evaluated", (e) => {
+    const { notices, confirmations } = e.detail;
+    if (notices.length > 0) {
+      showRuleNotices(notices);
+    }
+    confirmations.forEach((confirmation) => enqueueRuleConfirmation(confirmation));
+  });
+}
+
+// 自動で変更した理由を表示する
+let ruleNoticeTimer = null;
+function showRuleNotices(notices) {
+  if (!elements.ruleNotice) return;
+
+  elements.ruleNotice.textContent = notices.map((n) => "ℹ " + n.message).join("\n");
+  elements.ruleNotice.style.display = "";
+
+  clearTimeout(ruleNoticeTimer);
+  ruleNoticeTimer = setTimeout(() => {
+    elements.ruleNotice.style.display = "none";
+  }, RULE_NOTICE_DURATION);
+}
+
+// 確認待ちのルール（モーダルは1つずつ表示する）
+const ruleConfirmationQueue = [];
+
+function enqueueRuleConfirmation(confirmation) {
+  ruleConfirmationQueue.push(confirmation);
+  if (ruleConfirmationQueue.length === 1) {
+    showRuleConfirmModal(confirmation);
+  }
+}
+
+// ルールの確認モーダルを表示する関数
+function showRuleConfirmModal(confirmation) {
+  const modal = document.getElementById("ruleConfirmModal");
+  const message = document.getElementById("ruleConfirmMessage");
+  const yesButton = document.getElementById("ruleConfirmYes");
+
+  if (!modal || !message || !yesButton) return;
+
+  message.textContent = confirmation.message;
+
+  // Bootstrapのモーダルインスタンスを取得または作成
+  const bootstrapModal = bootstrap.Modal.getOrCreateInstance(modal);
+
+  // 「はい」ボタンのクリックハンドラー
+  const handleYes = () => {
+    // ルールの変更を適用
+    dispatch(actions.confirmRule(confirmation.ruleId, confirmation.values));
+
+    // モーダルを閉じる
+    bootstrapModal.hide();
+  };
+
+  yesButton.addEventListener("click", handleYes);
+
+  // モーダルが閉じられた時のクリーンアップ（「いいえ」・×ボタンは何もせず閉じる）
+  modal.addEventListener(
+    "hidden.bs.modal",
+    () => {
+      yesButton.removeEventListener("click", handleYes);
+
+      // 次の確認があれば表示
+      ruleConfirmationQueue.shift();
+      if (ruleConfirmationQueue.length > 0) {
+        showRuleConfirmModal(ruleConfirmationQueue[0]);
+      }
+    },
+    { once: true }
+  );
+
+  // モーダルを表示
+  bootstrapModal.show();
+}
+
+// phone-guidance-at-storeチェックボックスのハンドラ
+function setupPhoneGuidanceCheckboxHandler() {
+  if (elements.phoneGuidanceCheckbox) {
+    elements.phoneGuidanceCheckbox.addEventListener("change", () => {
+      setPhoneGuidanceAtStore(elements.phoneGuidanceCheckbox.checked);
+    });
+  }
+}
+
+// dealer-cost-coverageチェックボックスとselectのハンドラ
+function setupDealerCostCoverageCheckboxHandler() {
+  if (elements.dealerCostCoverageCheckbox) {
+    elements.dealerCostCoverageCheckbox.addEventListener("change", () => {
+      setDealerCostCoverage(elements.dealerCostCoverageCheckbox.checked);
+    });
+  }
+
+  if (elements.dealerCostCoverageSelect) {
+    elements.dealerCostCoverageSelect.addEventListener("change", () => {
+      setDealerCostCoverageType(elements.dealerCostCoverageSelect.value);
+    });
+  }
+}
+
+// 元に戻す（Ctrl+Z）/ やり直す（Ctrl+Shift+Z）のキーボードショートカット
+function setupUndoRedoHandler() {
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+
+    // テキスト入力中（オペレーター名・文言設定・履歴の検索など）はブラウザ標準の元に戻すを使う
+    // （チェックボックス・ラジオ・セレクトボックスにフォーカスがある時はストアの履歴で戻す）
+    const target = e.target;
+    const isTextField =
+      target instanceof Element &&
+      (target.matches("textarea") ||
+        (target.matches("input") &&
+          !["checkbox", "radio", "button", "submit", "reset"].includes(target.type)) ||
+        target.isContentEditable);
+    if (isTextField) return;
+
+    e.preventDefault();
+
+    if (e.shiftKey) {
+      if (store.canRedo()) store.redo();
+    } else if (store.canUndo()) {
+      store.undo();
+    }
+  });
+}
+
+// すべてのイベントハンドラを設定
+function setupAllEventHandlers() {
+  setupNameInputHandler();
+  setupShowDatetimeNameCheckboxHandler();
+  setupDetailedViewCheckboxHandler();
+  setupDatetimeButtonHandler();
+  setupResetButtonHandler();
+  setupShortcutButtonsHandler();
+  setupPersonSelectHandler();
+  setupStatusCheckboxHandler();
+  setupPaidStatusCheckboxHandler();
+  setupDelayStatusCheckboxHandler();
+  setupMitsubishiCheckboxHandler();
+  setupNewyearCheckboxHandler();
+  setupPaidHandlers();
+  setupDealerInformedCheckboxHandler();
+  setupCheckboxesHandler();
+  setupPhoneGuidanceCheckboxHandler();
+  setupDealerCostCoverageCheckboxHandler();
+  setupUndoRedoHandler();
+  setupRulesHandler();
+}
+
+// ==========================================
+// 初期化
+// ==========================================
+
+// 結果表示エリア（#outputs）内の要素のテキスト変更を監視
+function setupMutationObserver() {
+  const outputsElement = document.getElementById("outputs");
+  if (!outputsElement) return;
+
+  // 各要素の以前のテキストを保存
+  const previousTextMap = new Map();
+
+  // 結果表示エリア内のすべてのspan要素の初期テキストを保存
+  outputsElement.querySelectorAll(".results span").forEach((span) => {
+    previousTextMap.set(span, span.textContent || "");
+  });
+
+  // MutationObserverを使って子要素の変更を監視
+  const observer = new MutationObserver((mutations) => {
+    // 変更された要素を収集（重複を避ける）
+    const changedElements = new Set();
+
+    mutations.forEach((mutation) => {
+      let targetElement = null;
+
+      // characterDataの変更（テキストノードの内容変更）
+      if (mutation.type === "characterData") {
+        targetElement = mutation.target.parentElement;
+      }
+      // childListの変更（textContentによる直接設定）
+      else if (mutation.type === "childList") {
+        targetElement = mutation.target;
+
+        // 新しく表示された行はまるごとフラッシュ
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains("output-line")) {
+            changedElements.add(node);
+          }
+        });
+      }
+
+      // span要素の場合のみ処理（.status-displayクラスを除外）
+      if (
+        targetElement &&
+        targetElement.tagName === "SPAN" &&
+        outputsElement.contains(targetElement) &&
+        !targetElement.classList.contains("status-display")
+      ) {
+        const currentText = targetElement.textContent || "";
+        const previousText = previousTextMap.get(targetElement) || "";
+
+        // 実際にテキストが変更された場合のみフラッシュ
+        if (currentText !== previousText) {
+          changedElements.add(targetElement);
+          previousTextMap.set(targetElement, currentText);
+        }
+      }
+    });
+
+    // 変更された要素をフラッシュ
+    changedElements.forEach((element) => {
+      flashElement(element);
+    });
+  });
+
+  // 監視を開始
+  observer.observe(outputsElement, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    characterDataOldValue: true,
+  });
+}
+
+// アプリケーションの初期化
+function initializeApp(appStore, appConfig, appActions) {
+  store = appStore;
+  actions = appActions;
+  if (appConfig) {
+    config = appConfig;
+  }
+
+  // DOM要素を初期化
+  initializeElements();
+
+  // 日時を表示
+  updateDateTime();
+
+  // 初期表示までの更新は元に戻す対象にしない
+  store.clearHistory();
+
+  // 詳細表示の初期状態を設定
+  updateDetailedViewVisibility();
+
+  // すべてのイベントハンドラを設定
+  setupAllEventHandlers();
+
+  // MutationObserverを設定
+  setupMutationObserver();
+}
+
+// ストアの準備ができたら実行（scripts/app.js が store:ready を発火する）
+function whenStoreReady(callback) {
+  if (window.__STORE__) {
+    callback(window.__STORE__, window.__CONFIG__, window.__ACTIONS__);
+    return;
+  }
+  document.addEventListener(
+    "store:ready",
+    (e) => callback(e.detail.store, e.detail.config, e.detail.actions),
+    { once: true }
+  );
+}
+
+// DOMの読み込みが完了したら初期化
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", () =>
+    whenStoreReady(initializeApp)
+  );
+} else {
+  // すでに読み込まれている場合は即座に実行
+  whenStoreReady(initializeApp);
+}
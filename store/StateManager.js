@@ -4,47 +4,98 @@
  * Features:
  * - Single source of truth
  * - Immutable state updates
- * - Subscription-based reactivity
+ * - Slice reducers and serialisable actions (dispatch / replay)
+ * - Transactions: several updates committed as one (one history entry)
+ * - Subscription-based reactivity (selectors with strict/shallow/deep equality)
  * - Middleware support (logging, validation)
- * - Time-travel debugging support
+ * - Pluggable schema validation (see store/schema.js)
+ * - Time-travel debugging support (undo/redo)
  *
  * @example
- * const store = new StateManager({ count: 0 });
+ * const store = new StateManager({ count: 0 }, {
+ *   schema: { type: 'object', properties: { count: { type: 'number', required: true } } },
+ * });
  * store.subscribe((newState) => console.log('State:', newState));
  * store.setState({ count: 1 });
+ *
+ * @example
+ * // Reducers: the action log can be replayed on a fresh store
+ * const reducers = {
+ *   counter: (counter, action) => (action.type === 'ADD' ? counter + action.payload.amount : counter),
+ * };
+ * const store = new StateManager({ counter: 0 }, { reducers, enableTimeTravel: true });
+ * store.dispatch({ type: 'ADD', payload: { amount: 2 } });
+ * new StateManager({ counter: 0 }, { reducers }).replay(store.getActionLog());
  */
+
+import { validateSchema, formatSchemaErrors } from './schema.js';
+import { resolveEquality, shallowEqual } from './equality.js';
+
 class StateManager {
+  /**
+   * @param {Object} initialState - Initial state
+   * @param {Object} options
+   * @param {boolean} [options.enableLogging] - Log every update (default: false)
+   * @param {boolean} [options.enableValidation] - Validate updates against `schema` (default: true)
+   * @param {Object} [options.schema] - Schema of the state (nothing is validated without one)
+   * @param {string} [options.validationMode] - 'reject' cancels an invalid update, 'warn' only logs it
+   * @param {boolean} [options.enableTimeTravel] - Keep history for undo/redo (default: false)
+   * @param {number} [options.maxHistorySize] - Maximum history entries (default: 50)
+   * @param {Object} [options.reducers] - Slice reducers { [slice]: (sliceState, action, state) => sliceState }
+   * @param {Array<Function>} [options.middleware] - Middleware run before the built-in validation,
+   *   so the state they return is validated too (see use())
+   */
   constructor(initialState = {}, options = {}) {
     // Private state (closure pattern)
     this._state = this._deepFreeze({ ...initialState });
     this._previousStates = []; // For time-travel debugging
+    this._futureStates = []; // Undone states for redo
+    this._actionLog = []; // { action, undoable } from the initial state to the current one
+    this._undoneActions = []; // Undone log entries for redo
     this._listeners = new Set(); // Subscribers
     this._middlewares = []; // Middleware pipeline
+    this._reducers = new Map(); // Slice reducers for dispatch()
+    this._transaction = null; // { state, actions } while transaction() runs
 
     // Options
     this._options = {
       enableLogging: options.enableLogging ?? false,
       enableValidation: options.enableValidation ?? true,
+      schema: options.schema ?? null,
+      validationMode: options.validationMode ?? 'reject',
       maxHistorySize: options.maxHistorySize ?? 50,
       enableTimeTravel: options.enableTimeTravel ?? false,
       ...options
     };
 
+    Object.entries(options.reducers || {}).forEach(([slice, reducer]) => {
+      this.registerReducer(slice, reducer);
+    });
+
     // Built-in middleware
     if (this._options.enableLogging) {
       this.use(this._loggingMiddleware.bind(this));
     }
-    if (this._options.enableValidation) {
+    (options.middleware || []).forEach((middleware) => this.use(middleware));
+    if (this._options.enableValidation && this._options.schema) {
       this.use(this._validationMiddleware.bind(this));
+
+      const errors = this.validate();
+      if (errors.length > 0) {
+        console.warn(`Initial state does not match the schema:\n${formatSchemaErrors(errors)}`);
+      }
     }
   }
 
   /**
    * Get current state (read-only)
+   *
+   * Inside transaction() this is the state with the updates made so far.
+   *
    * @returns {Object} Current state
    */
   getState() {
-    return this._state;
+    return this._transaction ? this._transaction.state : this._state;
   }
 
   /**
@@ -54,7 +105,7 @@ class StateManager {
    * @returns {Object} New state
    */
   setState(updater, actionType = 'UPDATE') {
-    const prevState = this._state;
+    const prevState = this.getState();
 
     // Calculate new state
     let nextState;
@@ -64,59 +115,151 @@ class StateManager {
       nextState = { ...prevState, ...updater };
     }
 
-    // Run middleware pipeline
-    const action = { type: actionType, payload: updater };
-    for (const middleware of this._middlewares) {
-      const result = middleware(prevState, nextState, action);
-      if (result === false) {
-        // Middleware cancelled update
-        console.warn(`State update cancelled by middleware: ${action.type}`);
-        return prevState;
-      }
-      if (result && typeof result === 'object') {
-        nextState = result; // Middleware modified state
-      }
+    return this._apply(prevState, nextState, { type: actionType, payload: updater });
+  }
+
+  /**
+   * Register the reducer of a state slice
+   * @param {string} slice - Top-level state key
+   * @param {Function} reducer - (sliceState, action, state) => new slice state
+   */
+  registerReducer(slice, reducer) {
+    this._reducers.set(slice, reducer);
+  }
+
+  /**
+   * Update state through the registered reducers
+   *
+   * Every reducer receives the action; slices whose reducer returns the same
+   * value are left untouched. Keep payloads serialisable (no functions,
+   * dates or class instances) so the action log can be replayed.
+   *
+   * With `options.history` false the update is kept out of the undo history:
+   * it is also applied to the recorded states, so undo/redo never revert it
+   * (e.g. values received from another tab, or a live preview). Inside a
+   * transaction it is recorded with the transaction.
+   *
+   * @param {Object} action - { type, payload }
+   * @param {Object} [options]
+   * @param {boolean} [options.history] - Record the update for undo (default: true)
+   * @returns {Object} New state
+   */
+  dispatch(action, options = {}) {
+    if (!action || typeof action.type !== 'string') {
+      throw new TypeError('dispatch: action must be an object with a string type');
+    }
+    if (!this._isSerializable(action.payload)) {
+      console.warn(`dispatch: payload of ${action.type} is not serialisable and cannot be replayed`);
     }
 
-    // Freeze new state (immutability)
-    this._state = this._deepFreeze(nextState);
+    const prevState = this.getState();
+    const nextState = this._reduce(prevState, action);
 
-    // Save to history
-    if (this._options.enableTimeTravel) {
-      this._previousStates.push({
-        state: prevState,
-        action,
-        timestamp: Date.now()
-      });
+    return this._apply(
+      prevState,
+      nextState,
+      { type: action.type, payload: action.payload },
+      options.history !== false
+    );
+  }
 
-      // Limit history size
-      if (this._previousStates.length > this._options.maxHistorySize) {
-        this._previousStates.shift();
+  /**
+   * Dispatch a list of actions in order (e.g. getActionLog() of another store)
+   * @param {Array<Object>} actions - { type, payload } actions
+   * @returns {Object} State after the last action
+   * @throws {TypeError} If an action was made by setState with an updater function
+   */
+  replay(actions) {
+    actions.forEach((action) => {
+      if (action.transaction) {
+        this.transaction(() => this.replay(action.payload.actions), action.type);
+        return;
+      }
+      if (typeof action.payload === 'function') {
+        throw new TypeError(`replay: ${action.type} was not dispatched and cannot be replayed`);
       }
+      this.dispatch(action);
+    });
+    return this.getState();
+  }
+
+  /**
+   * Run several updates as one
+   *
+   * setState/dispatch calls inside `fn` only update a draft (visible through
+   * getState()). When `fn` returns, the combined result goes through the
+   * middleware once, is recorded as one history entry (undone in one step)
+   * and listeners are notified once with the real previous state. If `fn`
+   * throws, nothing is committed. A nested transaction joins the outer one.
+   *
+   * The history entry is { type: actionType, payload: { actions }, transaction: true },
+   * which replay() runs again as a transaction.
+   *
+   * @param {Function} fn - Function making the updates
+   * @param {string} actionType - Action type of the combined update
+   * @returns {Object} New state (the previous state if nothing changed or it was cancelled)
+   *
+   * @example
+   * store.transaction(() => {
+   *   store.dispatch(reset());
+   *   store.dispatch(setPaidStatus(true));
+   * }, 'APPLY_SHORTCUT');
+   */
+  transaction(fn, actionType = 'TRANSACTION') {
+    if (this._transaction) {
+      fn();
+      return this.getState();
     }
 
-    // Notify subscribers
-    this._notifyListeners(this._state, prevState, action);
+    const prevState = this._state;
+    this._transaction = { state: prevState, actions: [] };
+    let transaction;
+    try {
+      fn();
+    } finally {
+      transaction = this._transaction;
+      this._transaction = null;
+    }
 
-    return this._state;
+    if (transaction.actions.length === 0) return prevState;
+
+    return this._commit(prevState, transaction.state, {
+      type: actionType,
+      payload: { actions: transaction.actions },
+      transaction: true,
+    });
   }
 
   /**
    * Subscribe to state changes
+   *
+   * With a selector the listener only runs when the selected value changes,
+   * compared with `options.equals` against the value of the last notification.
+   * Use 'shallow' or 'deep' for selectors that build new objects, or a
+   * memoised selector from store/selectors/createSelector.js.
+   *
    * @param {Function} listener - Callback (newState, prevState, action) => void
    * @param {Function} selector - Optional selector to filter updates
+   * @param {Object} options
+   * @param {Function|string} [options.equals] - Function, 'strict' (default), 'shallow' or 'deep'
    * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * store.subscribe(render, (state) => ({ paid: state.status.paidStatus }), { equals: 'shallow' });
    */
-  subscribe(listener, selector = null) {
-    const wrappedListener = selector
-      ? (newState, prevState, action) => {
-          const newValue = selector(newState);
-          const prevValue = selector(prevState);
-          if (newValue !== prevValue) {
-            listener(newState, prevState, action);
-          }
-        }
-      : listener;
+  subscribe(listener, selector = null, options = {}) {
+    let wrappedListener = listener;
+
+    if (selector) {
+      const equals = resolveEquality(options.equals);
+      let lastValue = selector(this._state);
+      wrappedListener = (newState, prevState, action) => {
+        const newValue = selector(newState);
+        if (equals(newValue, lastValue)) return;
+        lastValue = newValue;
+        listener(newState, prevState, action);
+      };
+    }
 
     this._listeners.add(wrappedListener);
 
@@ -128,6 +271,10 @@ class StateManager {
 
   /**
    * Add middleware
+   *
+   * Added middleware runs after the built-in validation; pass middleware that
+   * changes the state in `options.middleware` instead.
+   *
    * @param {Function} middleware - (prevState, nextState, action) => nextState|false|void
    */
   use(middleware) {
@@ -135,37 +282,151 @@ class StateManager {
   }
 
   /**
-   * Batch multiple updates into one notification
+   * Apply multiple updaters as one update (see transaction())
    * @param {Array<Function|Object>} updates - Array of updaters
+   * @param {string} actionType - Action type of the combined update
+   * @returns {Object} New state
    */
-  batchUpdate(updates) {
-    const finalState = updates.reduce((state, update) => {
-      if (typeof update === 'function') {
-        return update(state);
-      }
-      return { ...state, ...update };
-    }, this._state);
-
-    this._state = this._deepFreeze(finalState);
-    this._notifyListeners(this._state, this._state, { type: 'BATCH_UPDATE' });
+  batchUpdate(updates, actionType = 'BATCH_UPDATE') {
+    return this.transaction(() => {
+      updates.forEach((update) => this.setState(update, actionType));
+    }, actionType);
   }
 
   /**
    * Time-travel debugging: undo last action
    */
   undo() {
-    if (!this._options.enableTimeTravel || this._previousStates.length === 0) {
+    if (this._transaction) {
+      console.warn('Cannot undo inside a transaction');
+      return;
+    }
+    if (!this.canUndo()) {
       console.warn('Cannot undo: time-travel not enabled or no history');
       return;
     }
 
-    const previous = this._previousStates.pop();
-    this._state = this._deepFreeze(previous.state);
-    this._notifyListeners(this._state, previous.state, { type: 'UNDO' });
+    const currentState = this._state;
+    this._stepBack();
+    this._notifyListeners(this._state, currentState, { type: 'UNDO' });
+  }
+
+  /**
+   * Time-travel debugging: redo last undone action
+   */
+  redo() {
+    if (this._transaction) {
+      console.warn('Cannot redo inside a transaction');
+      return;
+    }
+    if (!this.canRedo()) {
+      console.warn('Cannot redo: time-travel not enabled or nothing to redo');
+      return;
+    }
+
+    const currentState = this._state;
+    this._stepForward();
+    this._notifyListeners(this._state, currentState, { type: 'REDO' });
+  }
+
+  /**
+   * Time-travel debugging: move to the state after the given timeline entry
+   *
+   * Equivalent to undoing/redoing until `index` entries of getTimeline() are
+   * applied, with one notification. The undone entries stay redoable.
+   *
+   * @param {number} index - Number of applied entries (0 = state before the first entry)
+   */
+  jumpTo(index) {
+    if (this._transaction) {
+      console.warn('Cannot jump inside a transaction');
+      return;
+    }
+    const total = this._previousStates.length + this._futureStates.length;
+    if (!this._options.enableTimeTravel || index < 0 || index > total) {
+      console.warn(`Cannot jump to ${index}: time-travel not enabled or out of range`);
+      return;
+    }
+
+    const currentState = this._state;
+    while (this._previousStates.length > index) this._stepBack();
+    while (this._previousStates.length < index) this._stepForward();
+
+    if (this._state !== currentState) {
+      this._notifyListeners(this._state, currentState, { type: 'JUMP_TO_STATE', payload: { index } });
+    }
+  }
+
+  /**
+   * Check if undo is available
+   * @returns {boolean} True if there is an action to undo
+   */
+  canUndo() {
+    return this._options.enableTimeTravel && this._previousStates.length > 0;
+  }
+
+  /**
+   * Check if redo is available
+   * @returns {boolean} True if there is an undone action to redo
+   */
+  canRedo() {
+    return this._options.enableTimeTravel && this._futureStates.length > 0;
+  }
+
+  /**
+   * Clear undo/redo history (e.g. after initial setup)
+   */
+  clearHistory() {
+    this._previousStates = [];
+    this._futureStates = [];
+    // The action log stays complete; its entries just cannot be undone any more
+    this._actionLog = this._actionLog.map((entry) => ({ ...entry, undoable: false }));
+    this._undoneActions = [];
+  }
+
+  /**
+   * Validate a state against the schema
+   * @param {Object} state - State to validate (default: current state)
+   * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid or no schema)
+   */
+  validate(state = this._state) {
+    if (!this._options.schema) return [];
+    return validateSchema(state, this._options.schema);
   }
 
   /**
-   * Get state history
+   * Get the applied and undone actions with the state around each of them
+   * @returns {{entries: Array<{action, timestamp, before, after}>, index: number}}
+   *   entries in chronological order; the first `index` entries are applied
+   */
+  getTimeline() {
+    const entries = [];
+    const past = this._previousStates;
+    past.forEach((entry, i) => {
+      entries.push({
+        action: entry.action,
+        timestamp: entry.timestamp,
+        before: entry.state,
+        after: i + 1 < past.length ? past[i + 1].state : this._state,
+      });
+    });
+
+    // The redo stack holds the state after each undone action, next redo last
+    let before = this._state;
+    [...this._futureStates].reverse().forEach((entry) => {
+      entries.push({ action: entry.action, timestamp: entry.timestamp, before, after: entry.state });
+      before = entry.state;
+    });
+
+    return { entries, index: past.length };
+  }
+
+  /**
+   * Get the undo history
+   *
+   * Only kept with `enableTimeTravel`, and only the last `maxHistorySize`
+   * entries; use getActionLog() to replay the session.
+   *
    * @returns {Array} History of state changes
    */
   getHistory() {
@@ -175,6 +436,166 @@ class StateManager {
     }));
   }
 
+  /**
+   * Get every action applied since the initial state
+   *
+   * Unlike getHistory() the log is neither capped nor dependent on
+   * `enableTimeTravel`: undone actions are left out and redone ones come
+   * back, so replay() on a store with the same initial state reaches the
+   * current state. Updates kept out of the history (`history: false`) are
+   * included where they happened.
+   *
+   * @returns {Array<Object>} Actions in order
+   */
+  getActionLog() {
+    return this._actionLog.map((entry) => entry.action);
+  }
+
+  /**
+   * Move one entry back in the history (no notification)
+   * @private
+   */
+  _stepBack() {
+    const logIndex = this._actionLog.map((entry) => entry.undoable).lastIndexOf(true);
+    this._undoneActions.push(...this._actionLog.splice(logIndex, 1));
+
+    const previous = this._previousStates.pop();
+    this._futureStates.push({
+      state: this._state,
+      action: previous.action,
+      timestamp: previous.timestamp
+    });
+    this._state = this._deepFreeze(previous.state);
+  }
+
+  /**
+   * Move one entry forward in the history (no notification)
+   * @private
+   */
+  _stepForward() {
+    this._actionLog.push(this._undoneActions.pop());
+
+    const next = this._futureStates.pop();
+    this._previousStates.push({
+      state: this._state,
+      action: next.action,
+      timestamp: next.timestamp
+    });
+    this._state = this._deepFreeze(next.state);
+  }
+
+  /**
+   * Stage an update in the running transaction, or commit it
+   * @private
+   */
+  _apply(prevState, nextState, action, record = true) {
+    if (!this._transaction) {
+      return this._commit(prevState, nextState, action, record);
+    }
+    this._transaction.state = this._deepFreeze(nextState);
+    this._transaction.actions.push(action);
+    return this._transaction.state;
+  }
+
+  /**
+   * Run the middleware pipeline, store the new state, record history and notify
+   * @private
+   */
+  _commit(prevState, nextState, action, record = true) {
+    // Run middleware pipeline
+    for (const middleware of this._middlewares) {
+      const result = middleware(prevState, nextState, action);
+      if (result === false) {
+        // Middleware cancelled update
+        console.warn(`State update cancelled by middleware: ${action.type}`);
+        return prevState;
+      }
+      if (result && typeof result === 'object') {
+        nextState = result; // Middleware modified state
+      }
+    }
+
+    // Nothing changed (same slices): no history entry, no notification
+    if (shallowEqual(nextState, prevState)) {
+      return prevState;
+    }
+
+    // Freeze new state (immutability)
+    this._state = this._deepFreeze(nextState);
+    this._actionLog.push({ action, undoable: this._options.enableTimeTravel && record });
+
+    // Save to history
+    if (this._options.enableTimeTravel && !record) {
+      this._rebaseHistory(action);
+    } else if (this._options.enableTimeTravel) {
+      this._previousStates.push({
+        state: prevState,
+        action,
+        timestamp: Date.now()
+      });
+
+      // Limit history size
+      if (this._previousStates.length > this._options.maxHistorySize) {
+        this._previousStates.shift();
+      }
+
+      // A new action invalidates the redo stack
+      this._futureStates = [];
+      this._undoneActions = [];
+    }
+
+    // Notify subscribers
+    this._notifyListeners(this._state, prevState, action);
+
+    return this._state;
+  }
+
+  /**
+   * Run an action through the slice reducers
+   * @private
+   * @returns {Object} New state (the same object if no slice changed)
+   */
+  _reduce(state, action) {
+    let nextState = state;
+    this._reducers.forEach((reducer, slice) => {
+      const sliceState = reducer(state[slice], action, state);
+      if (sliceState !== state[slice]) {
+        if (nextState === state) nextState = { ...state };
+        nextState[slice] = sliceState;
+      }
+    });
+    return nextState;
+  }
+
+  /**
+   * Apply an unrecorded action to every recorded state, so that undo/redo keep it
+   * @private
+   */
+  _rebaseHistory(action) {
+    const rebase = (entry) => ({ ...entry, state: this._deepFreeze(this._reduce(entry.state, action)) });
+    this._previousStates = this._previousStates.map(rebase);
+    this._futureStates = this._futureStates.map(rebase);
+  }
+
+  /**
+   * Whether a payload survives JSON serialisation
+   * @private
+   */
+  _isSerializable(value) {
+    if (value === null || ['string', 'number', 'boolean', 'undefined'].includes(typeof value)) {
+      return true;
+    }
+    if (Array.isArray(value)) {
+      return value.every((item) => this._isSerializable(item));
+    }
+    // Plain objects only (also from another realm, e.g. an iframe)
+    const proto = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+    if (proto === null || (proto && Object.getPrototypeOf(proto) === null)) {
+      return Object.values(value).every((item) => this._isSerializable(item));
+    }
+    return false;
+  }
+
   /**
    * Deep freeze object for immutability
    * @private
@@ -223,19 +644,17 @@ class StateManager {
    * @private
    */
   _validationMiddleware(prevState, nextState, action) {
-    // Validate state structure
-    const requiredKeys = [
-      'texts', 'checkboxes', 'status', 'forms', 'ui'
-    ];
-
-    for (const key of requiredKeys) {
-      if (!(key in nextState)) {
-        console.error(`Validation failed: Missing required key "${key}"`);
-        return false; // Cancel update
-      }
+    const errors = this.validate(nextState);
+    if (errors.length === 0) return nextState;
+
+    const message = `Validation failed: ${action.type}\n${formatSchemaErrors(errors)}`;
+    if (this._options.validationMode === 'warn') {
+      console.warn(message);
+      return nextState;
     }
 
-    return nextState;
+    console.error(message);
+    return false; // Cancel update
   }
 }
 
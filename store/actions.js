@@ -0,0 +1,149 @@
+/**
+ * Template Page Actions
+ *
+ * Action types and action creators of the templates page. Actions are plain
+ * { type, payload } objects with serialisable payloads, handled by the slice
+ * reducers in store/reducers.js, so a call session can be exported as an
+ * action log and replayed.
+ *
+ * Times are part of the payload (not read by the reducers) so a replay gives
+ * the same state as the original session.
+ *
+ * toCheckboxKey is shared with templates.js (through window.__ACTIONS__) and
+ * components/TemplateForm.js, which both map the .check-item checkboxes.
+ *
+ * @example
+ * store.dispatch(setCheck('statusName', true));
+ * store.dispatch(reset());
+ */
+
+export const ActionTypes = {
+  SET_NAME_INPUT: 'SET_NAME_INPUT',
+  SET_SHOW_DATETIME_NAME: 'SET_SHOW_DATETIME_NAME',
+  UPDATE_DATETIME: 'UPDATE_DATETIME',
+  RESET: 'RESET',
+  SET_PERSON_SELECT: 'SET_PERSON_SELECT',
+  SET_ALL_STATUSES: 'SET_ALL_STATUSES',
+  SET_PAID_STATUS: 'SET_PAID_STATUS',
+  SET_DELAY_STATUS: 'SET_DELAY_STATUS',
+  SET_MITSUBISHI: 'SET_MITSUBISHI',
+  SET_NEWYEAR: 'SET_NEWYEAR',
+  SET_PAID_RADIO: 'SET_PAID_RADIO',
+  SET_PAID_MAKER_WARRANTY: 'SET_PAID_MAKER_WARRANTY',
+  SET_DEALER_INFORMED: 'SET_DEALER_INFORMED',
+  SET_CHECK: 'SET_CHECK',
+  SET_PHONE_GUIDANCE_AT_STORE: 'SET_PHONE_GUIDANCE_AT_STORE',
+  SET_DEALER_COST_COVERAGE: 'SET_DEALER_COST_COVERAGE',
+  SET_DEALER_COST_COVERAGE_TYPE: 'SET_DEALER_COST_COVERAGE_TYPE',
+  CONFIRM_RULE: 'CONFIRM_RULE',
+  RESTORE_CALL_HISTORY: 'RESTORE_CALL_HISTORY',
+  RESTORE_SESSION: 'RESTORE_SESSION',
+  SET_TEXT: 'SET_TEXT',
+  DISCARD_TEXTS: 'DISCARD_TEXTS',
+  RESET_TEXTS: 'RESET_TEXTS',
+};
+
+/** Operator name */
+export const setNameInput = (value) => ({ type: ActionTypes.SET_NAME_INPUT, payload: { value } });
+
+/** Show/hide the datetime and name line */
+export const setShowDatetimeName = (checked) => ({
+  type: ActionTypes.SET_SHOW_DATETIME_NAME,
+  payload: { checked },
+});
+
+/** Set the shown datetime (default: now) */
+export const updateDateTime = (timestamp = Date.now()) => ({
+  type: ActionTypes.UPDATE_DATETIME,
+  payload: { timestamp },
+});
+
+/** Back to the defaults, keeping the operator name and texts */
+export const reset = (timestamp = Date.now()) => ({ type: ActionTypes.RESET, payload: { timestamp } });
+
+/** 呼称 */
+export const setPersonSelect = (value) => ({ type: ActionTypes.SET_PERSON_SELECT, payload: { value } });
+
+/** Paid warning and delay guidance done/pending together */
+export const setAllStatuses = (checked) => ({ type: ActionTypes.SET_ALL_STATUSES, payload: { checked } });
+
+/** Paid warning done/pending */
+export const setPaidStatus = (checked) => ({ type: ActionTypes.SET_PAID_STATUS, payload: { checked } });
+
+/** Delay guidance done/pending */
+export const setDelayStatus = (checked) => ({ type: ActionTypes.SET_DELAY_STATUS, payload: { checked } });
+
+/** Mitsubishi */
+export const setMitsubishi = (checked) => ({ type: ActionTypes.SET_MITSUBISHI, payload: { checked } });
+
+/** 年末年始 */
+export const setNewyear = (checked) => ({ type: ActionTypes.SET_NEWYEAR, payload: { checked } });
+
+/** Paid warning type (radio value) */
+export const setPaidRadio = (value) => ({ type: ActionTypes.SET_PAID_RADIO, payload: { value } });
+
+/** Within the maker warranty */
+export const setPaidMakerWarranty = (checked) => ({
+  type: ActionTypes.SET_PAID_MAKER_WARRANTY,
+  payload: { checked },
+});
+
+/** Informed by the dealer */
+export const setDealerInformed = (checked) => ({
+  type: ActionTypes.SET_DEALER_INFORMED,
+  payload: { checked },
+});
+
+/**
+ * Convert a data-target value ("status-urgent") to a checkbox key ("statusUrgent")
+ * @param {string} target - data-target attribute value
+ * @returns {string} Key in state.checkboxes
+ */
+export function toCheckboxKey(target) {
+  return target.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/** A .check-item checkbox (key of state.checkboxes) */
+export const setCheck = (key, checked) => ({ type: ActionTypes.SET_CHECK, payload: { key, checked } });
+
+/** Phone guidance at the store */
+export const setPhoneGuidanceAtStore = (checked) => ({
+  type: ActionTypes.SET_PHONE_GUIDANCE_AT_STORE,
+  payload: { checked },
+});
+
+/** Dealer cost coverage */
+export const setDealerCostCoverage = (checked) => ({
+  type: ActionTypes.SET_DEALER_COST_COVERAGE,
+  payload: { checked },
+});
+
+/** Dealer cost coverage type ("full" / "partial") */
+export const setDealerCostCoverageType = (value) => ({
+  type: ActionTypes.SET_DEALER_COST_COVERAGE_TYPE,
+  payload: { value },
+});
+
+/** Apply the values of a confirmed rule ({ "slice.key": value }) */
+export const confirmRule = (ruleId, values) => ({
+  type: ActionTypes.CONFIRM_RULE,
+  payload: { ruleId, values },
+});
+
+/** Restore the form state of a call history entry */
+export const restoreCallHistory = (entryId, snapshot) => ({
+  type: ActionTypes.RESTORE_CALL_HISTORY,
+  payload: { entryId, snapshot },
+});
+
+/** Restore the autosaved form state */
+export const restoreSession = (snapshot) => ({ type: ActionTypes.RESTORE_SESSION, payload: { snapshot } });
+
+/** Edit one text of the catalog */
+export const setText = (key, value) => ({ type: ActionTypes.SET_TEXT, payload: { key, value } });
+
+/** Go back to the texts the catalog was opened with */
+export const discardTexts = (texts) => ({ type: ActionTypes.DISCARD_TEXTS, payload: { texts } });
+
+/** Go back to the default texts */
+export const resetTexts = (texts) => ({ type: ActionTypes.RESET_TEXTS, payload: { texts } });
@@ -0,0 +1,133 @@
+/**
+ * Call History
+ *
+ * Keeps a local log of the result texts copied from the template page.
+ * Each entry stores the copied text, the operator name, what triggered the
+ * copy (shortcut id or copy source) and a snapshot of the form state, so an
+ * earlier call can be re-copied or restored after リセット.
+ *
+ * Entries are stored newest first in localStorage (file:// safe).
+ */
+
+export const CALL_HISTORY_STORAGE_KEY = 'templates:callHistory';
+export const MAX_CALL_HISTORY_ENTRIES = 200;
+
+// A copy repeated from the same place within this time (e.g. a double click) is recorded once
+const REPEAT_COPY_WINDOW_MS = 3000;
+
+/**
+ * Load history entries from storage
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ * @returns {Array<Object>} Entries, newest first
+ */
+export function loadCallHistory(storage = window.localStorage) {
+  try {
+    const entries = JSON.parse(storage.getItem(CALL_HISTORY_STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.warn('Could not read call history, starting empty:', error);
+    return [];
+  }
+}
+
+/**
+ * Save history entries to storage
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ */
+export function saveCallHistory(entries, storage = window.localStorage) {
+  try {
+    storage.setItem(CALL_HISTORY_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Could not save call history:', error);
+  }
+}
+
+/**
+ * Create a history entry from the current state
+ * @param {Object} state - Application state at copy time
+ * @param {Object} copy - { text, source, shortcutId, timestamp, outputId }
+ * @returns {Object} History entry
+ */
+export function createCallHistoryEntry(state, copy) {
+  const timestamp = copy.timestamp ?? Date.now();
+
+  return {
+    id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    text: copy.text,
+    operatorName: state.forms.nameInput.trim(),
+    source: copy.source ?? null,
+    outputId: copy.outputId ?? null,
+    shortcutId: copy.shortcutId ?? null,
+    snapshot: {
+      checkboxes: state.checkboxes,
+      status: state.status,
+      forms: state.forms,
+    },
+  };
+}
+
+/**
+ * Whether an entry repeats the newest one: the same text copied again from
+ * the same output, source and shortcut within a few seconds
+ * @private
+ */
+function isRepeatedCopy(newest, entry) {
+  return Boolean(newest) &&
+    newest.text === entry.text &&
+    newest.outputId === entry.outputId &&
+    newest.source === entry.source &&
+    newest.shortcutId === entry.shortcutId &&
+    Math.abs(entry.timestamp - newest.timestamp) < REPEAT_COPY_WINDOW_MS;
+}
+
+/**
+ * Prepend an entry
+ *
+ * Every copy is recorded, also when a later call produces the same text;
+ * only a repeat of the newest copy from the same place within a few seconds
+ * (a double click) is skipped.
+ *
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Object} entry - Entry to add
+ * @param {number} maxEntries - Maximum number of entries kept
+ * @returns {Array<Object>} New entries array
+ */
+export function addCallHistoryEntry(entries, entry, maxEntries = MAX_CALL_HISTORY_ENTRIES) {
+  if (isRepeatedCopy(entries[0], entry)) {
+    return entries;
+  }
+  return [entry, ...entries].slice(0, maxEntries);
+}
+
+/**
+ * Remove an entry by id
+ * @param {Array<Object>} entries - Entries
+ * @param {string} id - Entry id
+ * @returns {Array<Object>} New entries array
+ */
+export function removeCallHistoryEntry(entries, id) {
+  return entries.filter((entry) => entry.id !== id);
+}
+
+/**
+ * Filter entries by a free-text query (text, operator name, shortcut label)
+ * @param {Array<Object>} entries - Entries
+ * @param {string} query - Search query (space separated terms are AND-ed)
+ * @param {Function} getShortcutLabel - (shortcutId) => label
+ * @returns {Array<Object>} Matching entries
+ */
+export function searchCallHistory(entries, query, getShortcutLabel = () => '') {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter((entry) => {
+    const haystack = [
+      entry.text,
+      entry.operatorName,
+      entry.shortcutId ? getShortcutLabel(entry.shortcutId) : '',
+    ].join('\n').toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
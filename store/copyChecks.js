@@ -0,0 +1,48 @@
+/**
+ * Copy Checks
+ *
+ * Configurable checks run before the result text is copied (CONFIG.copyChecks),
+ * e.g. a missing operator name. Conditions use the same format as the option
+ * rules (store/rules.js) and describe the failing state.
+ *
+ * Check format:
+ * - id: Check identifier
+ * - level: "error" (stops the copy until the operator confirms) or "warning" (copies and shows it)
+ * - when: Condition that means the check failed
+ * - message: Text shown to the operator
+ * - fields: Selectors of the inputs to highlight
+ *
+ * @example
+ * {
+ *   id: "operator-name-missing",
+ *   level: "error",
+ *   when: { path: "forms.nameInput", matches: "^\\s*$" },
+ *   message: "オペレーター名が入力されていません",
+ *   fields: ["#name-input"],
+ * }
+ */
+
+import { matchesCondition } from './rules.js';
+
+export const COPY_CHECK_LEVELS = ['error', 'warning'];
+
+/**
+ * Run the checks against the state
+ * @param {Array<Object>} checks - Check definitions
+ * @param {Object} state - Application state
+ * @returns {Array<Object>} Failed checks ({ id, level, message, fields })
+ */
+export function runCopyChecks(checks, state) {
+  return checks
+    .filter((check) => matchesCondition(check.when, state))
+    .map(({ id, level = 'warning', message, fields = [] }) => ({ id, level, message, fields }));
+}
+
+/**
+ * Whether any failure should stop the copy
+ * @param {Array<Object>} failures - Result of runCopyChecks
+ * @returns {boolean}
+ */
+export function hasBlockingFailure(failures) {
+  return failures.some((failure) => failure.level === 'error');
+}
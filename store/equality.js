@@ -0,0 +1,70 @@
+/**
+ * Equality Functions
+ *
+ * Comparisons for selector results (StateManager.subscribe `equals` option and
+ * createSelector). Selectors that build a new object or array on every call
+ * are equal under `shallowEqual` / `deepEqual` when their contents are.
+ */
+
+/**
+ * Same value (===, but NaN equals NaN)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function strictEqual(a, b) {
+  return Object.is(a, b);
+}
+
+/**
+ * Same keys (or items) with strictly equal values, one level deep
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Structurally equal plain data (objects, arrays and primitives)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve an `equals` option to a function
+ * @param {Function|string} [equals] - Function, 'strict' (default), 'shallow' or 'deep'
+ * @returns {Function} (a, b) => boolean
+ */
+export function resolveEquality(equals = 'strict') {
+  if (typeof equals === 'function') return equals;
+
+  const functions = { strict: strictEqual, shallow: shallowEqual, deep: deepEqual };
+  if (!functions[equals]) {
+    throw new TypeError(`Unknown equality: ${equals}`);
+  }
+  return functions[equals];
+}
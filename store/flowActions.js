@@ -0,0 +1,38 @@
+/**
+ * Call Flow Actions
+ *
+ * Action types and action creators of the call-flow page, handled by
+ * store/flowReducers.js. Answers are resolved against the flow config
+ * (resolveAnswer in store/flowConfig.js) before they are dispatched, so the
+ * reducers and a replay do not need the config.
+ *
+ * @example
+ * store.dispatch(startFlow(getStartNodeId(config)));
+ * store.dispatch(answerStep('initial', resolveAnswer(config, node, 0)));
+ */
+
+export const FlowActionTypes = {
+  START_FLOW: 'START_FLOW',
+  ANSWER_STEP: 'ANSWER_STEP',
+  BACK_STEP: 'BACK_STEP',
+  FORWARD_STEP: 'FORWARD_STEP',
+  JUMP_TO_STEP: 'JUMP_TO_STEP',
+};
+
+/** Start (or restart) the flow at a node */
+export const startFlow = (nodeId) => ({ type: FlowActionTypes.START_FLOW, payload: { nodeId } });
+
+/** Answer the current step ({ label, values, next } from resolveAnswer) */
+export const answerStep = (nodeId, answer) => ({
+  type: FlowActionTypes.ANSWER_STEP,
+  payload: { nodeId, answer },
+});
+
+/** Take back the last answer */
+export const backStep = () => ({ type: FlowActionTypes.BACK_STEP, payload: {} });
+
+/** Redo the next answer that was taken back */
+export const forwardStep = () => ({ type: FlowActionTypes.FORWARD_STEP, payload: {} });
+
+/** Go back to an earlier step (by index) and answer it again */
+export const jumpToStep = (index) => ({ type: FlowActionTypes.JUMP_TO_STEP, payload: { index } });
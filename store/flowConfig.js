@@ -0,0 +1,297 @@
+/**
+ * Call Flow Config
+ *
+ * A call flow is a graph of nodes. Each node shows a text and collects an
+ * answer; the answer names the next node with `next`. Nodes without a next
+ * node end the flow. The values collected on the way ({ key: value }) can
+ * be used in later texts as "{key}" (formatText in store/textCatalog.js).
+ *
+ * Node types:
+ * - question: text and buttons ({ label, next, kv: { key, value }, when })
+ * - select:   text and options (strings or { label, value, next, when }) stored under `key`
+ * - input:    text input stored under `key`
+ * - info:     text only; continues to `next` with a button when there is one
+ *
+ * Any node can have a short `title`, shown in the breadcrumb of visited steps.
+ *
+ * Conditions (store/flowExpression.js) test the values collected so far:
+ * - `when` on a button or option hides it while the condition is false
+ * - `next` can be a list of branches ({ when, next }); the first branch whose
+ *   condition holds (or that has no `when`) is taken. Branches see the values
+ *   set by the answer being made.
+ *
+ * The optional `summary` declares the post-call text built from the collected
+ * values (store/flowSummary.js).
+ *
+ * @example
+ * {
+ *   "start": "initial",
+ *   "labels": { "back": "戻る", "next": "次へ" },
+ *   "nodes": {
+ *     "initial": {
+ *       "type": "question",
+ *       "text": "修理のご依頼でしょうか？",
+ *       "buttons": [
+ *         { "label": "はい", "next": "manufacturer", "kv": { "key": "isRepairRequest", "value": true } },
+ *         { "label": "いいえ", "next": "notRepair", "kv": { "key": "isRepairRequest", "value": false } }
+ *       ]
+ *     },
+ *     "manufacturer": {
+ *       "type": "select",
+ *       "text": "メーカーは？",
+ *       "key": "manufacturer",
+ *       "options": ["三菱", "TOTO"],
+ *       "next": [
+ *         { "when": "manufacturer == \"三菱\" && isRepairRequest", "next": "warranty" },
+ *         { "next": "otherManufacturer" }
+ *       ]
+ *     },
+ *     "notRepair": { "type": "info", "text": "こちらは、修理受付専用の窓口です" }
+ *   }
+ * }
+ */
+
+import { parseExpression, evaluateCondition } from './flowExpression.js';
+
+export const FLOW_NODE_TYPES = ['question', 'select', 'input', 'info'];
+
+const DEFAULT_LABELS = {
+  back: '戻る',
+  forward: '進む',
+  next: '次へ',
+  placeholder: '未選択',
+};
+
+/**
+ * Id of the first node (default: "initial")
+ * @param {Object} config - Flow config
+ * @returns {string} Node id
+ */
+export function getStartNodeId(config) {
+  return config.start || 'initial';
+}
+
+/**
+ * Whether the config has a node with this id (own keys only, so
+ * "constructor" or "toString" are never nodes)
+ * @param {Object} config - Flow config
+ * @param {string} nodeId - Node id
+ * @returns {boolean}
+ */
+export function hasFlowNode(config, nodeId) {
+  return Boolean(config.nodes) && Object.prototype.hasOwnProperty.call(config.nodes, nodeId);
+}
+
+/**
+ * Get a node by id
+ * @param {Object} config - Flow config
+ * @param {string} nodeId - Node id
+ * @returns {Object|null} Node, or null if there is none
+ */
+export function getFlowNode(config, nodeId) {
+  return (hasFlowNode(config, nodeId) && config.nodes[nodeId]) || null;
+}
+
+/**
+ * Get the title of a node for the breadcrumb (its id when it has no title)
+ * @param {Object} config - Flow config
+ * @param {string} nodeId - Node id
+ * @returns {string} Title
+ */
+export function getNodeTitle(config, nodeId) {
+  const node = getFlowNode(config, nodeId);
+  return (node && node.title) || nodeId;
+}
+
+/**
+ * Get a UI label (config.labels, falling back to the defaults)
+ * @param {Object} config - Flow config
+ * @param {string} name - "back", "forward", "next" or "placeholder"
+ * @returns {string} Label
+ */
+export function getFlowLabel(config, name) {
+  return (config.labels && config.labels[name]) ?? DEFAULT_LABELS[name];
+}
+
+/**
+ * Options of a select node as { label, value, next }
+ * @param {Object} node - Select node
+ * @returns {Array<Object>} Options
+ */
+export function getSelectOptions(node) {
+  return (node.options || []).map((option) =>
+    typeof option === 'object'
+      ? {
+          label: option.label ?? String(option.value),
+          value: option.value ?? option.label,
+          next: option.next,
+          when: option.when,
+        }
+      : { label: String(option), value: option }
+  );
+}
+
+/**
+ * Check whether a node ends the flow by itself (an info node without a next node)
+ * @param {Object|null} node - Node
+ * @returns {boolean} True if there is nothing to answer on the node
+ */
+export function isEndNode(node) {
+  return Boolean(node) && node.type === 'info' && (node.next === undefined || node.next === null);
+}
+
+/**
+ * Check whether a button or option is shown for the collected values
+ * @param {Object} choice - Button or option ({ when })
+ * @param {Object} values - Collected values
+ * @returns {boolean} True if it has no `when` or its condition holds
+ */
+export function isChoiceShown(choice, values) {
+  return !choice.when || evaluateCondition(choice.when, values);
+}
+
+/**
+ * Resolve a `next` (a node id or a list of branches) to a node id
+ * @param {string|Array<Object>|undefined} next - Node id or [{ when, next }]
+ * @param {Object} values - Collected values
+ * @returns {string|null} Node id, or null when no branch applies
+ */
+export function resolveNext(next, values) {
+  if (!Array.isArray(next)) return next ?? null;
+  const branch = next.find((b) => !b.when || evaluateCondition(b.when, values));
+  return branch ? branch.next ?? null : null;
+}
+
+/**
+ * Check the node types and that every `next` points to a node
+ * @param {Object} config - Flow config
+ * @returns {Array<string>} Problems (empty if the config is usable)
+ */
+export function validateFlowConfig(config) {
+  if (!config || typeof config !== 'object' || !config.nodes || typeof config.nodes !== 'object') {
+    return ['nodes: must be an object of nodes by id'];
+  }
+
+  const errors = [];
+  const checkWhen = (when, where) => {
+    if (when === undefined) return;
+    try {
+      parseExpression(when);
+    } catch (error) {
+      errors.push(`${where}.when: ${error.message}`);
+    }
+  };
+  const checkNext = (next, where) => {
+    if (Array.isArray(next)) {
+      next.forEach((branch, i) => {
+        checkWhen(branch.when, `${where}.next[${i}]`);
+        checkNext(branch.next, `${where}.next[${i}]`);
+      });
+      return;
+    }
+    if (next !== undefined && next !== null && !hasFlowNode(config, next)) {
+      errors.push(`${where}.next: unknown node "${next}"`);
+    }
+  };
+
+  if (!hasFlowNode(config, getStartNodeId(config))) {
+    errors.push(`start: unknown node "${getStartNodeId(config)}"`);
+  }
+
+  Object.entries(config.nodes).forEach(([id, node]) => {
+    const where = `nodes.${id}`;
+    if (!node || !FLOW_NODE_TYPES.includes(node.type)) {
+      errors.push(`${where}.type: must be one of ${FLOW_NODE_TYPES.join(', ')}`);
+      return;
+    }
+    checkNext(node.next, where);
+
+    if (node.type === 'question') {
+      if (!Array.isArray(node.buttons) || node.buttons.length === 0) {
+        errors.push(`${where}.buttons: a question needs at least one button`);
+        return;
+      }
+      node.buttons.forEach((button, i) => {
+        if (button.kv && typeof button.kv.key !== 'string') {
+          errors.push(`${where}.buttons[${i}].kv.key: must be a string`);
+        }
+        checkWhen(button.when, `${where}.buttons[${i}]`);
+        checkNext(button.next, `${where}.buttons[${i}]`);
+      });
+    }
+
+    if (node.type === 'select' || node.type === 'input') {
+      if (typeof node.key !== 'string' || node.key === '') {
+        errors.push(`${where}.key: the answer needs a key`);
+      }
+    }
+
+    if (node.type === 'select') {
+      if (!Array.isArray(node.options) || node.options.length === 0) {
+        errors.push(`${where}.options: a select needs at least one option`);
+        return;
+      }
+      getSelectOptions(node).forEach((option, i) => {
+        checkWhen(option.when, `${where}.options[${i}]`);
+        checkNext(option.next, `${where}.options[${i}]`);
+      });
+    }
+  });
+
+  if (config.summary !== undefined) {
+    if (!config.summary || !Array.isArray(config.summary.lines)) {
+      errors.push('summary.lines: must be an array of lines');
+    } else {
+      config.summary.lines.forEach((line, i) => {
+        if (typeof line === 'string') return;
+        if (!line || typeof line.text !== 'string') {
+          errors.push(`summary.lines[${i}]: must be a string or { text, when }`);
+          return;
+        }
+        checkWhen(line.when, `summary.lines[${i}]`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a choice on a node to the answer recorded for its step
+ *
+ * `choice` is the button index (question), the option index (select) or the
+ * entered text (input); info nodes take no choice. Branches of `next` are
+ * resolved with the collected values plus the values set by this answer.
+ *
+ * @param {Object} config - Flow config
+ * @param {Object} node - Node being answered
+ * @param {number|string} [choice] - Choice made on the node
+ * @param {Object} [values={}] - Values collected by the earlier answers
+ * @returns {Object} { label, values, next } (next is null at the end of the flow)
+ */
+export function resolveAnswer(config, node, choice, values = {}) {
+  const answer = (label, answerValues, next) => ({
+    label,
+    values: answerValues,
+    next: resolveNext(next, { ...values, ...answerValues }),
+  });
+
+  switch (node.type) {
+    case 'question': {
+      const button = node.buttons[choice];
+      return answer(
+        button.label,
+        button.kv ? { [button.kv.key]: button.kv.value } : {},
+        button.next ?? node.next
+      );
+    }
+    case 'select': {
+      const option = getSelectOptions(node)[choice];
+      return answer(option.label, { [node.key]: option.value }, option.next ?? node.next);
+    }
+    case 'input':
+      return answer(choice, { [node.key]: choice }, node.next);
+    default:
+      return answer(getFlowLabel(config, 'next'), {}, node.next);
+  }
+}
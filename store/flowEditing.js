@@ -0,0 +1,263 @@
+/**
+ * Call Flow Editing
+ *
+ * Pure helpers for the flow editor (components/FlowEditor.js): every edit
+ * returns a new config, so the editor can keep the config in a StateManager
+ * and undo edits. Also reads and writes the two files the call-flow page
+ * loads: data/flow-config.json and data/flow-config.js (window.FLOW_CONFIG,
+ * for pages opened from file://).
+ *
+ * @example
+ * let config = addFlowNode(config, 'warranty', 'question');
+ * config = renameFlowNode(config, 'warranty', 'warrantyCheck'); // references follow
+ * download(toFlowConfigJs(config));
+ */
+
+import { validateFlowConfig, getSelectOptions } from './flowConfig.js';
+
+const NODE_ID_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Header of the exported data/flow-config.js
+ */
+const JS_HEADER = [
+  '// JavaScript configuration object for CallFlow (same content as flow-config.json)',
+  '// This file allows the app to load config when opened via file:// (no HTTP server needed)',
+  '// Node types: question (buttons), select, input, info. See store/flowConfig.js.',
+  '// Generated by call-flow/editor.html.',
+];
+
+/**
+ * Create an empty node of a type
+ * @param {string} type - "question", "select", "input" or "info"
+ * @returns {Object} Node
+ */
+export function createFlowNode(type) {
+  switch (type) {
+    case 'question':
+      return { type, text: '', buttons: [{ label: 'はい' }, { label: 'いいえ' }] };
+    case 'select':
+      return { type, text: '', key: '', options: [] };
+    case 'input':
+      return { type, text: '', key: '' };
+    default:
+      return { type: 'info', text: '' };
+  }
+}
+
+/**
+ * Change the type of a node, keeping what both types share
+ * (title, text, next, and the key between select and input)
+ * @param {Object} node - Node
+ * @param {string} type - New type
+ * @returns {Object} Node of the new type
+ */
+export function changeFlowNodeType(node, type) {
+  if (node.type === type) return node;
+  const changed = { ...createFlowNode(type) };
+  ['title', 'text', 'next'].forEach((name) => {
+    if (node[name] !== undefined) changed[name] = node[name];
+  });
+  if (changed.key !== undefined && typeof node.key === 'string') changed.key = node.key;
+  return changed;
+}
+
+/**
+ * Check a node id for a new or renamed node
+ * @param {Object} config - Flow config
+ * @param {string} id - Node id
+ * @returns {string|null} Problem, or null if the id can be used
+ */
+export function checkNodeId(config, id) {
+  if (!NODE_ID_PATTERN.test(id)) {
+    return 'ID は英字で始まる英数字・_・- で入力してください';
+  }
+  if (config.nodes && Object.prototype.hasOwnProperty.call(config.nodes, id)) {
+    return `ノード「${id}」は既にあります`;
+  }
+  return null;
+}
+
+/**
+ * Apply `fn` to every node id a `next` refers to
+ * @private
+ */
+function mapNext(next, fn) {
+  if (Array.isArray(next)) {
+    return next.map((branch) => ({ ...branch, next: mapNext(branch.next, fn) }));
+  }
+  return next === undefined || next === null ? next : fn(next);
+}
+
+/**
+ * Apply `fn` to every node id referred to by a node
+ * @private
+ */
+function mapNodeRefs(node, fn) {
+  const mapped = { ...node };
+  if (node.next !== undefined) mapped.next = mapNext(node.next, fn);
+  if (Array.isArray(node.buttons)) {
+    mapped.buttons = node.buttons.map((button) =>
+      button.next === undefined ? button : { ...button, next: mapNext(button.next, fn) }
+    );
+  }
+  if (Array.isArray(node.options)) {
+    mapped.options = node.options.map((option) =>
+      option && typeof option === 'object' && option.next !== undefined
+        ? { ...option, next: mapNext(option.next, fn) }
+        : option
+    );
+  }
+  return mapped;
+}
+
+/**
+ * Add a node
+ * @param {Object} config - Flow config
+ * @param {string} id - Node id (see checkNodeId)
+ * @param {string} type - Node type
+ * @returns {Object} New config
+ */
+export function addFlowNode(config, id, type) {
+  return { ...config, nodes: { ...config.nodes, [id]: createFlowNode(type) } };
+}
+
+/**
+ * Replace a node
+ * @param {Object} config - Flow config
+ * @param {string} id - Node id
+ * @param {Object} node - New node
+ * @returns {Object} New config
+ */
+export function updateFlowNode(config, id, node) {
+  return { ...config, nodes: { ...config.nodes, [id]: node } };
+}
+
+/**
+ * Rename a node; the start node and every `next` that refers to it follow
+ * @param {Object} config - Flow config
+ * @param {string} from - Current id
+ * @param {string} to - New id (see checkNodeId)
+ * @returns {Object} New config
+ */
+export function renameFlowNode(config, from, to) {
+  const rename = (id) => (id === from ? to : id);
+  const nodes = {};
+  // Keep the order of the nodes (it is the order of the exported file)
+  Object.entries(config.nodes).forEach(([id, node]) => {
+    nodes[rename(id)] = mapNodeRefs(node, rename);
+  });
+
+  const renamed = { ...config, nodes };
+  if ((config.start || 'initial') === from) renamed.start = to;
+  return renamed;
+}
+
+/**
+ * Remove a node
+ *
+ * References to it are kept, so validateFlowConfig lists the places that
+ * still need a new next node.
+ *
+ * @param {Object} config - Flow config
+ * @param {string} id - Node id
+ * @returns {Object} New config
+ */
+export function removeFlowNode(config, id) {
+  const nodes = { ...config.nodes };
+  delete nodes[id];
+  return { ...config, nodes };
+}
+
+/**
+ * List the places that refer to a node
+ * @param {Object} config - Flow config
+ * @param {string} id - Node id
+ * @returns {Array<string>} Paths such as "nodes.initial.buttons[0]"
+ */
+export function findNodeReferences(config, id) {
+  const references = [];
+  if ((config.start || 'initial') === id) references.push('start');
+
+  Object.entries(config.nodes || {}).forEach(([nodeId, node]) => {
+    const check = (next, where) => {
+      mapNext(next, (target) => {
+        if (target === id) references.push(where);
+        return target;
+      });
+    };
+    check(node.next, `nodes.${nodeId}`);
+    (node.buttons || []).forEach((button, i) => check(button.next, `nodes.${nodeId}.buttons[${i}]`));
+    if (node.type === 'select') {
+      getSelectOptions(node).forEach((option, i) => check(option.next, `nodes.${nodeId}.options[${i}]`));
+    }
+  });
+
+  return [...new Set(references)];
+}
+
+/**
+ * Read a kv value typed in the editor
+ *
+ * true / false / null and numbers become those values; anything else is a
+ * string (wrap it in double quotes to keep "true" or "1" as a string).
+ *
+ * @param {string} text - Typed value
+ * @returns {*} Value
+ */
+export function parseKvValue(text) {
+  const trimmed = text.trim();
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'null') return null;
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (/^".*"$/.test(trimmed)) return trimmed.slice(1, -1);
+  return text;
+}
+
+/**
+ * Show a kv value in the editor (the reverse of parseKvValue)
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+export function formatKvValue(value) {
+  if (typeof value !== 'string') return value === undefined ? '' : String(value);
+  return parseKvValue(value) === value ? value : `"${value}"`;
+}
+
+/**
+ * Parse a flow-config.json file
+ * @param {string} text - File contents
+ * @returns {Object} { config, errors } (config is null if the file is not a config)
+ */
+export function parseFlowConfigJson(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [`JSON: ${error.message}`] };
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { config: null, errors: ['フロー設定のオブジェクトではありません'] };
+  }
+  return { config, errors: validateFlowConfig(config) };
+}
+
+/**
+ * Write data/flow-config.json
+ * @param {Object} config - Flow config
+ * @returns {string} File contents
+ */
+export function toFlowConfigJson(config) {
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Write data/flow-config.js (window.FLOW_CONFIG, CRLF like the file in the repository)
+ * @param {Object} config - Flow config
+ * @returns {string} File contents
+ */
+export function toFlowConfigJs(config) {
+  const lines = [...JS_HEADER, `window.FLOW_CONFIG = ${JSON.stringify(config, null, 2)};`, ''];
+  return lines.join('\n').replace(/\n/g, '\r\n');
+}
@@ -0,0 +1,215 @@
+/**
+ * Call Flow Expressions
+ *
+ * Conditions in the flow config (store/flowConfig.js) are small expressions
+ * over the values collected by the answers so far, for example
+ * `manufacturer == "三菱" && isRepairRequest`. They are parsed by a small
+ * recursive-descent parser and evaluated on the parse tree, so a config can
+ * only compare values, never run code.
+ *
+ * Grammar (lowest precedence first):
+ *   or         = and ("||" and)*
+ *   and        = comparison ("&&" comparison)*
+ *   comparison = unary (("==" | "!=" | "<" | "<=" | ">" | ">=") unary)?
+ *   unary      = "!" unary | primary
+ *   primary    = string | number | true | false | null | name | "(" or ")"
+ *
+ * - Strings are quoted with " or '; names are value keys (letters, digits, _ and .)
+ * - `==` / `!=` compare strictly ("1" is not 1); unknown names are undefined
+ *   (only own keys count, so `constructor` or `toString` are unknown too)
+ * - `&&`, `||` and `!` treat values as JavaScript truthy / falsy
+ *
+ * @example
+ * evaluateCondition('manufacturer == "三菱" && isRepairRequest', { manufacturer: '三菱', isRepairRequest: true }); // true
+ */
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '(', ')'];
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) throw new SyntaxError(`unterminated string at ${i}`);
+      tokens.push({ type: 'literal', value: source.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[\p{L}_][\p{L}\p{N}_.]*/u.exec(source.slice(i));
+    if (name) {
+      const word = name[0];
+      tokens.push(
+        Object.prototype.hasOwnProperty.call(KEYWORDS, word)
+          ? { type: 'literal', value: KEYWORDS[word] }
+          : { type: 'name', value: word }
+      );
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, i));
+    if (!operator) throw new SyntaxError(`unexpected "${char}" at ${i}`);
+    tokens.push({ type: 'operator', value: operator });
+    i += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree
+ *
+ * Nodes: { type: 'literal', value } | { type: 'name', value } |
+ * { type: 'not', operand } | { type: 'binary', operator, left, right }
+ *
+ * @param {string} source - Expression
+ * @returns {Object} Parse tree
+ * @throws {SyntaxError} If the expression is not valid
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new SyntaxError('empty expression');
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const accept = (...operators) => {
+    const token = peek();
+    if (token && token.type === 'operator' && operators.includes(token.value)) {
+      position += 1;
+      return token.value;
+    }
+    return null;
+  };
+
+  const binary = (operand, operators) => () => {
+    let left = operand();
+    let operator;
+    while ((operator = accept(...operators))) {
+      left = { type: 'binary', operator, left, right: operand() };
+    }
+    return left;
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new SyntaxError('unexpected end of expression');
+    if (accept('(')) {
+      const inner = parseOr();
+      if (!accept(')')) throw new SyntaxError('missing ")"');
+      return inner;
+    }
+    if (token.type === 'operator') throw new SyntaxError(`unexpected "${token.value}"`);
+    position += 1;
+    return token;
+  };
+
+  const parseUnary = () => (accept('!') ? { type: 'not', operand: parseUnary() } : parsePrimary());
+
+  const parseComparison = () => {
+    const left = parseUnary();
+    const operator = accept('==', '!=', '<=', '>=', '<', '>');
+    return operator ? { type: 'binary', operator, left, right: parseUnary() } : left;
+  };
+
+  const parseAnd = binary(parseComparison, ['&&']);
+  parseOr = binary(parseAnd, ['||']);
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new SyntaxError(`unexpected "${peek().value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Read a dotted name from the values, following own keys only
+ * @private
+ */
+function getValue(values, name) {
+  return name.split('.').reduce(
+    (value, key) => (value != null && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined),
+    values
+  );
+}
+
+/**
+ * Evaluate a parse tree against the collected values
+ * @private
+ */
+function evaluateTree(tree, values) {
+  switch (tree.type) {
+    case 'literal':
+      return tree.value;
+    case 'name':
+      return getValue(values, tree.value);
+    case 'not':
+      return !evaluateTree(tree.operand, values);
+    default:
+      break;
+  }
+
+  const left = evaluateTree(tree.left, values);
+  // Short-circuit like JavaScript: the right side is only evaluated when needed
+  if (tree.operator === '&&') return left && evaluateTree(tree.right, values);
+  if (tree.operator === '||') return left || evaluateTree(tree.right, values);
+
+  const right = evaluateTree(tree.right, values);
+  switch (tree.operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    default:
+      return left >= right;
+  }
+}
+
+const cache = new Map();
+
+/**
+ * Evaluate a condition against the collected values
+ * (parse trees are cached by source)
+ * @param {string} source - Expression
+ * @param {Object} values - Collected values ({ key: value })
+ * @returns {boolean} Whether the condition holds
+ * @throws {SyntaxError} If the expression is not valid
+ */
+export function evaluateCondition(source, values) {
+  if (!cache.has(source)) {
+    cache.set(source, parseExpression(source));
+  }
+  return Boolean(evaluateTree(cache.get(source), values || {}));
+}
@@ -0,0 +1,183 @@
+/**
+ * Call Flow Layout
+ *
+ * Lays out a flow config (store/flowConfig.js) as a top-to-bottom diagram of
+ * nodes and edges, computed locally so components/flowDiagram.js can draw it
+ * as SVG without a graph library.
+ *
+ * Layout steps:
+ * 1. Edges are collected from buttons, options, `next` and its branches
+ * 2. A depth-first walk from the start node marks the edges that go back to
+ *    a node on the current path (loops); the others form a DAG
+ * 3. Each node is put on the layer of its longest path from a root
+ * 4. Nodes in a layer are ordered by the mean position of their parents
+ *
+ * @example
+ * const { nodes, edges, width, height } = layoutFlow(config);
+ */
+
+import { getStartNodeId, getSelectOptions, hasFlowNode } from './flowConfig.js';
+
+/**
+ * Defaults for omitted layout options (in SVG user units)
+ */
+export const DEFAULT_LAYOUT_OPTIONS = {
+  nodeWidth: 160,
+  nodeHeight: 48,
+  gapX: 40,
+  gapY: 64,
+  padding: 24,
+};
+
+/**
+ * Collect the edges of a `next` (a node id or branches) into `add`
+ * @private
+ */
+function addNextEdges(next, label, add) {
+  if (Array.isArray(next)) {
+    next.forEach((branch) => add(branch.next, branch.when || 'それ以外'));
+    return;
+  }
+  add(next, label);
+}
+
+/**
+ * List the edges of a flow config
+ *
+ * Choices that lead to the same node share one edge with their labels joined
+ * by " / ". Edges to unknown nodes are left out (validateFlowConfig reports them).
+ *
+ * @param {Object} config - Flow config
+ * @returns {Array<Object>} [{ from, to, label }]
+ */
+export function getFlowEdges(config) {
+  const edges = [];
+  const byKey = new Map();
+
+  Object.entries(config.nodes || {}).forEach(([from, node]) => {
+    const add = (to, label = '') => {
+      if (to === undefined || to === null || !hasFlowNode(config, to)) return;
+      const key = `${from}\u0000${to}`;
+      const edge = byKey.get(key);
+      if (!edge) {
+        const created = { from, to, label };
+        byKey.set(key, created);
+        edges.push(created);
+      } else if (label && !edge.label.split(' / ').includes(label)) {
+        edge.label = edge.label ? `${edge.label} / ${label}` : label;
+      }
+    };
+
+    if (node.type === 'question') {
+      (node.buttons || []).forEach((button) => addNextEdges(button.next ?? node.next, button.label, add));
+    } else if (node.type === 'select') {
+      getSelectOptions(node).forEach((option) =>
+        addNextEdges(option.next ?? node.next, option.next ? option.label : '', add)
+      );
+    } else {
+      addNextEdges(node.next, '', add);
+    }
+  });
+
+  return edges;
+}
+
+/**
+ * Assign each node to a layer (longest path from a root, ignoring loops)
+ * @private
+ */
+function assignLayers(ids, startId, edges) {
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => outgoing.get(edge.from).push(edge));
+
+  const state = new Map(); // unseen, 1: on the path, 2: done
+  const discovered = [];
+  const finished = [];
+  const visit = (id) => {
+    state.set(id, 1);
+    discovered.push(id);
+    outgoing.get(id).forEach((edge) => {
+      if (state.get(edge.to) === 1) {
+        edge.back = true;
+      } else if (!state.has(edge.to)) {
+        visit(edge.to);
+      }
+    });
+    state.set(id, 2);
+    finished.push(id);
+  };
+
+  // Unreachable nodes are walked after the start node, in config order
+  [startId, ...ids].forEach((id) => {
+    if (outgoing.has(id) && !state.has(id)) visit(id);
+  });
+
+  // Reverse finishing order is a topological order of the DAG
+  const layers = new Map(ids.map((id) => [id, 0]));
+  finished.reverse().forEach((id) => {
+    outgoing.get(id).forEach((edge) => {
+      if (!edge.back) layers.set(edge.to, Math.max(layers.get(edge.to), layers.get(id) + 1));
+    });
+  });
+  return { layers, discovered };
+}
+
+/**
+ * Lay out a flow config
+ * @param {Object} config - Flow config
+ * @param {Object} [options] - Sizes (DEFAULT_LAYOUT_OPTIONS)
+ * @returns {Object} { nodes: [{ id, layer, x, y, width, height }],
+ *   edges: [{ from, to, label, back }], width, height }
+ */
+export function layoutFlow(config, options = {}) {
+  const { nodeWidth, nodeHeight, gapX, gapY, padding } = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+  const ids = Object.keys(config.nodes || {});
+  const edges = getFlowEdges(config).map((edge) => ({ ...edge, back: false }));
+  const { layers, discovered } = assignLayers(ids, getStartNodeId(config), edges);
+
+  // Rows in discovery order (the order of the choices), then sorted by the mean column of the parents
+  const rows = [];
+  discovered.forEach((id) => {
+    const layer = layers.get(id);
+    (rows[layer] = rows[layer] || []).push(id);
+  });
+
+  const column = new Map();
+  rows.forEach((row, layer) => {
+    const mean = (id) => {
+      const parents = edges.filter((e) => e.to === id && !e.back && column.has(e.from));
+      return parents.length === 0
+        ? Infinity
+        : parents.reduce((sum, e) => sum + column.get(e.from), 0) / parents.length;
+    };
+    const sorted = row
+      .map((id, index) => ({ id, index, mean: mean(id) }))
+      .sort((a, b) => (a.mean === b.mean ? a.index - b.index : a.mean - b.mean))
+      .map((entry) => entry.id);
+    rows[layer] = sorted;
+    // Columns are centred so rows of different lengths line up
+    sorted.forEach((id, index) => column.set(id, index - (sorted.length - 1) / 2));
+  });
+
+  const widest = Math.max(1, ...rows.map((row) => row.length));
+  const width = padding * 2 + widest * nodeWidth + (widest - 1) * gapX;
+  const height = padding * 2 + rows.length * nodeHeight + Math.max(0, rows.length - 1) * gapY;
+
+  const nodes = [];
+  rows.forEach((row, layer) => {
+    const rowWidth = row.length * nodeWidth + (row.length - 1) * gapX;
+    const left = (width - rowWidth) / 2;
+    row.forEach((id, index) => {
+      nodes.push({
+        id,
+        layer,
+        x: left + index * (nodeWidth + gapX),
+        y: padding + layer * (nodeHeight + gapY),
+        width: nodeWidth,
+        height: nodeHeight,
+      });
+    });
+  });
+
+  return { nodes, edges, width, height };
+}
@@ -0,0 +1,105 @@
+/**
+ * Call Flow Reducers
+ *
+ * The flow slice is the list of visited steps: { steps: [{ nodeId, answer }], trail }.
+ * Every step but the last is answered; the last one is the current step
+ * (unanswered) or, when its answer has no next node, the end of the flow.
+ * The collected values are derived from the answers (store/selectors/flowSelectors.js),
+ * so taking an answer back also takes back the values it set, and so do all
+ * the answers after it.
+ *
+ * `trail` keeps the steps as they were before going back, so the answers
+ * taken back can be redone one by one (FORWARD_STEP). Answering differently
+ * leaves the trail and clears it.
+ *
+ * @example
+ * const store = new StateManager({ flow: { steps: [], trail: [] } }, {
+ *   reducers: createFlowReducers(),
+ * });
+ */
+
+import { FlowActionTypes } from './flowActions.js';
+
+/**
+ * Check whether two answers are the same choice
+ * @private
+ */
+function isSameAnswer(a, b) {
+  return Boolean(a) && Boolean(b) && a.label === b.label && a.next === b.next;
+}
+
+/**
+ * Reopen the step at `index`: drop the steps after it and take back its answer
+ * @private
+ */
+function reopenStep(state, index) {
+  const { steps } = state;
+  if (index < 0 || index >= steps.length) return state;
+  return {
+    ...state,
+    steps: [...steps.slice(0, index), { ...steps[index], answer: null }],
+    // Keep the longest path walked so far for FORWARD_STEP
+    trail: state.trail && state.trail.length > 0 ? state.trail : steps,
+  };
+}
+
+/**
+ * Create the slice reducers of the call-flow page
+ * @returns {Object} { flow }
+ */
+export function createFlowReducers() {
+  return {
+    flow(state, action) {
+      const { payload } = action;
+      const { steps } = state;
+      const trail = state.trail || [];
+      const last = steps[steps.length - 1];
+      const lastIndex = steps.length - 1;
+
+      switch (action.type) {
+        case FlowActionTypes.START_FLOW:
+          return { ...state, steps: [{ nodeId: payload.nodeId, answer: null }], trail: [] };
+
+        case FlowActionTypes.ANSWER_STEP: {
+          // Only the current step can be answered
+          if (!last || last.answer || last.nodeId !== payload.nodeId) return state;
+          const answered = [...steps.slice(0, -1), { ...last, answer: payload.answer }];
+          return {
+            ...state,
+            steps: payload.answer.next
+              ? [...answered, { nodeId: payload.answer.next, answer: null }]
+              : answered,
+            trail: isSameAnswer(trail[lastIndex] && trail[lastIndex].answer, payload.answer) ? trail : [],
+          };
+        }
+
+        case FlowActionTypes.BACK_STEP:
+          // At the end of the flow the last step is answered: take that answer back,
+          // otherwise leave the current step and take back the answer that led to it
+          return reopenStep(state, last && last.answer ? lastIndex : lastIndex - 1);
+
+        case FlowActionTypes.JUMP_TO_STEP:
+          // Only earlier steps (or the answered last step) can be reopened
+          if (payload.index === lastIndex && !last.answer) return state;
+          return reopenStep(state, payload.index);
+
+        case FlowActionTypes.FORWARD_STEP: {
+          const taken = trail[lastIndex];
+          if (!last || last.answer || !taken || taken.nodeId !== last.nodeId || !taken.answer) {
+            return state;
+          }
+          // The step after the redone answer is current again, unless it is where the trail ends
+          const next = trail[lastIndex + 1];
+          const restored = trail.slice(0, lastIndex + 1);
+          if (next) {
+            restored.push(lastIndex + 2 === trail.length ? next : { ...next, answer: null });
+          }
+          return { ...state, steps: restored, trail: restored.length === trail.length ? [] : trail };
+        }
+
+        default:
+          return state;
+      }
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Call Flow Summary
+ *
+ * Renders the post-call summary declared by a flow config (`summary`) from
+ * the values collected by the answers, so the call-flow page can be copied
+ * into the same systems as the result text of templates/index.html.
+ *
+ * Summary options:
+ * - label:    heading shown above the summary (default: "結果")
+ * - lines:    strings with {key} placeholders, or { text, when } where `when`
+ *             is a condition (store/flowExpression.js) on the collected values
+ * - newline:  newline of the copied text (default: "\n")
+ * - autoCopy: copy the summary when the flow reaches its end
+ *
+ * A line is left out while one of its placeholders has no value yet, so the
+ * summary can be shown (and copied) at any point of the call.
+ *
+ * @example
+ * const summary = {
+ *   lines: [
+ *     { "when": "!isRepairRequest", "text": "修理以外のお問い合わせ" },
+ *     "メーカー: {manufacturer}",
+ *   ],
+ * };
+ * renderFlowSummary({ summary }, { isRepairRequest: true, manufacturer: '三菱' }); // "メーカー: 三菱"
+ */
+
+import { evaluateCondition } from './flowExpression.js';
+import { formatText } from './textCatalog.js';
+
+/**
+ * Defaults for omitted summary options
+ */
+export const DEFAULT_FLOW_SUMMARY = {
+  label: '結果',
+  lines: [],
+  newline: '\n',
+  autoCopy: false,
+};
+
+const PLACEHOLDER = /\{\w+\}/;
+
+/**
+ * Get the summary options of a flow config with the defaults applied
+ * @param {Object} config - Flow config
+ * @returns {Object|null} Summary options, or null if the config has no summary
+ */
+export function getFlowSummary(config) {
+  return config.summary ? { ...DEFAULT_FLOW_SUMMARY, ...config.summary } : null;
+}
+
+/**
+ * Render the summary lines that apply to the collected values
+ * @param {Object} config - Flow config
+ * @param {Object} values - Collected values
+ * @returns {Array<string>} Lines
+ */
+export function renderFlowSummaryLines(config, values) {
+  const summary = getFlowSummary(config);
+  if (!summary) return [];
+
+  return summary.lines
+    .map((line) => (typeof line === 'string' ? { text: line } : line))
+    .filter((line) => !line.when || evaluateCondition(line.when, values))
+    .map((line) => formatText(line.text, values))
+    .filter((text) => !PLACEHOLDER.test(text));
+}
+
+/**
+ * Render the summary text to copy
+ * @param {Object} config - Flow config
+ * @param {Object} values - Collected values
+ * @returns {string} Summary text (empty if no line applies)
+ */
+export function renderFlowSummary(config, values) {
+  const summary = getFlowSummary(config);
+  return summary ? renderFlowSummaryLines(config, values).join(summary.newline) : '';
+}
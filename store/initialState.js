@@ -5,6 +5,55 @@
  * Uses CONFIG from defaults.js if available, otherwise uses fallback values.
  */
 
+/**
+ * Schema of the templates page state (passed to StateManager as `schema`)
+ */
+export const TEMPLATE_STATE_SCHEMA = {
+  type: "object",
+  properties: {
+    texts: {
+      type: "object",
+      required: true,
+      additionalProperties: { type: "string" },
+    },
+    checkboxes: {
+      type: "object",
+      required: true,
+      additionalProperties: { type: "boolean" },
+    },
+    status: {
+      type: "object",
+      required: true,
+      properties: {
+        dealerInformed: { type: "boolean", required: true },
+        paidStatus: { type: "boolean", required: true },
+        delayStatus: { type: "boolean", required: true },
+      },
+    },
+    forms: {
+      type: "object",
+      required: true,
+      properties: {
+        paidRadio: { type: "string", enum: ["有償警告", "保証対象外部位有償案内"] },
+        paidMakerWarranty: { type: "boolean" },
+        personSelect: { type: "string" },
+        nameInput: { type: "string", required: true },
+        dealerCostCoverageType: { type: "string", enum: ["full", "partial"] },
+      },
+    },
+    ui: {
+      type: "object",
+      required: true,
+      properties: {
+        mitsubishiCheckboxVisible: { type: "boolean" },
+        currentTimestamp: { type: ["number", "null"] },
+      },
+    },
+    animation: { type: "object" },
+    _meta: { type: "object" },
+  },
+};
+
 /**
  * Create initial state from configuration
  * @param {Object} config - Configuration object from defaults.js
@@ -29,9 +78,21 @@ export function createInitialState(config = {}) {
     texts: {
       statusUrgent: "【至急対応希望】\n",
       statusNote: "備考要確認\n",
-      statusName: "奥様の名前の聴取\n",
+      statusNameSuffix: "の名前の聴取\n",
       statusPaid: "有償警告",
+      statusPaidMakerWarranty: "メーカー保証期間内の有償警告",
+      statusPaidOutOfWarranty: "保証対象外部位有償案内",
       statusDelay: "お日にちがかかる可能性案内",
+      statusDelayMitsubishi: "通常よりお日にちがかかる可能性案内",
+      statusDelayNewyear: "年末年始トーク",
+      statusDone: "済",
+      statusPending: "未",
+      modelCheck: "型番確認\n",
+      dealerInformed: " (販売店にて案内済み)",
+      dealerCostCoverage: "費用が発生した場合、●●店/●●様(連絡先)が{coverage}負担するとのこと。",
+      dealerCostCoverageFull: "全額",
+      dealerCostCoveragePartial: "一部",
+      phoneGuidanceAtStore: "お客様来店中のため、お電話を代わっていただき、案内。",
     },
     animation: {
       flashColor: "#ffeb3b",
@@ -45,15 +106,14 @@ export function createInitialState(config = {}) {
   const checks = { ...defaultConfig.checks, ...(config.checks || {}) };
   const animation = { ...defaultConfig.animation, ...(config.animation || {}) };
 
+  // defaults.js は isMitsubishi、旧設定は maker で三菱を指定する
+  const isMitsubishi = config.isMitsubishi ?? mergedConfig.maker === "三菱";
+  // "済" の場合は有償警告・お日にちの両方を案内済みとして開始する
+  const isStatusComplete = mergedConfig.status === "済";
+
   return {
     // Text content state
-    texts: {
-      statusUrgent: texts.statusUrgent,
-      statusName: texts.statusName,
-      statusNote: texts.statusNote,
-      statusPaid: texts.statusPaid,
-      statusDelay: texts.statusDelay,
-    },
+    texts: { ...texts },
 
     // Checkbox/radio states
     checkboxes: {
@@ -62,17 +122,18 @@ export function createInitialState(config = {}) {
       statusNote: checks["status-note"],
       modelCheck: checks["model-check"],
       // statusDelay: checks["status-delay"],
-      mitsubishi: mergedConfig.maker === "三菱",
+      mitsubishi: isMitsubishi,
       newyear: mergedConfig.newyear,
       showDatetimeName: mergedConfig.showDatetimeName,
+      phoneGuidanceAtStore: false,
+      dealerCostCoverage: false,
     },
 
     // Status tracking
     status: {
-      main: mergedConfig.status === "済",
       dealerInformed: false,
-      paidStatus: false,
-      delayStatus: false,
+      paidStatus: isStatusComplete,
+      delayStatus: isStatusComplete,
     },
 
     // Form values
@@ -81,13 +142,13 @@ export function createInitialState(config = {}) {
       paidMakerWarranty: mergedConfig.paidMakerWarranty,
       personSelect: "奥様",
       nameInput: "",
+      dealerCostCoverageType: "full",
     },
 
     // UI state
     ui: {
-      showDatetimeName: mergedConfig.showDatetimeName,
       mitsubishiCheckboxVisible: !mergedConfig.newyear,
-      currentDateTime: "",
+      currentTimestamp: null, // Shown in the outputs' datetime format
     },
 
     // Animation config
@@ -0,0 +1,262 @@
+/**
+ * Output Formats
+ *
+ * Renders the result text for each output profile (CONFIG.outputs) from the
+ * same state. A profile decides which fields are included and in which order,
+ * the line prefix, the bullet, the datetime format and the newline, so every
+ * downstream system (R-system, Teams, tickets) gets the text it expects.
+ *
+ * A rendered output is a list of lines; each line is a list of segments so
+ * the page can flash and colour individual parts (e.g. the 済/未 word).
+ *
+ * @example
+ * const format = { id: 'ticket', bullet: '- ', fields: ['paid', 'delay'] };
+ * renderOutputText(state, format); // "- 有償警告未\n- お日にちがかかる可能性案内未"
+ */
+
+import { getStatusWord, getPaidDisplayText, getPersonNameText } from './selectors/statusSelectors.js';
+import {
+  getOperatorNameText,
+  getStatusUrgentText,
+  getStatusNoteText,
+  getModelCheckText,
+  getStatusDelayText,
+  getDealerInformedText,
+  getDealerCostCoverageText,
+  getPhoneGuidanceAtStoreText,
+} from './selectors/resultSelectors.js';
+import { matchesCondition } from './rules.js';
+
+/**
+ * Defaults for omitted format options
+ */
+export const DEFAULT_OUTPUT_FORMAT = {
+  label: '',
+  bullet: '・',
+  linePrefix: '',
+  datetimeFormat: 'YYYY/MM/DD HH:mm',
+  newline: '\n',
+  fields: [],
+};
+
+/**
+ * Outputs used when CONFIG.outputs is not defined (R-system and Teams)
+ */
+export const DEFAULT_OUTPUTS = [
+  {
+    id: 'rsystem',
+    label: 'R-system',
+    autoCopy: true,
+    fields: ['datetimeName', 'urgent', 'phoneGuidance', 'dealerCostCoverage', 'personName', 'paid', 'delay'],
+  },
+  {
+    id: 'teams',
+    label: 'Teams',
+    fields: ['datetimeName', 'urgent', 'modelCheck', 'note', 'paid', 'delay'],
+    visibleWhen: {
+      any: [
+        { path: 'checkboxes.statusNote', equals: true },
+        { path: 'checkboxes.modelCheck', equals: true },
+      ],
+    },
+  },
+];
+
+/**
+ * Format a timestamp
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @param {string} format - Tokens: YYYY, YY, MM, M, DD, D, HH, H, mm
+ * @returns {string} Formatted date (empty if no timestamp)
+ *
+ * @example
+ * formatDateTime(Date.now(), 'MM/DD HH:mm'); // "01/05 09:30"
+ */
+export function formatDateTime(timestamp, format) {
+  if (timestamp == null) return '';
+
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    mm: pad(date.getMinutes()),
+  };
+  return format.replace(/YYYY|YY|MM|M|DD|D|HH|H|mm/g, (token) => tokens[token]);
+}
+
+/**
+ * Split a catalog text into lines (a trailing newline only ends the line)
+ * @private
+ */
+function toLines(text) {
+  return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Plain (non-bullet) lines of a text
+ * @private
+ */
+function plainLines(key, text) {
+  return toLines(text).map((line, index) => ({
+    key: `${key}:${index}`,
+    bullet: false,
+    segments: [{ text: line }],
+  }));
+}
+
+/**
+ * Field renderers: (state, format) => lines
+ * Each line is { key, bullet, segments: [{ text, status? }] }
+ */
+export const OUTPUT_FIELDS = {
+  // Datetime and operator name
+  datetimeName: (state, format) => {
+    if (!state.checkboxes.showDatetimeName) return [];
+    return [{
+      key: 'datetimeName',
+      bullet: false,
+      segments: [
+        { text: formatDateTime(state.ui.currentTimestamp, format.datetimeFormat) + ' ' },
+        { text: 'CC' },
+        { text: getOperatorNameText(state) },
+      ],
+    }];
+  },
+
+  // Urgent request
+  urgent: (state) => {
+    const text = getStatusUrgentText(state);
+    return text ? plainLines('urgent', text) : [];
+  },
+
+  // Phone guidance at the store, followed by a blank line
+  phoneGuidance: (state) => {
+    const text = getPhoneGuidanceAtStoreText(state);
+    if (!text) return [];
+    return [
+      ...plainLines('phoneGuidance', text),
+      { key: 'phoneGuidance:blank', bullet: false, segments: [] },
+    ];
+  },
+
+  // Dealer cost coverage
+  dealerCostCoverage: (state) => {
+    const text = getDealerCostCoverageText(state);
+    return text ? plainLines('dealerCostCoverage', text) : [];
+  },
+
+  // Name hearing (the person is a separate segment so only it flashes)
+  personName: (state) => {
+    if (!getPersonNameText(state)) return [];
+    return [{
+      key: 'personName',
+      bullet: true,
+      segments: [
+        { text: state.forms.personSelect },
+        { text: toLines(state.texts.statusNameSuffix).join(' ') },
+      ],
+    }];
+  },
+
+  // Model number check
+  modelCheck: (state) => {
+    const text = getModelCheckText(state);
+    if (!text) return [];
+    return [{ key: 'modelCheck', bullet: true, segments: [{ text: toLines(text).join(' ') }] }];
+  },
+
+  // Note confirmation
+  note: (state) => {
+    const text = getStatusNoteText(state);
+    if (!text) return [];
+    return [{ key: 'note', bullet: true, segments: [{ text: toLines(text).join(' ') }] }];
+  },
+
+  // Paid warning
+  paid: (state) => {
+    const text = getPaidDisplayText(state);
+    if (!text) return [];
+    return [{
+      key: 'paid',
+      bullet: true,
+      segments: [
+        { text },
+        { text: getStatusWord(state, state.status.paidStatus), status: state.status.paidStatus },
+        { text: getDealerInformedText(state) },
+      ],
+    }];
+  },
+
+  // Delay guidance
+  delay: (state) => [{
+    key: 'delay',
+    bullet: true,
+    segments: [
+      { text: getStatusDelayText(state) },
+      { text: getStatusWord(state, state.status.delayStatus), status: state.status.delayStatus },
+    ],
+  }],
+};
+
+/**
+ * Fill in the defaults of an output format
+ * @param {Object} format - Output format from CONFIG.outputs
+ * @returns {Object} Complete format
+ */
+export function normalizeOutputFormat(format) {
+  return { ...DEFAULT_OUTPUT_FORMAT, ...format };
+}
+
+/**
+ * Whether an output is shown for the state
+ * @param {Object} state - Application state
+ * @param {Object} format - Output format
+ * @returns {boolean}
+ */
+export function isOutputVisible(state, format) {
+  return !format.visibleWhen || matchesCondition(format.visibleWhen, state);
+}
+
+/**
+ * Render the lines of an output
+ * @param {Object} state - Application state
+ * @param {Object} format - Output format
+ * @returns {Array<Object>} Lines ({ key, prefix, segments })
+ */
+export function renderOutputLines(state, format) {
+  const normalized = normalizeOutputFormat(format);
+
+  return normalized.fields.flatMap((field) => {
+    const render = OUTPUT_FIELDS[field];
+    if (!render) {
+      console.warn(`Unknown output field: ${field}`);
+      return [];
+    }
+    return render(state, normalized).map(({ key, bullet, segments }) => ({
+      key,
+      // Blank lines get no prefix
+      prefix: segments.length === 0 ? '' : normalized.linePrefix + (bullet ? normalized.bullet : ''),
+      segments,
+    }));
+  });
+}
+
+/**
+ * Render an output as text (what is copied)
+ * @param {Object} state - Application state
+ * @param {Object} format - Output format
+ * @returns {string} Output text
+ */
+export function renderOutputText(state, format) {
+  const { newline } = normalizeOutputFormat(format);
+  return renderOutputLines(state, format)
+    .map((line) => line.prefix + line.segments.map((s) => s.text).join(''))
+    .join(newline)
+    .replace(/\s+$/, '');
+}
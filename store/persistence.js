@@ -0,0 +1,271 @@
+/**
+ * State Persistence
+ *
+ * Saves selected slices of a StateManager state to localStorage or IndexedDB
+ * and restores them when the page opens again. Saved data carries the
+ * state's `_meta.version`; when the version of the page changes, the
+ * registered migrations bring the saved data up to date. Data that cannot be
+ * read or migrated is dropped and the page starts from its initial state.
+ *
+ * Saved format: { version, savedAt, state: { [slice]: value } }
+ *
+ * Pages that decide themselves when to restore (e.g. after asking, see
+ * components/SessionRecovery.js) use read() and save() instead of load()
+ * and connect().
+ *
+ * @example
+ * const persistence = createPersistence({
+ *   key: 'manual:state',
+ *   slices: ['forms', 'checkboxes'],
+ *   storage: 'indexedDB',
+ *   throttle: 1000,
+ *   migrations: {
+ *     // Saved before 1.1.0: forms.name was renamed to forms.nameInput
+ *     '1.1.0': (state) => ({ ...state, forms: { nameInput: state.forms.name } }),
+ *   },
+ * });
+ * const store = new StateManager(await persistence.load(createInitialState(CONFIG)));
+ * persistence.connect(store);
+ * window.addEventListener('pagehide', () => persistence.flush());
+ */
+
+const IDB_DATABASE_NAME = 'state-manager';
+const IDB_STORE_NAME = 'states';
+
+/**
+ * Compare two dotted versions ("1.2.0")
+ *
+ * A missing version (data saved before versions were used) is "0".
+ *
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const pa = String(a ?? 0).split('.').map(Number);
+  const pb = String(b ?? 0).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Storage adapter over a Web Storage object (localStorage)
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ * @returns {Object} Adapter with async getItem/setItem/removeItem
+ */
+export function createWebStorageAdapter(storage = window.localStorage) {
+  return {
+    getItem: async (key) => {
+      const text = storage.getItem(key);
+      return text === null ? null : JSON.parse(text);
+    },
+    setItem: async (key, value) => storage.setItem(key, JSON.stringify(value)),
+    removeItem: async (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * Storage adapter over IndexedDB (for larger states)
+ * @param {IDBFactory} indexedDB - IndexedDB implementation (default: window.indexedDB)
+ * @returns {Object} Adapter with async getItem/setItem/removeItem
+ */
+export function createIndexedDBAdapter(indexedDB = window.indexedDB) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(IDB_STORE_NAME, mode).objectStore(IDB_STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    getItem: async (key) => (await run('readonly', (store) => store.get(key))) ?? null,
+    setItem: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    removeItem: (key) => run('readwrite', (store) => store.delete(key)),
+  };
+}
+
+/**
+ * Resolve the `storage` option to an adapter
+ * @private
+ */
+function resolveAdapter(storage) {
+  if (storage === 'indexedDB') return createIndexedDBAdapter();
+  if (!storage || storage === 'localStorage') return createWebStorageAdapter();
+  return storage;
+}
+
+/**
+ * Bring saved slices up to the current version
+ *
+ * Migrations are keyed by the version they migrate to and run in version
+ * order for every version after the saved one, up to the current one.
+ *
+ * @param {Object} saved - Saved data { version, state }
+ * @param {string} version - Current version
+ * @param {Object} migrations - { [version]: (state) => state }
+ * @returns {Object} Migrated slices
+ * @throws {Error} If the saved data is newer than the page or a migration fails
+ */
+export function migratePersistedState(saved, version, migrations = {}) {
+  if (compareVersions(saved.version, version) > 0) {
+    throw new Error(`Saved state version ${saved.version} is newer than ${version}`);
+  }
+
+  return Object.keys(migrations)
+    .filter((v) => compareVersions(v, saved.version) > 0 && compareVersions(v, version) <= 0)
+    .sort(compareVersions)
+    .reduce((state, v) => {
+      const migrated = migrations[v](state);
+      if (!migrated || typeof migrated !== 'object') {
+        throw new Error(`Migration to ${v} did not return a state`);
+      }
+      return migrated;
+    }, saved.state);
+}
+
+/**
+ * Merge saved slices onto the initial state (keys added since are kept)
+ * @param {Object} initialState - Initial state of the page
+ * @param {Object} persisted - Saved slices
+ * @param {Array<string>} slices - Slices that are persisted
+ * @returns {Object} State to start from
+ */
+export function mergePersistedState(initialState, persisted, slices) {
+  const state = { ...initialState };
+  slices.forEach((slice) => {
+    if (!(slice in persisted)) return;
+    const value = persisted[slice];
+    const initial = initialState[slice];
+    state[slice] = isPlainObject(value) && isPlainObject(initial)
+      ? { ...initial, ...value }
+      : value;
+  });
+  return state;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Create a persistence plugin for a StateManager
+ * @param {Object} options
+ * @param {string} options.key - Storage key (namespace it per page, e.g. "manual:state")
+ * @param {Array<string>} options.slices - Top-level state keys to persist
+ * @param {string|Object} [options.storage] - "localStorage" (default), "indexedDB" or an adapter
+ * @param {number} [options.throttle] - Minimum milliseconds between saves (default: 500)
+ * @param {Object} [options.migrations] - { [version]: (state) => state }
+ * @returns {{load: Function, read: Function, connect: Function, save: Function, flush: Function, clear: Function}}
+ *   load(initialState): Promise of the initial state with the saved slices applied
+ *   read(version): Promise of the saved data { version, savedAt, state } migrated to
+ *     `version`, or null if nothing usable is saved
+ *   connect(store): save the persisted slices after each change; returns unsubscribe
+ *   save(state): save the persisted slices of a state (throttled)
+ *   flush(): save a scheduled change now
+ *   clear(): remove the saved data and drop a scheduled save
+ */
+export function createPersistence(options) {
+  const {
+    key,
+    slices,
+    throttle = 500,
+    migrations = {},
+  } = options;
+  const adapter = resolveAdapter(options.storage);
+
+  let pendingState = null;
+  let timer = null;
+  let lastSave = 0;
+
+  const write = () => {
+    timer = null;
+    if (!pendingState) return Promise.resolve();
+
+    const state = pendingState;
+    pendingState = null;
+    lastSave = Date.now();
+
+    const data = {
+      version: state._meta?.version ?? null,
+      savedAt: lastSave,
+      state: Object.fromEntries(slices.map((slice) => [slice, state[slice]])),
+    };
+    return adapter.setItem(key, data).catch((error) => {
+      console.error(`Could not save state "${key}":`, error);
+    });
+  };
+
+  const read = async (version = null) => {
+    try {
+      const saved = await adapter.getItem(key);
+      if (!saved) return null;
+      if (!isPlainObject(saved) || !isPlainObject(saved.state)) {
+        throw new Error('Saved state is not an object');
+      }
+      const state = saved.version === version
+        ? saved.state
+        : migratePersistedState(saved, version, migrations);
+      return { version, savedAt: saved.savedAt, state };
+    } catch (error) {
+      console.warn(`Could not restore state "${key}", starting from the initial state:`, error);
+      adapter.removeItem(key).catch(() => {});
+      return null;
+    }
+  };
+
+  const load = async (initialState) => {
+    const saved = await read(initialState._meta?.version ?? null);
+    return saved ? mergePersistedState(initialState, saved.state, slices) : initialState;
+  };
+
+  const save = (state) => {
+    pendingState = state;
+    if (!timer) {
+      const wait = Math.max(0, lastSave + throttle - Date.now());
+      timer = setTimeout(write, wait);
+    }
+  };
+
+  // Subscribe rather than run as a middleware so undo/redo are saved too
+  // and a change cancelled by a later middleware is never written
+  const connect = (store) => store.subscribe((newState, prevState) => {
+    if (slices.every((slice) => prevState[slice] === newState[slice])) return;
+    save(newState);
+  });
+
+  const flush = () => {
+    clearTimeout(timer);
+    return write();
+  };
+
+  const clear = () => {
+    clearTimeout(timer);
+    timer = null;
+    pendingState = null;
+    return adapter.removeItem(key);
+  };
+
+  return { load, read, connect, save, flush, clear };
+}
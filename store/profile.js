@@ -0,0 +1,250 @@
+/**
+ * Configuration Profile
+ *
+ * A profile is a JSON file carrying the templates configuration (defaults,
+ * texts, shortcut presets, option rules, copy checks, outputs, animation), so
+ * one person can prepare e.g. the 年末年始 setup and everyone else imports the
+ * file instead of editing config/defaults.js on each PC.
+ *
+ * An imported profile is validated, saved to localStorage and applied on top of
+ * CONFIG at startup.
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "name": "年末年始",
+ *   "config": { "newyear": true, "texts": { "statusDelayNewyear": "年末年始トーク" } }
+ * }
+ */
+
+import { validateSchema } from './schema.js';
+import { TEXT_CATALOG } from './textCatalog.js';
+import { COPY_CHECK_LEVELS } from './copyChecks.js';
+import { OUTPUT_FIELDS } from './outputFormats.js';
+
+export const PROFILE_STORAGE_KEY = 'templates:profile';
+export const PROFILE_VERSION = 1;
+
+const PAID_VALUES = ['有償警告', '保証対象外部位有償案内'];
+
+const SHORTCUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    label: { type: 'string', required: true },
+    title: { type: 'string' },
+    paid: { type: 'string', enum: PAID_VALUES },
+    paidMakerWarranty: { type: 'boolean' },
+    paidStatus: { type: 'boolean' },
+    delayStatus: { type: 'boolean' },
+    dealerInformed: { type: 'boolean' },
+  },
+  additionalProperties: false,
+};
+
+const RULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    when: { type: 'object', required: true },
+    set: { type: 'object' },
+    require: { type: 'object' },
+    confirm: { type: 'string' },
+    reason: { type: 'string' },
+    actions: { type: 'array', items: { type: 'string' } },
+  },
+  additionalProperties: false,
+};
+
+const COPY_CHECK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    level: { type: 'string', enum: COPY_CHECK_LEVELS },
+    when: { type: 'object', required: true },
+    message: { type: 'string', required: true },
+    fields: { type: 'array', items: { type: 'string' } },
+  },
+  additionalProperties: false,
+};
+
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    label: { type: 'string' },
+    fields: {
+      type: 'array',
+      required: true,
+      items: { type: 'string', enum: Object.keys(OUTPUT_FIELDS) },
+    },
+    bullet: { type: 'string' },
+    linePrefix: { type: 'string' },
+    datetimeFormat: { type: 'string' },
+    newline: { type: 'string' },
+    visibleWhen: { type: 'object' },
+    autoCopy: { type: 'boolean' },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Schema of the profile file
+ */
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'number', enum: [PROFILE_VERSION], required: true },
+    name: { type: 'string' },
+    exportedAt: { type: 'string' },
+    config: {
+      type: 'object',
+      required: true,
+      properties: {
+        status: { type: 'string', enum: ['済', '未'] },
+        maker: { type: 'string', enum: ['三菱', '三菱以外'] },
+        isMitsubishi: { type: 'boolean' },
+        paid: { type: 'string', enum: PAID_VALUES },
+        paidMakerWarranty: { type: 'boolean' },
+        showDatetimeName: { type: 'boolean' },
+        newyear: { type: 'boolean' },
+        checks: { type: 'object', additionalProperties: { type: 'boolean' } },
+        shortcuts: { type: 'array', items: SHORTCUT_SCHEMA },
+        rules: { type: 'array', items: RULE_SCHEMA },
+        copyChecks: { type: 'array', items: COPY_CHECK_SCHEMA },
+        outputs: { type: 'array', items: OUTPUT_SCHEMA },
+        texts: {
+          type: 'object',
+          properties: Object.fromEntries(TEXT_CATALOG.map(({ key }) => [key, { type: 'string' }])),
+          additionalProperties: false,
+        },
+        animation: {
+          type: 'object',
+          properties: {
+            flashColor: { type: 'string' },
+            flashDuration: { type: 'number' },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Validate a profile object
+ * @param {*} profile - Parsed profile
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateProfile(profile) {
+  return validateSchema(profile, PROFILE_SCHEMA);
+}
+
+/**
+ * Parse and validate profile JSON text
+ * @param {string} text - File contents
+ * @returns {{profile: Object|null, errors: Array<{path: string, message: string}>}}
+ */
+export function parseProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    return { profile: null, errors: [{ path: '(root)', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  const errors = validateProfile(profile);
+  return { profile: errors.length === 0 ? profile : null, errors };
+}
+
+/**
+ * Apply a profile on top of a configuration
+ * @param {Object} config - Base configuration (CONFIG)
+ * @param {Object|null} profile - Validated profile
+ * @returns {Object} Merged configuration
+ */
+export function applyProfile(config, profile) {
+  if (!profile) return config;
+
+  const overrides = profile.config;
+  return {
+    ...config,
+    ...overrides,
+    checks: { ...config.checks, ...overrides.checks },
+    texts: { ...config.texts, ...overrides.texts },
+    animation: { ...config.animation, ...overrides.animation },
+    // Lists are replaced as a whole so the profile controls their order
+    shortcuts: overrides.shortcuts || config.shortcuts,
+    rules: overrides.rules || config.rules,
+    copyChecks: overrides.copyChecks || config.copyChecks,
+    outputs: overrides.outputs || config.outputs,
+  };
+}
+
+/**
+ * Build a profile from a configuration
+ * @param {Object} config - Configuration to export
+ * @param {Object} options
+ * @param {string} [options.name] - Profile name
+ * @param {Object} [options.texts] - Texts to export instead of config.texts
+ * @returns {Object} Profile
+ */
+export function createProfile(config, options = {}) {
+  const keys = Object.keys(PROFILE_SCHEMA.properties.config.properties);
+  const exported = {};
+  keys.forEach((key) => {
+    if (config[key] !== undefined) {
+      exported[key] = config[key];
+    }
+  });
+  if (options.texts) {
+    exported.texts = options.texts;
+  }
+
+  const profile = { version: PROFILE_VERSION };
+  if (options.name) {
+    profile.name = options.name;
+  }
+  profile.exportedAt = new Date().toISOString();
+  profile.config = exported;
+  return profile;
+}
+
+/**
+ * Load the imported profile
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ * @returns {Object|null} Profile, or null if none (or the saved one is invalid)
+ */
+export function loadProfile(storage = window.localStorage) {
+  const text = storage.getItem(PROFILE_STORAGE_KEY);
+  if (text === null) return null;
+
+  const { profile, errors } = parseProfile(text);
+  if (errors.length > 0) {
+    console.warn('Ignoring invalid saved profile:', errors);
+  }
+  return profile;
+}
+
+/**
+ * Save an imported profile
+ * @param {Object} profile - Validated profile
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ */
+export function saveProfile(profile, storage = window.localStorage) {
+  try {
+    storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.error('Could not save profile:', error);
+  }
+}
+
+/**
+ * Remove the imported profile
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ */
+export function clearProfile(storage = window.localStorage) {
+  storage.removeItem(PROFILE_STORAGE_KEY);
+}
@@ -0,0 +1,148 @@
+/**
+ * Template Page Reducers
+ *
+ * Slice reducers for the actions in store/actions.js. Each reducer receives
+ * its slice and returns it unchanged for actions it does not handle.
+ *
+ * @example
+ * const store = new StateManager(initialState, {
+ *   reducers: createTemplateReducers(initialState),
+ * });
+ */
+
+import { ActionTypes } from './actions.js';
+import { setPath } from './rules.js';
+import { SYNC_ACTION_TYPE } from './sync.js';
+
+/**
+ * Apply the rule values ({ "slice.key": value }) that belong to a slice
+ * @private
+ */
+function applySliceValues(slice, sliceState, values = {}) {
+  const prefix = `${slice}.`;
+  return Object.entries(values)
+    .filter(([path]) => path.startsWith(prefix))
+    .reduce((acc, [path, value]) => setPath(acc, path.slice(prefix.length), value), sliceState);
+}
+
+/**
+ * Merge a saved snapshot's slice (call history / autosaved session)
+ * @private
+ */
+function restoreSlice(slice, sliceState, snapshot = {}) {
+  return snapshot[slice] ? { ...sliceState, ...snapshot[slice] } : sliceState;
+}
+
+/**
+ * Create the slice reducers of the templates page
+ * @param {Object} defaultState - State that リセット goes back to
+ * @returns {Object} { texts, checkboxes, status, forms, ui }
+ */
+export function createTemplateReducers(defaultState) {
+  const shared = (slice, state, action) => {
+    switch (action.type) {
+      case ActionTypes.CONFIRM_RULE:
+      case SYNC_ACTION_TYPE:
+        return applySliceValues(slice, state, action.payload.values);
+      case ActionTypes.RESTORE_CALL_HISTORY:
+      case ActionTypes.RESTORE_SESSION:
+        return restoreSlice(slice, state, action.payload.snapshot);
+      default:
+        return state;
+    }
+  };
+
+  return {
+    texts(state, action) {
+      const { payload } = action;
+      switch (action.type) {
+        case ActionTypes.SET_TEXT:
+          return { ...state, [payload.key]: payload.value };
+        case ActionTypes.DISCARD_TEXTS:
+        case ActionTypes.RESET_TEXTS:
+          return { ...payload.texts };
+        default:
+          return shared('texts', state, action);
+      }
+    },
+
+    checkboxes(state, action) {
+      const { payload } = action;
+      switch (action.type) {
+        case ActionTypes.SET_SHOW_DATETIME_NAME:
+          return { ...state, showDatetimeName: payload.checked };
+        case ActionTypes.SET_MITSUBISHI:
+          return { ...state, mitsubishi: payload.checked };
+        case ActionTypes.SET_NEWYEAR:
+          return { ...state, newyear: payload.checked };
+        case ActionTypes.SET_CHECK:
+          return { ...state, [payload.key]: payload.checked };
+        case ActionTypes.SET_PHONE_GUIDANCE_AT_STORE:
+          return { ...state, phoneGuidanceAtStore: payload.checked };
+        case ActionTypes.SET_DEALER_COST_COVERAGE:
+          return { ...state, dealerCostCoverage: payload.checked };
+        // 年末年始 is a seasonal setting, kept on リセット and by the shortcuts
+        case ActionTypes.RESET:
+          return { ...defaultState.checkboxes, newyear: state.newyear };
+        default:
+          return shared('checkboxes', state, action);
+      }
+    },
+
+    status(state, action) {
+      const { payload } = action;
+      switch (action.type) {
+        case ActionTypes.SET_ALL_STATUSES:
+          return { ...state, paidStatus: payload.checked, delayStatus: payload.checked };
+        case ActionTypes.SET_PAID_STATUS:
+          return { ...state, paidStatus: payload.checked };
+        case ActionTypes.SET_DELAY_STATUS:
+          return { ...state, delayStatus: payload.checked };
+        case ActionTypes.SET_DEALER_INFORMED:
+          return { ...state, dealerInformed: payload.checked };
+        case ActionTypes.RESET:
+          return defaultState.status;
+        default:
+          return shared('status', state, action);
+      }
+    },
+
+    forms(state, action) {
+      const { payload } = action;
+      switch (action.type) {
+        case ActionTypes.SET_NAME_INPUT:
+          return { ...state, nameInput: payload.value };
+        case ActionTypes.SET_PERSON_SELECT:
+          return { ...state, personSelect: payload.value };
+        case ActionTypes.SET_PAID_RADIO:
+          return { ...state, paidRadio: payload.value };
+        case ActionTypes.SET_PAID_MAKER_WARRANTY:
+          return { ...state, paidMakerWarranty: payload.checked };
+        case ActionTypes.SET_DEALER_COST_COVERAGE_TYPE:
+          return { ...state, dealerCostCoverageType: payload.value };
+        // The operator name is kept on リセット
+        case ActionTypes.RESET:
+          return { ...defaultState.forms, nameInput: state.nameInput };
+        // and when a call from the history is restored (it may have been another operator's)
+        case ActionTypes.RESTORE_CALL_HISTORY:
+          return { ...restoreSlice('forms', state, action.payload.snapshot), nameInput: state.nameInput };
+        default:
+          return shared('forms', state, action);
+      }
+    },
+
+    ui(state, action) {
+      const { payload } = action;
+      switch (action.type) {
+        case ActionTypes.UPDATE_DATETIME:
+          return { ...state, currentTimestamp: payload.timestamp };
+        case ActionTypes.RESET:
+          return { ...defaultState.ui, currentTimestamp: payload.timestamp };
+        default:
+          return shared('ui', state, action);
+      }
+    },
+  };
+}
+
+export default createTemplateReducers;
@@ -0,0 +1,198 @@
+/**
+ * Option Rules
+ *
+ * Declarative rules for options that depend on each other (CONFIG.rules).
+ * Each rule watches a condition on the state and, when it becomes true,
+ * sets other fields, asks for confirmation first, or just explains something.
+ *
+ * Rule format:
+ * - id: Rule identifier
+ * - when: Condition — { path, equals }, { path, matches } or { all: [...] } / { any: [...] }
+ * - set: { "slice.key": value } applied when the condition becomes true
+ * - require: { "slice.key": value } enforced for as long as the condition is true
+ * - confirm: Question asked before `set` is applied
+ * - reason: Explanation shown when the rule changes something (or on its own as a notice)
+ * - actions: Only trigger for these action types (default: any change)
+ *
+ * @example
+ * {
+ *   id: "name-needs-note",
+ *   when: { path: "checkboxes.statusName", equals: true },
+ *   set: { "checkboxes.statusNote": true },
+ *   reason: "名前の聴取をオンにしたため、備考要確認をオンにしました",
+ *   actions: ["SET_CHECK"],
+ * }
+ */
+
+/**
+ * Read a dotted path from the state
+ * @param {Object} state - Application state
+ * @param {string} path - e.g. "checkboxes.statusName"
+ * @returns {*} Value at the path (undefined if missing)
+ */
+export function getPath(state, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), state);
+}
+
+/**
+ * Return a copy of the state with a dotted path replaced
+ * @param {Object} state - Application state
+ * @param {string} path - e.g. "checkboxes.statusNote"
+ * @param {*} value - New value
+ * @returns {Object} New state
+ */
+export function setPath(state, path, value) {
+  const [key, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    return { ...state, [key]: value };
+  }
+  return { ...state, [key]: setPath(state[key] || {}, rest.join('.'), value) };
+}
+
+/**
+ * Test a rule condition against the state
+ *
+ * `matches` is a regular expression source tested against the value as a string.
+ *
+ * @param {Object} condition - { path, equals } | { path, matches } | { all: [...] } | { any: [...] }
+ * @param {Object} state - Application state
+ * @returns {boolean} Whether the condition holds
+ */
+export function matchesCondition(condition, state) {
+  if (condition.all) {
+    return condition.all.every((c) => matchesCondition(c, state));
+  }
+  if (condition.any) {
+    return condition.any.some((c) => matchesCondition(c, state));
+  }
+  const value = getPath(state, condition.path);
+  if (condition.matches !== undefined) {
+    return new RegExp(condition.matches).test(String(value ?? ''));
+  }
+  return value === condition.equals;
+}
+
+/**
+ * Apply a rule's field values
+ * @param {Object} state - Application state
+ * @param {Object} values - { "slice.key": value }
+ * @returns {{state: Object, changedPaths: Array<string>}}
+ */
+export function applyRuleValues(state, values = {}) {
+  const changedPaths = [];
+  const nextState = Object.entries(values).reduce((acc, [path, value]) => {
+    if (getPath(acc, path) === value) return acc;
+    changedPaths.push(path);
+    return setPath(acc, path, value);
+  }, state);
+  return { state: nextState, changedPaths };
+}
+
+/**
+ * Evaluate all rules for one state change
+ *
+ * Rules run once, in order; each sees the changes made by the rules before it.
+ * A rule triggers when its condition was false before the change and is true after.
+ *
+ * @param {Array<Object>} rules - Rule definitions
+ * @param {Object} prevState - State before the change
+ * @param {Object} nextState - State after the change
+ * @param {Object} action - { type } of the change
+ * @returns {{state: Object, notices: Array<Object>, confirmations: Array<Object>}}
+ *   notices: { ruleId, message, paths } to explain automatic changes
+ *   confirmations: { ruleId, message, values } waiting for the operator's answer
+ */
+export function evaluateRules(rules, prevState, nextState, action = {}) {
+  const notices = [];
+  const confirmations = [];
+  let state = nextState;
+
+  rules.forEach((rule) => {
+    if (rule.actions && !rule.actions.includes(action.type)) return;
+
+    const isActive = matchesCondition(rule.when, state);
+    const becameActive = isActive && !matchesCondition(rule.when, prevState);
+
+    if (rule.require && isActive) {
+      const result = applyRuleValues(state, rule.require);
+      state = result.state;
+      if (result.changedPaths.length > 0 && rule.reason) {
+        notices.push({ ruleId: rule.id, message: rule.reason, paths: result.changedPaths });
+      }
+    }
+
+    if (!becameActive) return;
+
+    if (rule.confirm) {
+      confirmations.push({ ruleId: rule.id, message: rule.confirm, values: rule.set || {} });
+      return;
+    }
+
+    if (rule.set) {
+      const result = applyRuleValues(state, rule.set);
+      state = result.state;
+      if (result.changedPaths.length > 0 && rule.reason) {
+        notices.push({ ruleId: rule.id, message: rule.reason, paths: result.changedPaths });
+      }
+    } else if (!rule.require && rule.reason) {
+      notices.push({ ruleId: rule.id, message: rule.reason, paths: [] });
+    }
+  });
+
+  return { state, notices, confirmations };
+}
+
+/**
+ * Create the rules of a store
+ *
+ * `middleware` evaluates the rules on every change; pass it in the
+ * StateManager's `middleware` option so the state it returns is validated.
+ * `connect` reports the notices and confirmations of a change once it has been
+ * committed (nothing is reported for a change that middleware cancelled).
+ *
+ * @param {Array<Object>} rules - Rule definitions
+ * @param {Object} options
+ * @param {Function} [options.onEvaluate] - ({ notices, confirmations }, action) => void,
+ *   called when a committed change produced notices or confirmations
+ * @returns {{middleware: Function, connect: Function}}
+ *
+ * @example
+ * const rules = createRules(CONFIG.rules, {
+ *   onEvaluate: (result) => console.log(result.notices),
+ * });
+ * const store = new StateManager(initialState, { schema, middleware: [rules.middleware] });
+ * rules.connect(store);
+ */
+export function createRules(rules = [], options = {}) {
+  // Results waiting for their change to be committed, keyed by action
+  const pending = new WeakMap();
+
+  return {
+    /**
+     * StateManager middleware applying the rules
+     */
+    middleware(prevState, nextState, action) {
+      const { state, notices, confirmations } = evaluateRules(rules, prevState, nextState, action);
+      if (notices.length > 0 || confirmations.length > 0) {
+        pending.set(action, { notices, confirmations });
+      }
+      return state;
+    },
+
+    /**
+     * Report the results of committed changes to onEvaluate
+     * @param {StateManager} store
+     * @returns {Function} Disconnect function
+     */
+    connect(store) {
+      return store.subscribe((state, prevState, action) => {
+        const result = pending.get(action);
+        if (!result) return;
+        pending.delete(action);
+        if (options.onEvaluate) {
+          options.onEvaluate(result, action);
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Schema Validation
+ *
+ * Minimal declarative validator for plain JSON-like data.
+ *
+ * A schema node supports:
+ * - type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'null', or a list of them
+ * - enum: allowed values
+ * - required: the property must be present (on a property schema)
+ * - properties: schemas for known object keys
+ * - additionalProperties: schema for other keys, or false to reject them
+ * - items: schema for array elements
+ *
+ * @example
+ * const errors = validateSchema({ status: '完了' }, {
+ *   type: 'object',
+ *   properties: { status: { type: 'string', enum: ['済', '未'] } },
+ * });
+ * // [{ path: 'status', message: 'must be one of "済", "未"' }]
+ */
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} 'array', 'null' or the typeof result
+ */
+function getType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Whether an object has its own key (inherited keys such as "toString" do not count)
+ * @private
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Join a property path for error messages
+ * @private
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value (used in error messages)
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const type = getType(value);
+
+  const allowedTypes = [].concat(schema.type || []);
+  if (allowedTypes.length > 0 && !allowedTypes.includes(type)) {
+    errors.push({ path: path || '(root)', message: `must be ${allowedTypes.join(' or ')}, got ${type}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map((v) => JSON.stringify(v)).join(', ');
+    errors.push({ path: path || '(root)', message: `must be one of ${allowed}` });
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (!hasOwn(value, key)) {
+        if (propertySchema.required) {
+          errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+        return;
+      }
+      errors.push(...validateSchema(value[key], propertySchema, joinPath(path, key)));
+    });
+
+    if (schema.additionalProperties !== undefined) {
+      Object.keys(value)
+        .filter((key) => !hasOwn(properties, key))
+        .forEach((key) => {
+          if (schema.additionalProperties === false) {
+            errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+          } else {
+            errors.push(
+              ...validateSchema(value[key], schema.additionalProperties, joinPath(path, key))
+            );
+          }
+        });
+    }
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, joinPath(path, index)));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as readable lines
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {string} One "path message" per line
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(({ path, message }) => `${path} ${message}`).join('\n');
+}
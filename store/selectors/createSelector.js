@@ -0,0 +1,56 @@
+/**
+ * createSelector
+ *
+ * Builds memoised selectors: the result is only recomputed when one of the
+ * input selectors returns a different value, and a recomputed result that is
+ * equal to the previous one (by the `equals` option) keeps the previous
+ * reference. Subscriptions on such a selector therefore only fire when the
+ * selected piece of state really changes.
+ *
+ * @example
+ * const getStatusPair = createSelector(
+ *   [(state) => state.status.paidStatus, (state) => state.status.delayStatus],
+ *   (paid, delay) => ({ paid, delay })
+ * );
+ * getStatusPair(state) === getStatusPair(state); // true
+ */
+
+import { strictEqual, resolveEquality } from '../equality.js';
+
+/**
+ * Create a memoised selector
+ * @param {Array<Function>} inputSelectors - (state) => value
+ * @param {Function} resultFunc - (...inputValues) => result
+ * @param {Object} options
+ * @param {Function|string} [options.equals] - Result equality: function, 'strict' (default), 'shallow' or 'deep'
+ * @returns {Function} (state) => result, with recomputations() for debugging
+ */
+export function createSelector(inputSelectors, resultFunc, options = {}) {
+  const equals = resolveEquality(options.equals);
+
+  let lastInputs = null;
+  let lastResult;
+  let recomputations = 0;
+
+  const selector = (state) => {
+    const inputs = inputSelectors.map((input) => input(state));
+
+    if (lastInputs && inputs.every((value, i) => strictEqual(value, lastInputs[i]))) {
+      return lastResult;
+    }
+
+    const result = resultFunc(...inputs);
+    recomputations++;
+
+    if (!lastInputs || !equals(result, lastResult)) {
+      lastResult = result;
+    }
+    lastInputs = inputs;
+    return lastResult;
+  };
+
+  selector.recomputations = () => recomputations;
+  return selector;
+}
+
+export default createSelector;
@@ -0,0 +1,74 @@
+/**
+ * Call Flow Selectors
+ *
+ * Derived values of the flow slice (store/flowReducers.js).
+ */
+
+import { createSelector } from './createSelector.js';
+
+/**
+ * Get the visited steps
+ * @param {Object} state - Application state
+ * @returns {Array<Object>} [{ nodeId, answer }]
+ */
+export function getFlowSteps(state) {
+  return state.flow.steps;
+}
+
+/**
+ * Get the current (unanswered) step
+ * @param {Object} state - Application state
+ * @returns {Object|null} { nodeId, answer: null }, or null when the flow has ended
+ */
+export function getCurrentStep(state) {
+  const steps = getFlowSteps(state);
+  const last = steps[steps.length - 1];
+  return last && !last.answer ? last : null;
+}
+
+/**
+ * Check whether the flow has reached its end
+ * @param {Object} state - Application state
+ * @returns {boolean} True if the last step is answered without a next node
+ */
+export function isFlowFinished(state) {
+  return getFlowSteps(state).length > 0 && !getCurrentStep(state);
+}
+
+/**
+ * Check whether there is an answer to take back
+ * @param {Object} state - Application state
+ * @returns {boolean} True if a step has been answered
+ */
+export function canGoBack(state) {
+  return getFlowSteps(state).some((step) => step.answer);
+}
+
+/**
+ * Check whether an answer that was taken back can be redone
+ * @param {Object} state - Application state
+ * @returns {boolean} True if the current step is on the trail and was answered there
+ */
+export function canGoForward(state) {
+  const steps = getFlowSteps(state);
+  const current = getCurrentStep(state);
+  const taken = (state.flow.trail || [])[steps.length - 1];
+  return Boolean(current && taken && taken.nodeId === current.nodeId && taken.answer);
+}
+
+/**
+ * Merge the values set by the answers of some steps (later answers win)
+ * @param {Array<Object>} steps - Steps
+ * @returns {Object} { key: value }
+ */
+export function collectStepValues(steps) {
+  return steps.reduce((values, step) => (step.answer ? { ...values, ...step.answer.values } : values), {});
+}
+
+/**
+ * Get the values collected by all answers
+ * (memoised: the same object is returned while the steps are unchanged)
+ * @param {Object} state - Application state
+ * @returns {Object} { key: value }
+ */
+export const getFlowValues = createSelector([getFlowSteps], collectStepValues);
@@ -0,0 +1,95 @@
+/**
+ * Result Selectors
+ *
+ * Compute the phrases shown in the result areas. Bullets and line layout are
+ * added per output profile (store/outputFormats.js). Each selector returns a
+ * primitive so it can be used directly as a subscription selector. All
+ * phrases come from state.texts (the text catalog).
+ */
+
+import { formatText } from '../textCatalog.js';
+
+/**
+ * Get operator name text
+ * @param {Object} state - Application state
+ * @returns {string} Trimmed operator name
+ */
+export function getOperatorNameText(state) {
+  return state.forms.nameInput.trim();
+}
+
+/**
+ * Get urgent request text
+ * @param {Object} state - Application state
+ * @returns {string} Urgent text or empty string
+ */
+export function getStatusUrgentText(state) {
+  return state.checkboxes.statusUrgent ? state.texts.statusUrgent : '';
+}
+
+/**
+ * Get note confirmation text
+ * @param {Object} state - Application state
+ * @returns {string} Note text or empty string
+ */
+export function getStatusNoteText(state) {
+  return state.checkboxes.statusNote ? state.texts.statusNote : '';
+}
+
+/**
+ * Get model number check text
+ * @param {Object} state - Application state
+ * @returns {string} Model check text or empty string
+ */
+export function getModelCheckText(state) {
+  return state.checkboxes.modelCheck ? state.texts.modelCheck : '';
+}
+
+/**
+ * Get delay guidance text (new year talk takes precedence over maker)
+ * @param {Object} state - Application state
+ * @returns {string} Delay guidance text
+ */
+export function getStatusDelayText(state) {
+  if (state.checkboxes.newyear) return state.texts.statusDelayNewyear;
+  if (state.checkboxes.mitsubishi) return state.texts.statusDelayMitsubishi;
+  return state.texts.statusDelay;
+}
+
+/**
+ * Get dealer informed suffix text
+ * @param {Object} state - Application state
+ * @returns {string} Suffix text or empty string
+ */
+export function getDealerInformedText(state) {
+  return state.status.dealerInformed ? state.texts.dealerInformed : '';
+}
+
+/**
+ * Get dealer cost coverage sentence
+ * @param {Object} state - Application state
+ * @returns {string} Cost coverage sentence or empty string
+ */
+export function getDealerCostCoverageText(state) {
+  if (!state.checkboxes.dealerCostCoverage) return '';
+
+  const coverageTextKeys = {
+    full: 'dealerCostCoverageFull',
+    partial: 'dealerCostCoveragePartial',
+  };
+  const coverageKey = coverageTextKeys[state.forms.dealerCostCoverageType];
+  if (!coverageKey) return '';
+
+  return formatText(state.texts.dealerCostCoverage, {
+    coverage: state.texts[coverageKey],
+  });
+}
+
+/**
+ * Get phone guidance text (customer is at the store)
+ * @param {Object} state - Application state
+ * @returns {string} Guidance text or empty string
+ */
+export function getPhoneGuidanceAtStoreText(state) {
+  return state.checkboxes.phoneGuidanceAtStore ? state.texts.phoneGuidanceAtStore : '';
+}
@@ -3,33 +3,55 @@
  *
  * Compute derived state values efficiently.
  * These functions take the state and return computed values.
+ * Display words come from state.texts (the text catalog).
  */
 
+import { createSelector } from './createSelector.js';
+
+// Radio value of the out-of-warranty option
+const PAID_OUT_OF_WARRANTY = '保証対象外部位有償案内';
+
+// Paid radio value -> text catalog key
+const PAID_RADIO_TEXT_KEYS = {
+  '有償警告': 'statusPaid',
+  [PAID_OUT_OF_WARRANTY]: 'statusPaidOutOfWarranty',
+};
+
+/**
+ * Get the catalog word for a completion flag
+ * @param {Object} state - Application state
+ * @param {boolean} isDone - Completion flag
+ * @returns {string} Done/pending word ("済" or "未" by default)
+ */
+export function getStatusWord(state, isDone) {
+  return isDone ? state.texts.statusDone : state.texts.statusPending;
+}
+
 /**
  * Get status display text
  * @param {Object} state - Application state
- * @returns {string} Status text ("済" or "未")
+ * @returns {string} Status text ("済" or "未" by default)
  */
 export function getStatusDisplayText(state) {
-  return state.status.main ? '済' : '未';
+  return getStatusWord(state, areAllStatusesComplete(state));
 }
 
 /**
  * Get paid status display text
  * @param {Object} state - Application state
- * @returns {string} Paid status text ("済" or "未")
+ * @returns {string} Paid status text ("済" or "未" by default)
  */
 export function getPaidStatusDisplayText(state) {
-  return state.status.paidStatus ? '済' : '未';
+  return getStatusWord(state, state.status.paidStatus);
 }
 
 /**
  * Get delay status display text
  * @param {Object} state - Application state
- * @returns {string} Delay status text ("済" or "未")
+ * @returns {string} Delay status text ("済" or "未" by default)
  */
 export function getDelayStatusDisplayText(state) {
-  return state.status.delayStatus ? '済' : '未';
+  return getStatusWord(state, state.status.delayStatus);
 }
 
 /**
@@ -52,17 +74,19 @@ export function isAnyStatusComplete(state) {
 
 /**
  * Get checkbox indeterminate state
+ * (memoised: the same object is returned while the statuses are unchanged)
  * @param {Object} state - Application state
  * @returns {Object} { checked, indeterminate }
  */
-export function getCheckboxIndeterminateState(state) {
-  const allComplete = areAllStatusesComplete(state);
-  const anyComplete = isAnyStatusComplete(state);
-
-  if (allComplete) return { checked: true, indeterminate: false };
-  if (anyComplete) return { checked: false, indeterminate: true };
-  return { checked: false, indeterminate: false };
-}
+export const getCheckboxIndeterminateState = createSelector(
+  [areAllStatusesComplete, isAnyStatusComplete],
+  (allComplete, anyComplete) => {
+    if (allComplete) return { checked: true, indeterminate: false };
+    if (anyComplete) return { checked: false, indeterminate: true };
+    return { checked: false, indeterminate: false };
+  },
+  { equals: 'shallow' }
+);
 
 /**
  * Get paid display text with warranty consideration
@@ -71,14 +95,16 @@ export function getCheckboxIndeterminateState(state) {
  */
 export function getPaidDisplayText(state) {
   const { paidRadio, paidMakerWarranty } = state.forms;
+  const { texts } = state;
 
   if (!paidRadio) return '';
 
-  if (paidMakerWarranty && paidRadio !== '保証対象外部位有償案内') {
-    return '・メーカー保証期間内の有償警告';
+  if (paidMakerWarranty && paidRadio !== PAID_OUT_OF_WARRANTY) {
+    return texts.statusPaidMakerWarranty;
   }
 
-  return '・' + paidRadio;
+  const textKey = PAID_RADIO_TEXT_KEYS[paidRadio];
+  return textKey ? texts[textKey] : paidRadio;
 }
 
 /**
@@ -88,14 +114,5 @@ export function getPaidDisplayText(state) {
  */
 export function getPersonNameText(state) {
   if (!state.checkboxes.statusName) return '';
-  return `・${state.forms.personSelect}の名前の聴取\n`;
-}
-
-/**
- * Check if paid status display should be visible
- * @param {Object} state - Application state
- * @returns {boolean} True if should be visible
- */
-export function isPaidDisplayVisible(state) {
-  return getPaidDisplayText(state).trim() !== '';
+  return `${state.forms.personSelect}${state.texts.statusNameSuffix}`;
 }
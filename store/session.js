@@ -0,0 +1,51 @@
+/**
+ * Session Autosave
+ *
+ * Keeps the form state of the page being worked on in localStorage so an
+ * accidental reload (F5) during a call can be recovered. Each page saves
+ * under its own key ("templates:session"); only the form slices are kept,
+ * the texts and configuration always come from the page itself.
+ *
+ * Saving, versions and migrations are done by store/persistence.js.
+ */
+
+import { createPersistence, createWebStorageAdapter } from './persistence.js';
+
+const SESSION_SLICES = ['checkboxes', 'status', 'forms'];
+
+/**
+ * Storage key of a page's session
+ * @param {string} page - Page name (e.g. "templates")
+ * @returns {string} Storage key
+ */
+export function getSessionStorageKey(page) {
+  return `${page}:session`;
+}
+
+/**
+ * Take the part of the state that is saved
+ * @param {Object} state - Application state
+ * @returns {Object} { checkboxes, status, forms }
+ */
+export function createSessionSnapshot(state) {
+  return Object.fromEntries(SESSION_SLICES.map((slice) => [slice, state[slice]]));
+}
+
+/**
+ * Create the session persistence of a page
+ * @param {string} page - Page name
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+ * @param {number} [options.throttle] - Minimum milliseconds between saves (default: 500)
+ * @param {Object} [options.migrations] - { [version]: (snapshot) => snapshot } (see persistence.js)
+ * @returns {Object} Persistence (read / save / flush / clear)
+ */
+export function createSessionPersistence(page, options = {}) {
+  return createPersistence({
+    key: getSessionStorageKey(page),
+    slices: SESSION_SLICES,
+    storage: createWebStorageAdapter(options.storage || window.localStorage),
+    throttle: options.throttle,
+    migrations: options.migrations,
+  });
+}
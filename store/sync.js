@@ -0,0 +1,211 @@
+/**
+ * Cross-tab Synchronisation
+ *
+ * Keeps chosen paths of a StateManager state (e.g. the operator name) equal
+ * in every tab that connects to the same channel, including tabs of other
+ * pages. Changes are sent over BroadcastChannel; pages opened from file://
+ * use localStorage `storage` events instead. When two tabs change the same
+ * path, the change with the later timestamp wins.
+ *
+ * The latest value of each path is also kept in localStorage
+ * ("<channel>:sync"), so a tab opened later starts with the shared values.
+ *
+ * Received values are dispatched as a SYNC_FROM_TAB action ({ values:
+ * { [path]: value } }) kept out of the undo history, so undo in one tab never
+ * reverts another tab's edit. The store needs a reducer that applies it to
+ * each synced slice (createSyncReducer). Undo/redo are not sent to other tabs.
+ *
+ * Message / saved format: { [path]: { value, timestamp, source } }
+ *
+ * @example
+ * const store = new StateManager({ forms: { nameInput: '' } }, {
+ *   reducers: { forms: createSyncReducer('forms') },
+ * });
+ * createSync({ channel: 'operator', paths: ['forms.nameInput'] }).connect(store);
+ */
+
+import { getPath, setPath } from './rules.js';
+import { deepEqual } from './equality.js';
+
+/** Action type of the updates received from other tabs */
+export const SYNC_ACTION_TYPE = 'SYNC_FROM_TAB';
+
+// Time-travel notifications of StateManager; they only move this tab's history
+const TIME_TRAVEL_ACTION_TYPES = ['UNDO', 'REDO', 'JUMP_TO_STATE'];
+
+/**
+ * Action applying values received from another tab
+ * @param {Object} values - { [path]: value }
+ * @returns {Object} Action
+ */
+export const syncFromTab = (values) => ({ type: SYNC_ACTION_TYPE, payload: { values } });
+
+/**
+ * Create the reducer of a slice that only applies the values of other tabs
+ *
+ * Pages with their own slice reducers handle SYNC_FROM_TAB themselves (see
+ * store/reducers.js).
+ *
+ * @param {string} slice - Top-level state key (e.g. "forms")
+ * @returns {Function} (sliceState, action) => sliceState
+ */
+export function createSyncReducer(slice) {
+  const prefix = `${slice}.`;
+  return (sliceState, action) => {
+    if (action.type !== SYNC_ACTION_TYPE) return sliceState;
+    return Object.entries(action.payload.values)
+      .filter(([path]) => path.startsWith(prefix))
+      .reduce((acc, [path, value]) => setPath(acc, path.slice(prefix.length), value), sliceState);
+  };
+}
+
+/**
+ * Storage key of a channel's shared values
+ * @param {string} channel - Channel name
+ * @returns {string} Storage key
+ */
+export function getSyncStorageKey(channel) {
+  return `${channel}:sync`;
+}
+
+/**
+ * Whether an entry wins over the one currently held (last writer wins)
+ *
+ * Equal timestamps are decided by the tab id, so every tab picks the same one.
+ *
+ * @param {Object} entry - { timestamp, source }
+ * @param {Object} [current] - { timestamp, source } or undefined if none
+ * @returns {boolean}
+ */
+export function isNewerEntry(entry, current) {
+  if (!current) return true;
+  if (entry.timestamp !== current.timestamp) return entry.timestamp > current.timestamp;
+  return entry.source > current.source;
+}
+
+/**
+ * Choose the transport for the `transport` option
+ * @private
+ */
+function resolveTransport(transport) {
+  if (transport !== 'auto') return transport;
+  const hasBroadcastChannel = typeof window.BroadcastChannel === 'function';
+  return hasBroadcastChannel && window.location.protocol !== 'file:' ? 'broadcast' : 'storage';
+}
+
+/**
+ * Create a cross-tab synchronisation plugin for a StateManager
+ * @param {Object} options
+ * @param {string} options.channel - Channel name; tabs (and pages) with the same name share values
+ * @param {Array<string>} options.paths - Dotted state paths to share (e.g. "forms.nameInput")
+ * @param {string} [options.transport] - "auto" (default), "broadcast" or "storage"
+ * @param {Storage} [options.storage] - Storage implementation (default: localStorage)
+ * @param {string} [options.tabId] - Id of this tab (default: random)
+ * @returns {{connect: Function}}
+ *   connect(store): apply the shared values and start syncing; returns disconnect
+ */
+export function createSync(options) {
+  const { channel, paths, transport = 'auto' } = options;
+  const storage = options.storage || window.localStorage;
+  const storageKey = getSyncStorageKey(channel);
+  const tabId = options.tabId || Math.random().toString(36).slice(2);
+
+  const readSaved = () => {
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      console.warn(`Could not read the shared values of "${channel}", ignoring them:`, error);
+      return {};
+    }
+  };
+
+  const connect = (store) => {
+    const mode = resolveTransport(transport);
+    // Timestamp and tab of the value each path currently holds
+    const clocks = {};
+    let broadcastChannel = null;
+    let lastTimestamp = 0;
+
+    const receive = (entries) => {
+      const changes = paths.filter((path) => {
+        const entry = entries[path];
+        if (!entry || typeof entry.timestamp !== 'number' || !isNewerEntry(entry, clocks[path])) {
+          return false;
+        }
+        clocks[path] = entry;
+        return !deepEqual(getPath(store.getState(), path), entry.value);
+      });
+      if (changes.length === 0) return;
+
+      const values = Object.fromEntries(changes.map((path) => [path, entries[path].value]));
+      store.dispatch(syncFromTab(values), { history: false });
+
+      const unhandled = changes.filter((path) => !deepEqual(getPath(store.getState(), path), values[path]));
+      if (unhandled.length > 0) {
+        console.warn(`No reducer applied ${SYNC_ACTION_TYPE} to ${unhandled.join(', ')} (see createSyncReducer)`);
+      }
+    };
+
+    const publish = (entries) => {
+      const saved = readSaved();
+      Object.entries(entries).forEach(([path, entry]) => {
+        if (isNewerEntry(entry, saved[path])) saved[path] = entry;
+      });
+      try {
+        storage.setItem(storageKey, JSON.stringify(saved));
+      } catch (error) {
+        console.error(`Could not save the shared values of "${channel}":`, error);
+      }
+      if (broadcastChannel) broadcastChannel.postMessage(entries);
+    };
+
+    const handleChange = (newState, prevState, action) => {
+      if (action.type === SYNC_ACTION_TYPE || TIME_TRAVEL_ACTION_TYPES.includes(action.type)) return;
+
+      const changed = paths.filter((path) => getPath(newState, path) !== getPath(prevState, path));
+      if (changed.length === 0) return;
+
+      // Later changes of this tab always get a later timestamp
+      const timestamp = Math.max(Date.now(), lastTimestamp + 1);
+      lastTimestamp = timestamp;
+      const entries = {};
+      changed.forEach((path) => {
+        entries[path] = { value: getPath(newState, path), timestamp, source: tabId };
+        clocks[path] = entries[path];
+      });
+      publish(entries);
+    };
+
+    const handleStorage = (event) => {
+      if (event.key !== storageKey || !event.newValue) return;
+      try {
+        receive(JSON.parse(event.newValue));
+      } catch (error) {
+        console.warn(`Ignoring unreadable shared values of "${channel}":`, error);
+      }
+    };
+
+    receive(readSaved());
+    const unsubscribe = store.subscribe(handleChange);
+
+    if (mode === 'broadcast') {
+      broadcastChannel = new window.BroadcastChannel(storageKey);
+      broadcastChannel.onmessage = (event) => receive(event.data || {});
+    } else {
+      window.addEventListener('storage', handleStorage);
+    }
+
+    return () => {
+      unsubscribe();
+      if (broadcastChannel) {
+        broadcastChannel.close();
+        broadcastChannel = null;
+      } else {
+        window.removeEventListener('storage', handleStorage);
+      }
+    };
+  };
+
+  return { connect };
+}
@@ -0,0 +1,107 @@
+/**
+ * Text Catalog
+ *
+ * Keyed catalog of every phrase that appears in the template result text.
+ * Defaults come from CONFIG.texts (config/defaults.js); a supervisor can edit
+ * them in the settings panel, which saves overrides to localStorage and can
+ * export them as JSON for distribution.
+ */
+
+export const TEXT_CATALOG_STORAGE_KEY = 'templates:textCatalog';
+
+/**
+ * Catalog entries in display order (key in state.texts and label for the editor)
+ */
+export const TEXT_CATALOG = [
+  { key: 'statusUrgent', label: '至急対応希望' },
+  { key: 'phoneGuidanceAtStore', label: '店舗にて電話を代わっていただき案内' },
+  { key: 'dealerCostCoverage', label: '販売店の費用負担（{coverage} に全額/一部が入ります）' },
+  { key: 'dealerCostCoverageFull', label: '費用負担: 全額' },
+  { key: 'dealerCostCoveragePartial', label: '費用負担: 一部' },
+  { key: 'statusNameSuffix', label: '名前の聴取（呼称の後ろ）' },
+  { key: 'statusPaid', label: '有償警告' },
+  { key: 'statusPaidMakerWarranty', label: '有償警告（メーカー保証期間内）' },
+  { key: 'statusPaidOutOfWarranty', label: '保証対象外部位有償案内' },
+  { key: 'dealerInformed', label: '販売店にて案内済み' },
+  { key: 'statusDelay', label: 'お日にちがかかる可能性' },
+  { key: 'statusDelayMitsubishi', label: 'お日にちがかかる可能性（三菱）' },
+  { key: 'statusDelayNewyear', label: 'お日にちがかかる可能性（年末年始）' },
+  { key: 'statusDone', label: '案内済み' },
+  { key: 'statusPending', label: '未案内' },
+  { key: 'modelCheck', label: '型番確認（Teams）' },
+  { key: 'statusNote', label: '備考要確認（Teams）' },
+];
+
+/**
+ * Replace {placeholder} tokens in a catalog text
+ * @param {string} template - Text with {name} placeholders
+ * @param {Object} values - Placeholder values
+ * @returns {string} Formatted text
+ *
+ * @example
+ * formatText('{coverage}負担', { coverage: '全額' }); // '全額負担'
+ */
+export function formatText(template, values = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+/**
+ * Keep only known catalog keys with string values
+ * @param {Object} texts - Texts to sanitize
+ * @returns {Object} Sanitized texts
+ */
+export function pickCatalogTexts(texts = {}) {
+  const result = {};
+  TEXT_CATALOG.forEach(({ key }) => {
+    if (typeof texts[key] === 'string') {
+      result[key] = texts[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Load saved catalog overrides
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ * @returns {Object} Saved texts (empty if none)
+ */
+export function loadTextCatalog(storage = window.localStorage) {
+  try {
+    return pickCatalogTexts(JSON.parse(storage.getItem(TEXT_CATALOG_STORAGE_KEY)) || {});
+  } catch (error) {
+    console.warn('Could not read text catalog, using defaults:', error);
+    return {};
+  }
+}
+
+/**
+ * Save catalog overrides
+ * @param {Object} texts - Texts to save
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ */
+export function saveTextCatalog(texts, storage = window.localStorage) {
+  try {
+    storage.setItem(TEXT_CATALOG_STORAGE_KEY, JSON.stringify(pickCatalogTexts(texts)));
+  } catch (error) {
+    console.error('Could not save text catalog:', error);
+  }
+}
+
+/**
+ * Remove saved catalog overrides
+ * @param {Storage} storage - Storage implementation (default: localStorage)
+ */
+export function clearTextCatalog(storage = window.localStorage) {
+  storage.removeItem(TEXT_CATALOG_STORAGE_KEY);
+}
+
+/**
+ * Serialize the catalog for distribution
+ * @param {Object} texts - Texts to export
+ * @returns {string} JSON text ({ "texts": { ... } })
+ */
+export function exportTextCatalog(texts) {
+  return JSON.stringify({ texts: pickCatalogTexts(texts) }, null, 2);
+}
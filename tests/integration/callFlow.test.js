@@ -0,0 +1,165 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { loadCallFlowPage, settle } from './callFlowPage.js';
+
+describe('call-flow/index.html', () => {
+  let page;
+
+  beforeAll(async () => {
+    // The copy handler logs its startup and every copy
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    page = await loadCallFlowPage();
+  });
+
+  beforeEach(async () => {
+    page.restart();
+    await settle();
+    page.copied.length = 0;
+  });
+
+  /** Answer up to the warranty question */
+  function answerUpToWarranty(manufacturer) {
+    page.answer('はい');
+    page.answer('OK');
+    page.select(manufacturer);
+    page.answer('次へ');
+  }
+
+  test('loads without script errors', () => {
+    expect(page.errors).toEqual([]);
+    expect(page.currentNodeId()).toBe('initial');
+    expect(page.summaryText()).toBe('');
+  });
+
+  test('shows 延長保証 only for 三菱', () => {
+    answerUpToWarranty('三菱');
+    expect(page.buttonLabels()).toEqual(['保証期間内', '保証期間外', '延長保証']);
+
+    page.restart();
+    answerUpToWarranty('TOTO');
+    expect(page.buttonLabels()).toEqual(['保証期間内', '保証期間外']);
+  });
+
+  test.each([
+    ['三菱', '保証期間内', 'freeRepair', '修理受付\nメーカー: 三菱\n保証: 期間内'],
+    ['三菱', '延長保証', 'freeRepair', '修理受付\nメーカー: 三菱\n保証: 延長保証'],
+    ['TOTO', '保証期間内', 'manufacturerSupport', '修理受付\nメーカー: TOTO\n保証: 期間内'],
+    ['LIXIL', '保証期間外', 'paidRepair', '修理受付\nメーカー: LIXIL\n保証: 期間外（有償修理案内済）'],
+  ])('%s / %s ends at %s and copies the summary', async (manufacturer, warranty, nodeId, summary) => {
+    answerUpToWarranty(manufacturer);
+    page.answer(warranty);
+    await settle();
+
+    expect(page.currentNodeId()).toBe(nodeId);
+    expect(page.summaryText()).toBe(summary);
+    expect(page.copied).toEqual([summary]);
+  });
+
+  test('updates the summary during the call without copying it', async () => {
+    page.answer('はい');
+    page.answer('OK');
+    page.select('パナソニック');
+    await settle();
+
+    expect(page.summaryText()).toBe('修理受付\nメーカー: パナソニック');
+    expect(page.copied).toEqual([]);
+  });
+
+  test('going back takes the answer out of the summary', async () => {
+    page.answer('はい');
+    page.answer('OK');
+    page.select('TOTO');
+    page.back();
+
+    expect(page.currentNodeId()).toBe('manufacturer');
+    expect(page.summaryText()).toBe('修理受付');
+  });
+
+  test('lists the visited steps in the breadcrumb', () => {
+    answerUpToWarranty('三菱');
+    expect(page.crumbs()).toEqual(['修理依頼: はい', '電話番号: OK', 'メーカー: 三菱', 'メーカー確認', '保証']);
+    expect(page.$('.flow-breadcrumb .flow-back').disabled).toBe(false);
+    expect(page.$('.flow-breadcrumb .flow-forward').disabled).toBe(true);
+  });
+
+  test('jumps back two questions and prunes the later answers', () => {
+    answerUpToWarranty('三菱');
+    page.answer('延長保証');
+
+    page.jumpTo('電話番号: OK');
+
+    expect(page.currentNodeId()).toBe('telephoneNumber');
+    expect(page.crumbs()).toEqual(['修理依頼: はい', '電話番号']);
+    expect(page.summaryText()).toBe('修理受付');
+    expect(page.store.getState().flow.steps).toHaveLength(2);
+  });
+
+  test('redoes the answers taken back with 進む until a different answer is given', () => {
+    answerUpToWarranty('三菱');
+    page.jumpTo('修理依頼: はい');
+
+    page.forward();
+    page.forward();
+    expect(page.currentNodeId()).toBe('manufacturer');
+    expect(page.summaryText()).toBe('修理受付');
+
+    page.select('TOTO');
+    expect(page.currentNodeId()).toBe('manufacturerConfirm');
+    expect(page.$('.flow-breadcrumb .flow-forward').disabled).toBe(true);
+    expect(page.summaryText()).toBe('修理受付\nメーカー: TOTO');
+  });
+
+  test('highlights the current node and the path in the diagram', () => {
+    answerUpToWarranty('三菱');
+
+    expect(page.diagramNodes('.is-current')).toEqual(['warranty']);
+    expect(page.diagramNodes('.is-visited')).toEqual([
+      'initial',
+      'telephoneNumber',
+      'manufacturer',
+      'manufacturerConfirm',
+      'warranty',
+    ]);
+    const isTaken = (from, to) =>
+      page.$(`.flow-graph-edge[data-from="${from}"][data-to="${to}"]`).classList.contains('is-taken');
+    expect(isTaken('initial', 'telephoneNumber')).toBe(true);
+    expect(isTaken('initial', 'notRepair')).toBe(false);
+  });
+
+  test('clicking a visited node in the diagram goes back to it', () => {
+    answerUpToWarranty('TOTO');
+
+    page.clickDiagramNode('manufacturer');
+
+    expect(page.currentNodeId()).toBe('manufacturer');
+    expect(page.diagramNodes('.is-current')).toEqual(['manufacturer']);
+    expect(page.summaryText()).toBe('修理受付');
+  });
+
+  test('clicking another node starts the flow there after a confirmation', () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    page.answer('はい');
+
+    page.clickDiagramNode('warranty');
+    expect(page.currentNodeId()).toBe('telephoneNumber');
+
+    page.clickDiagramNode('warranty');
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(page.currentNodeId()).toBe('warranty');
+    expect(page.crumbs()).toEqual(['保証']);
+    confirm.mockRestore();
+  });
+
+  test('copies the summary with the copy button', async () => {
+    page.answer('いいえ');
+    await settle();
+    page.copied.length = 0;
+
+    page.$('#flow-summary .flow-summary-copy').click();
+    await settle();
+
+    expect(page.copied).toEqual(['修理以外のお問い合わせ（窓口案内済）']);
+  });
+});
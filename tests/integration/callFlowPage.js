@@ -0,0 +1,145 @@
+/**
+ * Test harness for call-flow/index.html (jest-environment-jsdom)
+ *
+ * Loads the page body, runs data/flow-config.js and the copy handler as
+ * <script> elements, then imports scripts/main.js. The clipboard is stubbed;
+ * copied texts are collected in `copied`.
+ *
+ * A page can only be loaded once per test file (main.js is a module);
+ * `restart()` starts the flow again.
+ */
+
+import fs from 'fs';
+import { startFlow } from '../../store/flowActions.js';
+
+const read = (path) => fs.readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8');
+
+const CLASSIC_SCRIPTS = ['data/flow-config.js', 'lib/copy-handler/config.js', 'lib/copy-handler/index.js'];
+
+/**
+ * Wait for timers, animation frames and the clipboard promise
+ * @param {number} ms
+ */
+export const settle = (ms = 50) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a classic script in the page's global scope
+ * @private
+ */
+function runScript(source) {
+  const script = document.createElement('script');
+  script.textContent = source;
+  document.body.appendChild(script);
+  script.remove();
+}
+
+/**
+ * Load call-flow/index.html with its scripts
+ * @returns {Promise<Object>} Page helpers
+ */
+export async function loadCallFlowPage() {
+  const html = read('call-flow/index.html');
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+  document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/g, '');
+
+  // Script errors are reported to window, not thrown
+  const errors = [];
+  window.addEventListener('error', (event) => errors.push(event.error || event.message));
+
+  const copied = [];
+  Object.defineProperty(navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: async (text) => { copied.push(text); } },
+  });
+
+  CLASSIC_SCRIPTS.forEach((path) => runScript(read(path)));
+  runScript('CopyHandler.createInstance(window.COPY_HANDLER_CONFIG);');
+
+  await import('../../scripts/main.js');
+  await settle(0);
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  const $ = (selector) => document.querySelector(selector);
+  const currentBlock = () => [...document.querySelectorAll('#question-area .message-block')].pop();
+  const store = window.__STORE__;
+
+  return {
+    $,
+    copied,
+    errors,
+    store,
+
+    /** Start the flow again from the start node */
+    restart() {
+      store.dispatch(startFlow(window.FLOW_CONFIG.start));
+    },
+
+    /** Node id of the last step shown */
+    currentNodeId() {
+      return currentBlock().dataset.nodeId;
+    },
+
+    /** Labels of the buttons of the last step */
+    buttonLabels() {
+      return [...currentBlock().querySelectorAll('button')].map((button) => button.textContent);
+    },
+
+    /** Click a button of the last step by its label */
+    answer(label) {
+      const button = [...currentBlock().querySelectorAll('button')].find((b) => b.textContent === label);
+      if (!button) throw new Error(`No button "${label}" on ${currentBlock().dataset.nodeId}`);
+      button.click();
+    },
+
+    /** Pick an option of the select on the last step by its label */
+    select(label) {
+      const select = currentBlock().querySelector('select');
+      select.value = [...select.options].find((option) => option.textContent === label).value;
+      select.dispatchEvent(new Event('change'));
+    },
+
+    /** Texts of the breadcrumb items */
+    crumbs() {
+      return [...document.querySelectorAll('#flow-breadcrumb .flow-crumb')].map((item) => item.textContent);
+    },
+
+    /** Click a breadcrumb item by its text */
+    jumpTo(text) {
+      const link = [...document.querySelectorAll('#flow-breadcrumb .flow-crumb-link')].find(
+        (element) => element.textContent === text
+      );
+      if (!link) throw new Error(`No breadcrumb "${text}"`);
+      link.click();
+    },
+
+    /** Click 戻る / 進む of the breadcrumb */
+    back() {
+      $('#flow-breadcrumb .flow-back').click();
+    },
+    forward() {
+      $('#flow-breadcrumb .flow-forward').click();
+    },
+
+    /** Ids of the diagram nodes matching a class selector (e.g. ".is-current") */
+    diagramNodes(selector = '') {
+      return [...document.querySelectorAll(`#flow-graph .flow-graph-node${selector}`)].map(
+        (node) => node.dataset.nodeId
+      );
+    },
+
+    /** Click a node of the diagram */
+    clickDiagramNode(nodeId) {
+      $(`#flow-graph .flow-graph-node[data-node-id="${nodeId}"]`).dispatchEvent(
+        new MouseEvent('click', { bubbles: true })
+      );
+    },
+
+    /** Text of the summary to copy */
+    summaryText() {
+      return $('#flow-summary .results').dataset.copyText;
+    },
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import vm from 'vm';
+import { loadFlowEditorPage } from './flowEditorPage.js';
+
+describe('call-flow/editor.html', () => {
+  let page;
+
+  beforeAll(async () => {
+    page = await loadFlowEditorPage();
+  });
+
+  beforeEach(() => {
+    page.reset();
+  });
+
+  test('loads data/flow-config.js and opens the start node', () => {
+    expect(page.errors).toEqual([]);
+    expect(page.nodeIds()).toEqual(Object.keys(window.FLOW_CONFIG.nodes));
+    expect(page.selectedId()).toBe('initial');
+    expect(page.configErrors()).toEqual([]);
+  });
+
+  test('edits a field without rebuilding the form, and undoes it', () => {
+    page.selectNode('warranty');
+    const title = page.field('title');
+    title.focus();
+    page.setField('title', '保証の確認');
+
+    expect(page.store.getState().config.nodes.warranty.title).toBe('保証の確認');
+    expect(page.field('title')).toBe(title);
+    expect(document.activeElement).toBe(title);
+
+    page.$('#flow-editor-undo').click();
+    expect(page.store.getState().config.nodes.warranty.title).toBe('保証');
+    expect(page.field('title').value).toBe('保証');
+    expect(page.$('#flow-editor-redo').disabled).toBe(false);
+  });
+
+  test('renaming a node updates the references to it', () => {
+    page.selectNode('notRepair');
+    page.setField('id', 'closing');
+
+    const { config } = page.store.getState();
+    expect(page.selectedId()).toBe('closing');
+    expect(config.nodes.initial.buttons[1].next).toBe('closing');
+    expect(page.nodeIds()).not.toContain('notRepair');
+    expect(page.configErrors()).toEqual([]);
+  });
+
+  test('shows the broken references after a node is removed', () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    page.selectNode('notRepair');
+    page.clickButton('このノードを削除');
+
+    expect(confirm.mock.calls[0][0]).toContain('nodes.initial.buttons[1]');
+    expect(page.configErrors()).toEqual(['nodes.initial.buttons[1].next: unknown node "notRepair"']);
+    expect(page.$('#flow-editor-nodes [data-node-id="initial"]').textContent).toMatch(/^⚠/);
+    confirm.mockRestore();
+  });
+
+  test('adds a node and links a button to it', () => {
+    page.addNode('callback', 'input');
+    expect(page.selectedId()).toBe('callback');
+    expect(page.configErrors()).toEqual(['nodes.callback.key: the answer needs a key']);
+
+    page.setField('key', 'callbackTime');
+    page.selectNode('initial');
+    page.clickButton('ボタンを追加');
+    page.setField('buttons.2.label', '折り返し');
+    page.setField('buttons.2.next', 'callback');
+
+    const { config } = page.store.getState();
+    expect(config.nodes.initial.buttons[2]).toEqual({ label: '折り返し', next: 'callback' });
+    expect(page.configErrors()).toEqual([]);
+  });
+
+  test('reports a bad when condition', () => {
+    page.selectNode('warranty');
+    page.setField('buttons.2.when', 'manufacturer = "三菱"');
+
+    expect(page.configErrors()).toEqual([expect.stringMatching(/^nodes\.warranty\.buttons\[2\]\.when: /)]);
+  });
+
+  test('exports data/flow-config.js that sets the edited config', async () => {
+    page.selectNode('initial');
+    page.setField('text', '修理のご依頼ですか？');
+    page.$('#flow-editor-export-js').click();
+
+    expect(page.downloads.map((download) => download.fileName)).toEqual(['flow-config.js']);
+    const sandbox = { window: {} };
+    vm.runInNewContext(await page.readDownload(), sandbox);
+    expect(sandbox.window.FLOW_CONFIG.nodes.initial.text).toBe('修理のご依頼ですか？');
+  });
+
+  test('asks before exporting a config with errors', () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    page.selectNode('manufacturer');
+    page.setField('key', '');
+    page.$('#flow-editor-export-json').click();
+
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(page.downloads).toEqual([]);
+    confirm.mockRestore();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Test harness for call-flow/editor.html (jest-environment-jsdom)
+ *
+ * Loads the page body, runs data/flow-config.js and the file drop as
+ * <script> elements, then imports scripts/flowEditor.js. Downloads are
+ * collected in `downloads` ({ fileName, blob }) instead of being saved.
+ *
+ * A page can only be loaded once per test file (flowEditor.js is a module);
+ * `reset()` loads the original config again.
+ */
+
+import fs from 'fs';
+
+const read = (path) => fs.readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8');
+
+const CLASSIC_SCRIPTS = ['data/flow-config.js', 'lib/file-drop/index.js'];
+
+/**
+ * Wait for the module and the promises it starts
+ * @param {number} ms
+ */
+export const settle = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a classic script in the page's global scope
+ * @private
+ */
+function runScript(source) {
+  const script = document.createElement('script');
+  script.textContent = source;
+  document.body.appendChild(script);
+  script.remove();
+}
+
+/**
+ * Load call-flow/editor.html with its scripts
+ * @returns {Promise<Object>} Page helpers
+ */
+export async function loadFlowEditorPage() {
+  const html = read('call-flow/editor.html');
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+  document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/g, '');
+
+  // Script errors are reported to window, not thrown
+  const errors = [];
+  window.addEventListener('error', (event) => errors.push(event.error || event.message));
+
+  // jsdom has no object URLs and does not follow the download link
+  const downloads = [];
+  let blob = null;
+  URL.createObjectURL = (value) => {
+    blob = value;
+    return 'blob:flow-config';
+  };
+  URL.revokeObjectURL = () => {};
+  HTMLAnchorElement.prototype.click = function () {
+    downloads.push({ fileName: this.download, blob });
+  };
+
+  CLASSIC_SCRIPTS.forEach((path) => runScript(read(path)));
+
+  await import('../../scripts/flowEditor.js');
+  await settle();
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  const $ = (selector) => document.querySelector(selector);
+  const store = window.__STORE__;
+  const original = store.getState().config;
+
+  /** Set a field of the node form and commit it like the browser does on blur */
+  const change = (element, value) => {
+    element.value = value;
+    element.dispatchEvent(new Event('change'));
+  };
+
+  return {
+    $,
+    downloads,
+    errors,
+    store,
+
+    /** Load the original config again */
+    reset() {
+      store.setState({ config: original }, 'LOAD_CONFIG');
+      downloads.length = 0;
+    },
+
+    /** Ids in the node list */
+    nodeIds() {
+      return [...document.querySelectorAll('#flow-editor-nodes .flow-editor-node')].map(
+        (button) => button.dataset.nodeId
+      );
+    },
+
+    /** Open a node in the form */
+    selectNode(id) {
+      $(`#flow-editor-nodes .flow-editor-node[data-node-id="${id}"]`).click();
+    },
+
+    /** Id of the node in the form */
+    selectedId() {
+      return $('#flow-editor-form [data-field="id"]').value;
+    },
+
+    /** Add a node from the node list */
+    addNode(id, type) {
+      const form = $('#flow-editor-nodes .flow-editor-add');
+      form.querySelector('input').value = id;
+      form.querySelector('select').value = type;
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+    },
+
+    /** Change a field of the node form by its data-field (e.g. "title", "buttons.0.next") */
+    setField(field, value) {
+      change($(`#flow-editor-form [data-field="${field}"]`), value);
+    },
+
+    /** The field of the node form itself */
+    field(field) {
+      return $(`#flow-editor-form [data-field="${field}"]`);
+    },
+
+    /** Click a button of the node form by its label */
+    clickButton(label) {
+      const button = [...document.querySelectorAll('#flow-editor-form button')].find(
+        (element) => element.textContent === label
+      );
+      if (!button) throw new Error(`No button "${label}"`);
+      button.click();
+    },
+
+    /** Items of the error list */
+    configErrors() {
+      return [...document.querySelectorAll('#flow-editor-errors li')].map((item) => item.textContent);
+    },
+
+    /** Text of the message under the toolbar */
+    message() {
+      return $('#flow-editor-message').textContent;
+    },
+
+    /** Read a downloaded blob */
+    readDownload(index = 0) {
+      return new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(downloads[index].blob);
+      });
+    },
+  };
+}
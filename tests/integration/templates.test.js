@@ -0,0 +1,188 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { loadTemplatesPage, settle } from './templatesPage.js';
+
+const SHORTCUT_IDS = ['yu-mi', 'yu-sumi', 'me-mi', 'me-sumi', 'gai-mi', 'gai-sumi'];
+
+const SEASON_COMBINATIONS = [
+  { newyear: false, mitsubishi: false },
+  { newyear: false, mitsubishi: true },
+  { newyear: true, mitsubishi: false },
+  { newyear: true, mitsubishi: true },
+];
+
+describe('templates/index.html result text', () => {
+  let page;
+  let defaultNewyear;
+
+  beforeAll(async () => {
+    // The page logs its startup and every copy
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    page = await loadTemplatesPage();
+    page.type('#name-input', 'テスト');
+    defaultNewyear = page.store.getState().checkboxes.newyear;
+  });
+
+  beforeEach(async () => {
+    // リセット keeps 年末年始, so every test starts from its default
+    page.setChecked('#newyear-checkbox', defaultNewyear);
+    page.click('#reset-btn');
+    await settle();
+    page.copied.length = 0;
+  });
+
+  test('loads without script errors', () => {
+    expect(page.errors).toEqual([]);
+    expect(page.store.getState().forms.nameInput).toBe('テスト');
+  });
+
+  test('shows the default outputs after リセット', () => {
+    expect(page.outputTexts()).toMatchSnapshot();
+  });
+
+  test('has a button for every configured shortcut', () => {
+    const ids = [...page.$('#shortcut-buttons').children].map((button) => button.id);
+    expect(ids).toEqual(SHORTCUT_IDS.map((id) => `shortcut-${id}`));
+  });
+
+  describe.each(SHORTCUT_IDS)('shortcut %s', (id) => {
+    test('copies the result text', async () => {
+      page.click(`#shortcut-${id}`);
+      await settle();
+
+      const copied = page.copiedTexts();
+      expect(copied).toHaveLength(1);
+      expect(copied[0]).toBe(page.outputTexts().rsystem);
+      expect(copied[0]).toMatchSnapshot();
+    });
+
+    test.each(SEASON_COMBINATIONS)('with newyear=$newyear mitsubishi=$mitsubishi', async ({ newyear, mitsubishi }) => {
+      page.click(`#shortcut-${id}`);
+      await settle();
+      page.setChecked('#newyear-checkbox', newyear);
+      page.setChecked('#mitsubishi-checkbox', mitsubishi);
+
+      const { checkboxes } = page.store.getState();
+      expect({
+        newyear: checkboxes.newyear,
+        mitsubishi: checkboxes.mitsubishi,
+        outputs: page.outputTexts(),
+      }).toMatchSnapshot();
+    });
+  });
+
+  test('starts shortcuts from the defaults, not the current options', async () => {
+    page.setChecked('#mitsubishi-checkbox', true);
+    page.click('#shortcut-me-sumi');
+    await settle();
+
+    // Shortcuts start from the defaults (mitsubishi off)
+    expect(page.store.getState().checkboxes.mitsubishi).toBe(false);
+    expect(page.copiedTexts()[0]).toMatchSnapshot();
+  });
+
+  test('keeps 年末年始 and the operator name on リセット and shortcuts', async () => {
+    page.setChecked('#newyear-checkbox', !defaultNewyear);
+
+    page.click('#reset-btn');
+    expect(page.store.getState().checkboxes.newyear).toBe(!defaultNewyear);
+    page.click('#shortcut-me-sumi');
+    await settle();
+
+    const { checkboxes, forms } = page.store.getState();
+    expect(checkboxes.newyear).toBe(!defaultNewyear);
+    expect(page.$('#newyear-checkbox').checked).toBe(!defaultNewyear);
+    expect(forms.nameInput).toBe('テスト');
+  });
+
+  test('restoring a call from the history keeps the current operator name', async () => {
+    page.setChecked('#mitsubishi-checkbox', true);
+    page.click('#shortcut-me-sumi');
+    await settle();
+    const { checkboxes } = page.store.getState();
+
+    page.type('#name-input', '別のオペレーター');
+    page.click('#reset-btn');
+    page.click('#call-history-list .call-history-entry button[data-action="restore"]');
+
+    expect(page.store.getState().checkboxes).toEqual(checkboxes);
+    expect(page.store.getState().forms.nameInput).toBe('別のオペレーター');
+    page.type('#name-input', 'テスト');
+  });
+
+  test('autosaves the form through the session persistence, flushed when the page is left', async () => {
+    page.setChecked('#mitsubishi-checkbox', !page.$('#mitsubishi-checkbox').checked);
+    window.dispatchEvent(new Event('pagehide'));
+    await settle(0);
+
+    const saved = JSON.parse(window.localStorage.getItem('templates:session'));
+    expect(saved.version).toBe(page.store.getState()._meta.version);
+    expect(saved.state.checkboxes.mitsubishi).toBe(page.store.getState().checkboxes.mitsubishi);
+
+    page.click('#reset-btn');
+    await settle(0);
+    expect(window.localStorage.getItem('templates:session')).toBeNull();
+  });
+
+  test('editing a text in 文言設定 leaves the undo history alone', () => {
+    const field = page.$('#text-catalog-fields [data-text-key="statusNote"]');
+    const original = field.value;
+
+    page.type('#text-catalog-fields [data-text-key="statusNote"]', '備考を確認\n');
+    expect(page.store.getState().texts.statusNote).toBe('備考を確認\n');
+    expect(page.store.getHistory().map((entry) => entry.action.type)).not.toContain('SET_TEXT');
+
+    page.type('#text-catalog-fields [data-text-key="statusNote"]', original);
+  });
+
+  test('Ctrl+Z undoes the last option, but not while typing in a text field', () => {
+    const undo = (target) => {
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+      target.dispatchEvent(event);
+      return event.defaultPrevented;
+    };
+    const mitsubishi = page.$('#mitsubishi-checkbox');
+    page.setChecked('#mitsubishi-checkbox', !mitsubishi.checked);
+    const checked = mitsubishi.checked;
+
+    expect(undo(page.$('#name-input'))).toBe(false);
+    expect(page.store.getState().checkboxes.mitsubishi).toBe(checked);
+
+    expect(undo(mitsubishi)).toBe(true);
+    expect(page.store.getState().checkboxes.mitsubishi).toBe(!checked);
+  });
+
+  test('Ctrl+Z on a select undoes through the store history', () => {
+    const select = page.$('#person-select');
+    const previous = select.value;
+    select.value = 'お父様';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(page.store.getState().forms.personSelect).toBe('お父様');
+
+    const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+    select.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(page.store.getState().forms.personSelect).toBe(previous);
+    expect(select.value).toBe(previous);
+  });
+
+  test.each([
+    ['至急', ['input[data-target="status-urgent"]']],
+    ['名前の聴取', ['input[data-target="status-name"]']],
+    ['型番確認', ['input[data-target="model-check"]']],
+    ['販売店にて案内済み', ['#dealer-informed-checkbox']],
+    ['費用負担', ['#dealer-cost-coverage-checkbox']],
+    ['来店中', ['#phone-guidance-at-store-checkbox']],
+    ['日時・名前', ['#show-datetime-name-checkbox']],
+  ])('option %s', async (label, selectors) => {
+    page.click('#shortcut-yu-mi');
+    await settle();
+    selectors.forEach((selector) => page.click(selector));
+    await settle(0);
+
+    expect(page.outputTexts()).toMatchSnapshot();
+  });
+});
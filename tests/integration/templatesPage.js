@@ -0,0 +1,132 @@
+/**
+ * Test harness for templates/index.html (jest-environment-jsdom)
+ *
+ * Loads the page body, runs the classic scripts the page loads
+ * (config/defaults.js, scripts/templates.js, the copy handler) as <script>
+ * elements so they share globals as in the browser, then imports
+ * scripts/app.js. The clipboard and Bootstrap are stubbed; copied texts are
+ * collected in `copied`.
+ *
+ * Datetimes in the result texts are replaced with "<datetime>" so snapshots
+ * do not depend on when (or in which time zone) the tests run.
+ *
+ * A page can only be loaded once per test file (app.js is a module).
+ */
+
+import fs from 'fs';
+
+const DATETIME_PATTERN = /\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}/g;
+
+const read = (path) => fs.readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8');
+
+const CLASSIC_SCRIPTS = [
+  'config/defaults.js',
+  'scripts/templates.js',
+  'lib/copy-handler/config.js',
+  'lib/copy-handler/index.js',
+  'lib/file-drop/index.js',
+];
+
+/**
+ * Wait for timers, animation frames and the clipboard promise
+ * @param {number} ms
+ */
+export const settle = (ms = 50) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @private
+ */
+function stripDatetime(text) {
+  return text.replace(DATETIME_PATTERN, '<datetime>');
+}
+
+/**
+ * Run a classic script in the page's global scope
+ * @private
+ */
+function runScript(source) {
+  const script = document.createElement('script');
+  script.textContent = source;
+  document.body.appendChild(script);
+  script.remove();
+}
+
+/**
+ * Load templates/index.html with its scripts
+ * @returns {Promise<Object>} Page helpers
+ */
+export async function loadTemplatesPage() {
+  const html = read('templates/index.html');
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+  document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/g, '');
+
+  // Script errors are reported to window, not thrown
+  const errors = [];
+  window.addEventListener('error', (event) => errors.push(event.error || event.message));
+
+  const copied = [];
+  Object.defineProperty(navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: async (text) => { copied.push(text); } },
+  });
+  window.bootstrap = {
+    Modal: { getOrCreateInstance: () => ({ show() {}, hide() {} }) },
+  };
+
+  CLASSIC_SCRIPTS.forEach((path) => runScript(read(path)));
+  runScript('CopyHandler.createInstance(window.COPY_HANDLER_CONFIG);');
+
+  await import('../../scripts/app.js');
+  await settle(0);
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  const $ = (selector) => document.querySelector(selector);
+
+  return {
+    $,
+    copied,
+    errors,
+    store: window.__STORE__,
+
+    /** Click an element (checkboxes and radios fire change) */
+    click(selector) {
+      const element = $(selector);
+      if (!element) throw new Error(`No element matches ${selector}`);
+      element.click();
+    },
+
+    /** Set a checkbox by clicking it when it differs */
+    setChecked(selector, checked) {
+      const element = $(selector);
+      if (!element) throw new Error(`No element matches ${selector}`);
+      if (element.checked !== checked) element.click();
+    },
+
+    /** Type into a text input */
+    type(selector, value) {
+      const element = $(selector);
+      element.value = value;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    },
+
+    /** Copy texts of the visible result areas, by output id */
+    outputTexts() {
+      return Object.fromEntries(
+        [...document.querySelectorAll('#outputs .output-block')]
+          .filter((block) => block.style.display !== 'none')
+          .map((block) => [
+            block.dataset.outputId,
+            stripDatetime(block.querySelector('.results').dataset.copyText),
+          ])
+      );
+    },
+
+    /** Copied texts without their datetimes */
+    copiedTexts() {
+      return copied.map(stripDatetime);
+    },
+  };
+}
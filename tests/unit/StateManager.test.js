@@ -0,0 +1,350 @@
+import { jest } from '@jest/globals';
+import StateManager from '../../store/StateManager.js';
+
+describe('StateManager', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('setState', () => {
+    test('merges a partial state object', () => {
+      const store = new StateManager({ count: 0, name: 'a' });
+      store.setState({ count: 1 });
+      expect(store.getState()).toEqual({ count: 1, name: 'a' });
+    });
+
+    test('applies an updater function to the previous state', () => {
+      const store = new StateManager({ count: 1 });
+      store.setState((state) => ({ ...state, count: state.count + 1 }));
+      expect(store.getState().count).toBe(2);
+    });
+
+    test('returns the new state and keeps the previous one intact', () => {
+      const store = new StateManager({ count: 0 });
+      const before = store.getState();
+      const after = store.setState({ count: 1 });
+      expect(after).toBe(store.getState());
+      expect(before).toEqual({ count: 0 });
+    });
+
+    test('passes the action type and updater to listeners', () => {
+      const store = new StateManager({ count: 0 });
+      const listener = jest.fn();
+      store.subscribe(listener);
+      store.setState({ count: 1 }, 'INCREMENT');
+      expect(listener).toHaveBeenCalledWith(
+        { count: 1 },
+        { count: 0 },
+        { type: 'INCREMENT', payload: { count: 1 } }
+      );
+    });
+  });
+
+  describe('middleware', () => {
+    test('cancels the update when it returns false', () => {
+      const store = new StateManager({ count: 0 });
+      const listener = jest.fn();
+      store.subscribe(listener);
+      store.use(() => false);
+
+      const result = store.setState({ count: 1 }, 'BLOCKED');
+
+      expect(result).toEqual({ count: 0 });
+      expect(store.getState().count).toBe(0);
+      expect(listener).not.toHaveBeenCalled();
+      expect(warn).toHaveBeenCalledWith('State update cancelled by middleware: BLOCKED');
+    });
+
+    test('replaces the next state when it returns an object', () => {
+      const store = new StateManager({ count: 0 });
+      store.use((prevState, nextState) => ({ ...nextState, count: Math.min(nextState.count, 10) }));
+      store.setState({ count: 99 });
+      expect(store.getState().count).toBe(10);
+    });
+
+    test('keeps the next state when it returns nothing', () => {
+      const store = new StateManager({ count: 0 });
+      const middleware = jest.fn();
+      store.use(middleware);
+      store.setState({ count: 1 }, 'SET');
+      expect(store.getState().count).toBe(1);
+      expect(middleware).toHaveBeenCalledWith(
+        { count: 0 },
+        { count: 1 },
+        { type: 'SET', payload: { count: 1 } }
+      );
+    });
+
+    test('runs in order, each receiving the previous result', () => {
+      const store = new StateManager({ count: 0 });
+      store.use((prevState, nextState) => ({ ...nextState, count: nextState.count + 1 }));
+      store.use((prevState, nextState) => ({ ...nextState, count: nextState.count * 10 }));
+      store.setState({ count: 1 });
+      expect(store.getState().count).toBe(20);
+    });
+
+    test('validates the state returned by the middleware option', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const schema = { type: 'object', properties: { count: { type: 'number' } } };
+      const store = new StateManager({ count: 0 }, {
+        schema,
+        middleware: [(prevState, nextState) => ({ ...nextState, count: String(nextState.count) })],
+      });
+
+      store.setState({ count: 1 }, 'SET');
+
+      expect(store.getState().count).toBe(0);
+      expect(error).toHaveBeenCalledWith(expect.stringMatching(/^Validation failed: SET/));
+      error.mockRestore();
+    });
+  });
+
+  describe('subscribe', () => {
+    test('calls the listener on every update until unsubscribed', () => {
+      const store = new StateManager({ count: 0 });
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      store.setState({ count: 1 });
+      unsubscribe();
+      store.setState({ count: 2 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('with a selector, only calls the listener when the selected value changes', () => {
+      const store = new StateManager({ count: 0, other: 0 });
+      const listener = jest.fn();
+      store.subscribe(listener, (state) => state.count);
+
+      store.setState({ other: 1 });
+      expect(listener).not.toHaveBeenCalled();
+
+      store.setState({ count: 1 });
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('compares with the value of the last notification', () => {
+      const store = new StateManager({ count: 0 });
+      const listener = jest.fn();
+      store.subscribe(listener, (state) => state.count);
+
+      store.setState({ count: 1 });
+      store.setState({ count: 1 });
+      store.setState({ count: 0 });
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test('uses the equals option for selectors that build new objects', () => {
+      const store = new StateManager({ a: 1, b: 2 });
+      const strict = jest.fn();
+      const shallow = jest.fn();
+      store.subscribe(strict, (state) => ({ a: state.a }));
+      store.subscribe(shallow, (state) => ({ a: state.a }), { equals: 'shallow' });
+
+      store.setState({ b: 3 });
+
+      expect(strict).toHaveBeenCalledTimes(1);
+      expect(shallow).not.toHaveBeenCalled();
+    });
+
+    test('keeps notifying other listeners when one throws', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new StateManager({ count: 0 });
+      const listener = jest.fn();
+      store.subscribe(() => {
+        throw new Error('broken listener');
+      });
+      store.subscribe(listener);
+
+      store.setState({ count: 1 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+
+  describe('undo / redo', () => {
+    test('undo restores the previous state and notifies with UNDO', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true });
+      const listener = jest.fn();
+      store.setState({ count: 1 });
+      store.setState({ count: 2 });
+      store.subscribe(listener);
+
+      store.undo();
+
+      expect(store.getState().count).toBe(1);
+      expect(listener).toHaveBeenCalledWith({ count: 1 }, { count: 2 }, { type: 'UNDO' });
+    });
+
+    test('redo applies the undone state again', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true });
+      store.setState({ count: 1 });
+      store.undo();
+      expect(store.canRedo()).toBe(true);
+
+      store.redo();
+
+      expect(store.getState().count).toBe(1);
+      expect(store.canRedo()).toBe(false);
+    });
+
+    test('a new update clears the redo stack', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true });
+      store.setState({ count: 1 });
+      store.undo();
+      store.setState({ count: 5 });
+      expect(store.canRedo()).toBe(false);
+    });
+
+    test('does nothing without time travel', () => {
+      const store = new StateManager({ count: 0 });
+      store.setState({ count: 1 });
+
+      store.undo();
+
+      expect(store.getState().count).toBe(1);
+      expect(store.canUndo()).toBe(false);
+      expect(store.getHistory()).toEqual([]);
+    });
+
+    test('does not record or notify updates that change nothing', () => {
+      const store = new StateManager({ count: 0, nested: { value: 1 } }, { enableTimeTravel: true });
+      const listener = jest.fn();
+      store.subscribe(listener);
+      const before = store.getState();
+
+      expect(store.setState({ count: 0 })).toBe(before);
+      store.setState((state) => state);
+      store.dispatch({ type: 'UNKNOWN' });
+
+      expect(store.getState()).toBe(before);
+      expect(store.canUndo()).toBe(false);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('keeps dispatches with history: false out of the history, also after undo', () => {
+      const reducers = { count: (count, action) => (action.type === 'ADD' ? count + action.payload : count) };
+      const store = new StateManager({ count: 0 }, { reducers, enableTimeTravel: true });
+      store.dispatch({ type: 'ADD', payload: 1 });
+      store.dispatch({ type: 'ADD', payload: 10 }, { history: false });
+
+      expect(store.getHistory().map((entry) => entry.action.payload)).toEqual([1]);
+      store.undo();
+      expect(store.getState().count).toBe(10);
+      store.redo();
+      expect(store.getState().count).toBe(11);
+    });
+
+    test('does not record cancelled updates', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true });
+      store.use((prevState, nextState) => nextState.count < 0 ? false : nextState);
+      store.setState({ count: -1 });
+      expect(store.canUndo()).toBe(false);
+    });
+  });
+
+  describe('history', () => {
+    test('records each update with its action', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true });
+      store.setState({ count: 1 }, 'FIRST');
+      store.setState({ count: 2 }, 'SECOND');
+
+      const history = store.getHistory();
+
+      expect(history.map((entry) => entry.action.type)).toEqual(['FIRST', 'SECOND']);
+      expect(typeof history[0].timestamp).toBe('number');
+    });
+
+    test('keeps at most maxHistorySize entries, dropping the oldest', () => {
+      const store = new StateManager({ count: 0 }, { enableTimeTravel: true, maxHistorySize: 3 });
+      for (let count = 1; count <= 5; count++) {
+        store.setState({ count }, `SET_${count}`);
+      }
+
+      const history = store.getHistory();
+
+      expect(history).toHaveLength(3);
+      expect(history.map((entry) => entry.action.type)).toEqual(['SET_3', 'SET_4', 'SET_5']);
+
+      store.undo();
+      store.undo();
+      store.undo();
+      store.undo();
+      expect(store.getState().count).toBe(2);
+    });
+  });
+
+  describe('replay', () => {
+    const reducers = { count: (count, action) => (action.type === 'ADD' ? count + action.payload : count) };
+    const replayed = (store) => new StateManager({ count: 0 }, { reducers }).replay(store.getActionLog());
+
+    test('reaches the same state beyond maxHistorySize', () => {
+      const store = new StateManager({ count: 0 }, { reducers, enableTimeTravel: true, maxHistorySize: 2 });
+      [1, 2, 3, 4].forEach((amount) => store.dispatch({ type: 'ADD', payload: amount }));
+
+      expect(store.getHistory()).toHaveLength(2);
+      expect(replayed(store)).toEqual({ count: 10 });
+    });
+
+    test('reaches the same state without time travel', () => {
+      const store = new StateManager({ count: 0 }, { reducers });
+      store.dispatch({ type: 'ADD', payload: 1 });
+      store.dispatch({ type: 'ADD', payload: 2 });
+
+      expect(store.getHistory()).toEqual([]);
+      expect(replayed(store)).toEqual({ count: 3 });
+    });
+
+    test('follows undo, redo and updates kept out of the history', () => {
+      const store = new StateManager({ count: 0 }, { reducers, enableTimeTravel: true });
+      store.dispatch({ type: 'ADD', payload: 1 });
+      store.dispatch({ type: 'ADD', payload: 2 });
+      store.dispatch({ type: 'ADD', payload: 100 }, { history: false });
+      store.undo();
+      store.undo();
+      store.redo();
+
+      expect(store.getState()).toEqual({ count: 101 });
+      expect(store.getActionLog().map((action) => action.payload)).toEqual([100, 1]);
+      expect(replayed(store)).toEqual({ count: 101 });
+
+      store.dispatch({ type: 'ADD', payload: 5 });
+      expect(store.canRedo()).toBe(false);
+      expect(replayed(store)).toEqual({ count: 106 });
+    });
+  });
+
+  describe('immutability', () => {
+    test('deep freezes the initial state', () => {
+      const store = new StateManager({ nested: { list: [1, 2] } });
+      const state = store.getState();
+
+      expect(Object.isFrozen(state)).toBe(true);
+      expect(Object.isFrozen(state.nested)).toBe(true);
+      expect(Object.isFrozen(state.nested.list)).toBe(true);
+    });
+
+    test('deep freezes every new state', () => {
+      const store = new StateManager({ nested: { value: 1 } });
+      store.setState((state) => ({ ...state, nested: { value: 2, deeper: { flag: true } } }));
+      const state = store.getState();
+
+      expect(Object.isFrozen(state.nested.deeper)).toBe(true);
+      // Test modules are strict, so writing to a frozen object throws
+      expect(() => {
+        state.nested.value = 3;
+      }).toThrow(TypeError);
+      expect(store.getState().nested.value).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import vm from 'vm';
+import StateManager from '../../store/StateManager.js';
+import {
+  validateFlowConfig,
+  resolveAnswer,
+  resolveNext,
+  isChoiceShown,
+  getSelectOptions,
+  getFlowNode,
+} from '../../store/flowConfig.js';
+import { createFlowReducers } from '../../store/flowReducers.js';
+import { startFlow, answerStep, backStep, forwardStep, jumpToStep } from '../../store/flowActions.js';
+import {
+  getCurrentStep,
+  getFlowValues,
+  isFlowFinished,
+  canGoBack,
+  canGoForward,
+} from '../../store/selectors/flowSelectors.js';
+
+const config = JSON.parse(fs.readFileSync(new URL('../../data/flow-config.json', import.meta.url), 'utf8'));
+
+function createStore() {
+  const store = new StateManager({ flow: { steps: [] } }, { reducers: createFlowReducers() });
+  store.dispatch(startFlow('initial'));
+  return store;
+}
+
+function answer(store, choice) {
+  const state = store.getState();
+  const { nodeId } = getCurrentStep(state);
+  store.dispatch(answerStep(nodeId, resolveAnswer(config, getFlowNode(config, nodeId), choice, getFlowValues(state))));
+}
+
+function visitedNodes(store) {
+  return store.getState().flow.steps.map((step) => step.nodeId);
+}
+
+describe('validateFlowConfig', () => {
+  test('accepts data/flow-config.json', () => {
+    expect(validateFlowConfig(config)).toEqual([]);
+  });
+
+  test('reports unknown next nodes, types and missing keys', () => {
+    const errors = validateFlowConfig({
+      start: 'a',
+      nodes: {
+        a: { type: 'question', buttons: [{ label: 'x', next: 'missing' }] },
+        b: { type: 'select', options: ['1'] },
+        c: { type: 'unknown' },
+      },
+    });
+
+    expect(errors).toEqual([
+      'nodes.a.buttons[0].next: unknown node "missing"',
+      'nodes.b.key: the answer needs a key',
+      'nodes.c.type: must be one of question, select, input, info',
+    ]);
+  });
+
+  test('data/flow-config.js has the same content as the JSON', () => {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(new URL('../../data/flow-config.js', import.meta.url), 'utf8'), sandbox);
+    expect(JSON.parse(JSON.stringify(sandbox.window.FLOW_CONFIG))).toEqual(config);
+  });
+
+  test('reports invalid conditions and unknown branch targets', () => {
+    const errors = validateFlowConfig({
+      nodes: {
+        initial: {
+          type: 'question',
+          buttons: [{ label: 'x', when: 'a ==' }],
+          next: [{ when: 'a &&& b', next: 'initial' }, { next: 'missing' }],
+        },
+      },
+    });
+
+    expect(errors).toEqual([
+      'nodes.initial.next[0].when: unexpected "&" at 4',
+      'nodes.initial.next[1].next: unknown node "missing"',
+      'nodes.initial.buttons[0].when: unexpected end of expression',
+    ]);
+  });
+
+  test('reports a missing start node', () => {
+    expect(validateFlowConfig({ nodes: {} })).toEqual(['start: unknown node "initial"']);
+  });
+
+  test('does not take inherited keys for nodes', () => {
+    const flow = {
+      start: 'toString',
+      nodes: { a: { type: 'info', next: 'constructor' } },
+    };
+
+    expect(validateFlowConfig(flow)).toEqual([
+      'start: unknown node "toString"',
+      'nodes.a.next: unknown node "constructor"',
+    ]);
+    expect(getFlowNode(flow, 'constructor')).toBeNull();
+  });
+});
+
+describe('resolveAnswer', () => {
+  test('uses the kv pair and next node of a button', () => {
+    expect(resolveAnswer(config, config.nodes.initial, 1)).toEqual({
+      label: 'いいえ',
+      values: { isRepairRequest: false },
+      next: 'notRepair',
+    });
+  });
+
+  test('stores a select option under the node key', () => {
+    expect(resolveAnswer(config, config.nodes.manufacturer, 2)).toEqual({
+      label: 'TOTO',
+      values: { manufacturer: 'TOTO' },
+      next: 'manufacturerConfirm',
+    });
+  });
+
+  test('lets an option choose its own next node', () => {
+    const node = { type: 'select', key: 'k', options: [{ label: 'A', value: 'a', next: 'x' }], next: 'y' };
+    expect(getSelectOptions(node)).toEqual([{ label: 'A', value: 'a', next: 'x' }]);
+    expect(resolveAnswer(config, node, 0).next).toBe('x');
+  });
+
+  test('stores the entered text of an input node', () => {
+    const node = { type: 'input', key: 'phone', next: 'done' };
+    expect(resolveAnswer(config, node, '090')).toEqual({ label: '090', values: { phone: '090' }, next: 'done' });
+  });
+});
+
+describe('conditions', () => {
+  const branches = [
+    { when: 'manufacturer == "三菱" && isRepairRequest', next: 'mitsubishi' },
+    { when: 'manufacturer == "TOTO"', next: 'toto' },
+    { next: 'other' },
+  ];
+
+  test('resolveNext takes the first branch that applies', () => {
+    expect(resolveNext(branches, { manufacturer: '三菱', isRepairRequest: true })).toBe('mitsubishi');
+    expect(resolveNext(branches, { manufacturer: '三菱', isRepairRequest: false })).toBe('other');
+    expect(resolveNext(branches, { manufacturer: 'TOTO' })).toBe('toto');
+    expect(resolveNext(branches.slice(0, 2), {})).toBeNull();
+    expect(resolveNext('fixed', {})).toBe('fixed');
+  });
+
+  test('branches see the values set by the answer', () => {
+    const node = { type: 'select', key: 'manufacturer', options: ['三菱', 'TOTO'], next: branches };
+    expect(resolveAnswer(config, node, 0, { isRepairRequest: true }).next).toBe('mitsubishi');
+    expect(resolveAnswer(config, node, 1, { isRepairRequest: true }).next).toBe('toto');
+  });
+
+  test('isChoiceShown tests the `when` of a button', () => {
+    const button = { label: '延長保証', when: 'manufacturer == "三菱"' };
+    expect(isChoiceShown(button, { manufacturer: '三菱' })).toBe(true);
+    expect(isChoiceShown(button, { manufacturer: 'TOTO' })).toBe(false);
+    expect(isChoiceShown({ label: 'OK' }, {})).toBe(true);
+  });
+
+  test.each([
+    [0, 0, 'freeRepair'],
+    [0, 1, 'paidRepair'],
+    [2, 0, 'manufacturerSupport'],
+  ])('manufacturer option %i and warranty button %i lead to %s', (manufacturer, warranty, expected) => {
+    const store = createStore();
+    [0, 0, manufacturer, undefined, warranty].forEach((choice) => answer(store, choice));
+    expect(visitedNodes(store).pop()).toBe(expected);
+    expect(isFlowFinished(store.getState())).toBe(false);
+  });
+});
+
+describe('flow reducers', () => {
+  test('walks the graph and collects the values', () => {
+    const store = createStore();
+    answer(store, 0);
+    answer(store, 0);
+    answer(store, 0);
+
+    const state = store.getState();
+    expect(visitedNodes(store)).toEqual([
+      'initial',
+      'telephoneNumber',
+      'manufacturer',
+      'manufacturerConfirm',
+    ]);
+    expect(getCurrentStep(state).nodeId).toBe('manufacturerConfirm');
+    expect(getFlowValues(state)).toEqual({ isRepairRequest: true, phone_prompt: 'ok', manufacturer: '三菱' });
+  });
+
+  test('ignores answers for a step that is not current', () => {
+    const store = createStore();
+    const before = store.getState();
+    store.dispatch(answerStep('manufacturer', resolveAnswer(config, config.nodes.manufacturer, 0)));
+    expect(store.getState().flow).toBe(before.flow);
+  });
+
+  test('going back takes back the answer and its values', () => {
+    const store = createStore();
+    answer(store, 0);
+    answer(store, 0);
+
+    store.dispatch(backStep());
+
+    const state = store.getState();
+    expect(getCurrentStep(state).nodeId).toBe('telephoneNumber');
+    expect(getFlowValues(state)).toEqual({ isRepairRequest: true });
+  });
+
+  test('an answer without a next node finishes the flow, and back reopens it', () => {
+    const store = new StateManager({ flow: { steps: [] } }, { reducers: createFlowReducers() });
+    store.dispatch(startFlow('only'));
+    store.dispatch(answerStep('only', { label: 'A', values: { a: 1 }, next: null }));
+
+    expect(isFlowFinished(store.getState())).toBe(true);
+    expect(getFlowValues(store.getState())).toEqual({ a: 1 });
+
+    store.dispatch(backStep());
+    expect(getCurrentStep(store.getState()).nodeId).toBe('only');
+    expect(getFlowValues(store.getState())).toEqual({});
+  });
+
+  test('back on the first unanswered step does nothing', () => {
+    const store = createStore();
+    const before = store.getState();
+    store.dispatch(backStep());
+    expect(store.getState().flow).toBe(before.flow);
+    expect(canGoBack(before)).toBe(false);
+  });
+});
+
+describe('step history', () => {
+  function walkToWarranty() {
+    const store = createStore();
+    [0, 0, 0, undefined].forEach((choice) => answer(store, choice));
+    return store;
+  }
+
+  test('jumping to an earlier step reopens it and prunes the later values', () => {
+    const store = walkToWarranty();
+
+    store.dispatch(jumpToStep(1));
+
+    const state = store.getState();
+    expect(visitedNodes(store)).toEqual(['initial', 'telephoneNumber']);
+    expect(getCurrentStep(state).nodeId).toBe('telephoneNumber');
+    expect(getFlowValues(state)).toEqual({ isRepairRequest: true });
+    expect(canGoForward(state)).toBe(true);
+  });
+
+  test('jumping to the current step or out of range does nothing', () => {
+    const store = walkToWarranty();
+    const before = store.getState();
+    store.dispatch(jumpToStep(4));
+    store.dispatch(jumpToStep(9));
+    expect(store.getState().flow).toBe(before.flow);
+  });
+
+  test('forward redoes the answers taken back, one by one', () => {
+    const store = walkToWarranty();
+    const walked = store.getState().flow.steps;
+
+    store.dispatch(jumpToStep(0));
+    store.dispatch(forwardStep());
+    expect(visitedNodes(store)).toEqual(['initial', 'telephoneNumber']);
+    expect(getCurrentStep(store.getState()).nodeId).toBe('telephoneNumber');
+
+    store.dispatch(forwardStep());
+    store.dispatch(forwardStep());
+    store.dispatch(forwardStep());
+    expect(store.getState().flow.steps).toEqual(walked);
+    expect(canGoForward(store.getState())).toBe(false);
+  });
+
+  test('forward restores the end of the flow', () => {
+    const store = walkToWarranty();
+    answer(store, 0);
+    answer(store, undefined);
+    const finished = store.getState().flow.steps;
+    expect(isFlowFinished(store.getState())).toBe(true);
+
+    store.dispatch(backStep());
+    store.dispatch(backStep());
+    store.dispatch(forwardStep());
+    store.dispatch(forwardStep());
+    expect(store.getState().flow.steps).toEqual(finished);
+  });
+
+  test('the same answer keeps the trail, a different one clears it', () => {
+    const store = walkToWarranty();
+    store.dispatch(jumpToStep(2));
+
+    answer(store, 0);
+    expect(canGoForward(store.getState())).toBe(true);
+
+    store.dispatch(jumpToStep(2));
+    answer(store, 1);
+    expect(canGoForward(store.getState())).toBe(false);
+    store.dispatch(forwardStep());
+    expect(getFlowValues(store.getState()).manufacturer).toBe('パナソニック');
+  });
+
+  test('starting again clears the trail', () => {
+    const store = walkToWarranty();
+    store.dispatch(jumpToStep(0));
+    store.dispatch(startFlow('initial'));
+    expect(store.getState().flow.trail).toEqual([]);
+    expect(canGoForward(store.getState())).toBe(false);
+  });
+});
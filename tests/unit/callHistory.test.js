@@ -0,0 +1,40 @@
+import { addCallHistoryEntry, createCallHistoryEntry } from '../../store/callHistory.js';
+
+const state = {
+  forms: { nameInput: ' 佐藤 ' },
+  checkboxes: {},
+  status: {},
+};
+
+const copy = (timestamp, overrides = {}) =>
+  createCallHistoryEntry(state, { text: '未\n', source: 'icon-click', outputId: 'rsystem', timestamp, ...overrides });
+
+describe('addCallHistoryEntry', () => {
+  test('records every call, also when it copies the same text as the one before', () => {
+    const first = copy(0);
+    const second = copy(60 * 1000);
+
+    expect(addCallHistoryEntry(addCallHistoryEntry([], first), second)).toEqual([second, first]);
+    expect(second.operatorName).toBe('佐藤');
+  });
+
+  test('records a repeated copy once when it comes from the same place within a few seconds', () => {
+    const entries = addCallHistoryEntry([], copy(0));
+    expect(addCallHistoryEntry(entries, copy(1000))).toBe(entries);
+  });
+
+  test.each([
+    ['another source', { source: 'right-click' }],
+    ['another output', { outputId: 'teams' }],
+    ['a shortcut', { shortcutId: 'yu-mi' }],
+  ])('records the same text again from %s', (label, overrides) => {
+    const entries = addCallHistoryEntry([], copy(0));
+    expect(addCallHistoryEntry(entries, copy(1000, overrides))).toHaveLength(2);
+  });
+
+  test('keeps at most maxEntries, dropping the oldest', () => {
+    const entries = [copy(0, { text: 'a' }), copy(0, { text: 'b' })];
+    const added = addCallHistoryEntry(entries, copy(5000, { text: 'c' }), 2);
+    expect(added.map((entry) => entry.text)).toEqual(['c', 'a']);
+  });
+});
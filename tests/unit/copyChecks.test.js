@@ -0,0 +1,56 @@
+import { runCopyChecks, hasBlockingFailure } from '../../store/copyChecks.js';
+import { createInitialState } from '../../store/initialState.js';
+
+/**
+ * Initial state with some form values overridden
+ */
+function stateWith(forms = {}) {
+  const state = createInitialState();
+  return { ...state, forms: { ...state.forms, ...forms } };
+}
+
+const CHECKS = [
+  {
+    id: 'operator-name-missing',
+    level: 'error',
+    when: { path: 'forms.nameInput', matches: '^\\s*$' },
+    message: 'オペレーター名が入力されていません',
+    fields: ['#name-input'],
+  },
+  {
+    id: 'person-missing',
+    when: { path: 'forms.personSelect', equals: '' },
+    message: '聴取した名前が選択されていません',
+  },
+];
+
+describe('runCopyChecks', () => {
+  test('passes when no check matches', () => {
+    const failures = runCopyChecks(CHECKS, stateWith({ nameInput: '山田', personSelect: 'ご本人' }));
+
+    expect(failures).toEqual([]);
+    expect(hasBlockingFailure(failures)).toBe(false);
+  });
+
+  test('warns without blocking the copy', () => {
+    const failures = runCopyChecks(CHECKS, stateWith({ nameInput: '山田', personSelect: '' }));
+
+    expect(failures).toEqual([
+      { id: 'person-missing', level: 'warning', message: '聴取した名前が選択されていません', fields: [] },
+    ]);
+    expect(hasBlockingFailure(failures)).toBe(false);
+  });
+
+  test('blocks the copy on errors', () => {
+    const failures = runCopyChecks(CHECKS, stateWith({ nameInput: '  ', personSelect: '' }));
+
+    expect(failures.map((failure) => failure.id)).toEqual(['operator-name-missing', 'person-missing']);
+    expect(failures[0]).toEqual({
+      id: 'operator-name-missing',
+      level: 'error',
+      message: 'オペレーター名が入力されていません',
+      fields: ['#name-input'],
+    });
+    expect(hasBlockingFailure(failures)).toBe(true);
+  });
+});
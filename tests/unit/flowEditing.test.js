@@ -0,0 +1,111 @@
+import fs from 'fs';
+import vm from 'vm';
+import { validateFlowConfig } from '../../store/flowConfig.js';
+import {
+  addFlowNode,
+  changeFlowNodeType,
+  checkNodeId,
+  findNodeReferences,
+  formatKvValue,
+  parseFlowConfigJson,
+  parseKvValue,
+  removeFlowNode,
+  renameFlowNode,
+  toFlowConfigJs,
+  toFlowConfigJson,
+} from '../../store/flowEditing.js';
+
+const configJson = fs.readFileSync(new URL('../../data/flow-config.json', import.meta.url), 'utf8');
+const config = JSON.parse(configJson);
+
+describe('renameFlowNode', () => {
+  test('updates the start node and every reference, keeping the node order', () => {
+    const renamed = renameFlowNode(config, 'initial', 'greeting');
+
+    expect(renamed.start).toBe('greeting');
+    expect(Object.keys(renamed.nodes)[0]).toBe('greeting');
+    expect(findNodeReferences(renamed, 'initial')).toEqual([]);
+    expect(validateFlowConfig(renamed)).toEqual([]);
+  });
+
+  test('renames the targets of branches', () => {
+    const renamed = renameFlowNode(config, 'freeRepair', 'free');
+
+    expect(renamed.nodes.warranty.next).toContainEqual(
+      expect.objectContaining({ next: 'free' })
+    );
+    expect(validateFlowConfig(renamed)).toEqual([]);
+  });
+});
+
+describe('findNodeReferences', () => {
+  test('lists buttons, branches and the start node', () => {
+    expect(findNodeReferences(config, 'initial')).toEqual(['start']);
+    expect(findNodeReferences(config, 'notRepair')).toEqual(['nodes.initial.buttons[1]']);
+    expect(findNodeReferences(config, 'freeRepair')).toEqual(['nodes.warranty']);
+  });
+
+  test('are reported by validateFlowConfig after a removal', () => {
+    const removed = removeFlowNode(config, 'notRepair');
+    expect(validateFlowConfig(removed)).toEqual(['nodes.initial.buttons[1].next: unknown node "notRepair"']);
+  });
+});
+
+test('checkNodeId rejects taken and malformed ids', () => {
+  expect(checkNodeId(config, 'callback')).toBeNull();
+  expect(checkNodeId(config, 'warranty')).toMatch('既にあります');
+  expect(checkNodeId(config, '1st')).toMatch('英字で始まる');
+  expect(checkNodeId(config, 'a b')).toMatch('英字で始まる');
+});
+
+test('addFlowNode and changeFlowNodeType keep what the types share', () => {
+  const added = addFlowNode(config, 'callback', 'select');
+  expect(added.nodes.callback).toEqual({ type: 'select', text: '', key: '', options: [] });
+
+  const node = { type: 'select', title: '時間帯', text: '希望の時間帯', key: 'time', options: ['午前'], next: 'a' };
+  expect(changeFlowNodeType(node, 'input')).toEqual({
+    type: 'input',
+    title: '時間帯',
+    text: '希望の時間帯',
+    key: 'time',
+    next: 'a',
+  });
+  expect(changeFlowNodeType(node, 'question').buttons).toHaveLength(2);
+  expect(changeFlowNodeType(node, 'select')).toBe(node);
+});
+
+test.each([
+  ['true', true],
+  ['false', false],
+  ['12', 12],
+  ['三菱', '三菱'],
+  ['"true"', 'true'],
+  ['"1"', '1'],
+])('kv value %s round-trips', (text, value) => {
+  expect(parseKvValue(text)).toBe(value);
+  expect(parseKvValue(formatKvValue(value))).toBe(value);
+});
+
+describe('files', () => {
+  test('toFlowConfigJson writes indented JSON ending with a newline', () => {
+    const json = toFlowConfigJson(config);
+    expect(JSON.parse(json)).toEqual(config);
+    expect(json).toMatch(/^\{\n {2}"start": "initial",\n[\s\S]*\}\n$/);
+  });
+
+  test('toFlowConfigJs sets window.FLOW_CONFIG with CRLF line endings', () => {
+    const source = toFlowConfigJs(config);
+    const sandbox = { window: {} };
+    vm.runInNewContext(source, sandbox);
+
+    expect(JSON.parse(JSON.stringify(sandbox.window.FLOW_CONFIG))).toEqual(config);
+    expect(source.split('\r\n').every((line) => !line.includes('\n'))).toBe(true);
+  });
+
+  test('parseFlowConfigJson reports syntax and config errors', () => {
+    expect(parseFlowConfigJson('{').config).toBeNull();
+    expect(parseFlowConfigJson('[]').config).toBeNull();
+    expect(parseFlowConfigJson(configJson)).toEqual({ config, errors: [] });
+    expect(parseFlowConfigJson('{"nodes":{}}').errors).toEqual(['start: unknown node "initial"']);
+  });
+});
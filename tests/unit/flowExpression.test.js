@@ -0,0 +1,69 @@
+import { parseExpression, evaluateCondition } from '../../store/flowExpression.js';
+
+const values = { manufacturer: '三菱', isRepairRequest: true, count: 3, product: { type: 'エコキュート' } };
+
+describe('evaluateCondition', () => {
+  test.each([
+    ['manufacturer == "三菱" && isRepairRequest', true],
+    ["manufacturer == 'TOTO' || isRepairRequest", true],
+    ['manufacturer != "三菱"', false],
+    ['!isRepairRequest', false],
+    ['!(manufacturer == "三菱" && isRepairRequest)', false],
+    ['count >= 3 && count < 4', true],
+    ['count > 3', false],
+    ['product.type == "エコキュート"', true],
+    ['isRepairRequest == true', true],
+    ['missing == null', false],
+    ['!missing', true],
+    ['warranty.period', false],
+  ])('%s → %s', (source, expected) => {
+    expect(evaluateCondition(source, values)).toBe(expected);
+  });
+
+  test('only reads own keys of the values', () => {
+    expect(evaluateCondition('toString', values)).toBe(false);
+    expect(evaluateCondition('!product.constructor', values)).toBe(true);
+  });
+
+  test('compares strictly', () => {
+    expect(evaluateCondition('count == "3"', values)).toBe(false);
+  });
+
+  test('&& binds tighter than ||', () => {
+    expect(evaluateCondition('true || false && false', {})).toBe(true);
+    expect(evaluateCondition('(true || false) && false', {})).toBe(false);
+  });
+
+  test('treats names as values, never as code', () => {
+    expect(evaluateCondition('constructor', {})).toBe(false);
+    expect(() => evaluateCondition('alert(1)', {})).toThrow(SyntaxError);
+    expect(() => evaluateCondition('a = 1', {})).toThrow(SyntaxError);
+  });
+});
+
+describe('parseExpression', () => {
+  test('builds a tree of comparisons', () => {
+    expect(parseExpression('a == "x" && !b')).toEqual({
+      type: 'binary',
+      operator: '&&',
+      left: {
+        type: 'binary',
+        operator: '==',
+        left: { type: 'name', value: 'a' },
+        right: { type: 'literal', value: 'x' },
+      },
+      right: { type: 'not', operand: { type: 'name', value: 'b' } },
+    });
+  });
+
+  test.each([
+    ['', 'empty expression'],
+    ['a ==', 'unexpected end of expression'],
+    ['(a', 'missing ")"'],
+    ['a b', 'unexpected "b"'],
+    ['"a', 'unterminated string at 0'],
+    ['a === b', 'unexpected "="'],
+  ])('rejects %p', (source, message) => {
+    expect(() => parseExpression(source)).toThrow(message);
+  });
+});
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import { getFlowEdges, layoutFlow, DEFAULT_LAYOUT_OPTIONS } from '../../store/flowLayout.js';
+
+const config = JSON.parse(fs.readFileSync(new URL('../../data/flow-config.json', import.meta.url), 'utf8'));
+
+describe('getFlowEdges', () => {
+  test('collects buttons, branches and next', () => {
+    expect(getFlowEdges(config)).toEqual([
+      { from: 'initial', to: 'telephoneNumber', label: 'はい' },
+      { from: 'initial', to: 'notRepair', label: 'いいえ' },
+      { from: 'telephoneNumber', to: 'manufacturer', label: 'OK' },
+      { from: 'manufacturer', to: 'manufacturerConfirm', label: '' },
+      { from: 'manufacturerConfirm', to: 'warranty', label: '' },
+      { from: 'warranty', to: 'paidRepair', label: 'warranty == "out"' },
+      { from: 'warranty', to: 'freeRepair', label: 'manufacturer == "三菱" && isRepairRequest' },
+      { from: 'warranty', to: 'manufacturerSupport', label: 'それ以外' },
+    ]);
+  });
+
+  test('joins the labels of choices that lead to the same node and skips unknown nodes', () => {
+    const edges = getFlowEdges({
+      nodes: {
+        a: {
+          type: 'question',
+          buttons: [
+            { label: 'x', next: 'b' },
+            { label: 'y', next: 'b' },
+            { label: 'z', next: 'missing' },
+          ],
+        },
+        b: { type: 'select', key: 'k', options: ['1', { label: '2', next: 'a' }], next: 'c' },
+        c: { type: 'info' },
+      },
+    });
+
+    expect(edges).toEqual([
+      { from: 'a', to: 'b', label: 'x / y' },
+      { from: 'b', to: 'c', label: '' },
+      { from: 'b', to: 'a', label: '2' },
+    ]);
+  });
+});
+
+describe('layoutFlow', () => {
+  const layout = layoutFlow(config);
+  const byId = Object.fromEntries(layout.nodes.map((node) => [node.id, node]));
+
+  test('puts every node on the layer of its longest path from the start', () => {
+    expect(Object.fromEntries(layout.nodes.map((node) => [node.id, node.layer]))).toEqual({
+      initial: 0,
+      telephoneNumber: 1,
+      notRepair: 1,
+      manufacturer: 2,
+      manufacturerConfirm: 3,
+      warranty: 4,
+      paidRepair: 5,
+      freeRepair: 5,
+      manufacturerSupport: 5,
+    });
+  });
+
+  test('orders a layer like the choices and centres it', () => {
+    expect(byId.telephoneNumber.x).toBeLessThan(byId.notRepair.x);
+    expect(byId.paidRepair.x).toBeLessThan(byId.freeRepair.x);
+    expect(byId.freeRepair.x).toBeLessThan(byId.manufacturerSupport.x);
+    expect(byId.initial.x + byId.initial.width / 2).toBe(layout.width / 2);
+  });
+
+  test('sizes the diagram to the widest layer', () => {
+    const { nodeWidth, nodeHeight, gapX, gapY, padding } = DEFAULT_LAYOUT_OPTIONS;
+    expect(layout.width).toBe(padding * 2 + 3 * nodeWidth + 2 * gapX);
+    expect(layout.height).toBe(padding * 2 + 6 * nodeHeight + 5 * gapY);
+    expect(byId.warranty.y).toBe(padding + 4 * (nodeHeight + gapY));
+  });
+
+  test('keeps loops from moving nodes down and marks them', () => {
+    const looped = layoutFlow({
+      start: 'a',
+      nodes: {
+        a: { type: 'info', next: 'b' },
+        b: { type: 'question', buttons: [{ label: 'もう一度', next: 'a' }, { label: '終了', next: 'c' }] },
+        c: { type: 'info' },
+        orphan: { type: 'info' },
+      },
+    });
+
+    expect(looped.nodes.map((node) => [node.id, node.layer])).toEqual([
+      ['a', 0],
+      ['orphan', 0],
+      ['b', 1],
+      ['c', 2],
+    ]);
+    expect(looped.edges.filter((edge) => edge.back)).toEqual([{ from: 'b', to: 'a', label: 'もう一度', back: true }]);
+  });
+});
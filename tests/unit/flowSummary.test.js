@@ -0,0 +1,55 @@
+import fs from 'fs';
+import { getFlowSummary, renderFlowSummary, renderFlowSummaryLines } from '../../store/flowSummary.js';
+import { validateFlowConfig } from '../../store/flowConfig.js';
+
+const config = JSON.parse(fs.readFileSync(new URL('../../data/flow-config.json', import.meta.url), 'utf8'));
+
+describe('renderFlowSummary', () => {
+  test('renders the lines that apply to the collected values', () => {
+    expect(
+      renderFlowSummary(config, { isRepairRequest: true, phone_prompt: 'ok', manufacturer: '三菱', warranty: 'extended' })
+    ).toBe('修理受付\nメーカー: 三菱\n保証: 延長保証');
+  });
+
+  test('leaves out lines whose values are not collected yet', () => {
+    expect(renderFlowSummaryLines(config, { isRepairRequest: true })).toEqual(['修理受付']);
+    expect(renderFlowSummaryLines(config, {})).toEqual([]);
+  });
+
+  test('uses the newline of the summary', () => {
+    const summary = { newline: '\r\n', lines: ['{a}', { when: 'b > 1', text: 'b={b}' }] };
+    expect(renderFlowSummary({ summary }, { a: 'A', b: 2 })).toBe('A\r\nb=2');
+    expect(renderFlowSummary({ summary }, { a: 'A', b: 1 })).toBe('A');
+  });
+
+  test('is empty without a summary', () => {
+    expect(getFlowSummary({ nodes: {} })).toBeNull();
+    expect(renderFlowSummary({ nodes: {} }, { a: 1 })).toBe('');
+  });
+
+  test('applies the defaults', () => {
+    expect(getFlowSummary({ summary: { lines: [] } })).toEqual({
+      label: '結果',
+      lines: [],
+      newline: '\n',
+      autoCopy: false,
+    });
+  });
+});
+
+describe('validateFlowConfig summary', () => {
+  const nodes = { initial: { type: 'info' } };
+
+  test('reports invalid lines and conditions', () => {
+    expect(
+      validateFlowConfig({ nodes, summary: { lines: ['ok', { when: 'a' }, { text: 'x', when: 'a ==' }] } })
+    ).toEqual([
+      'summary.lines[1]: must be a string or { text, when }',
+      'summary.lines[2].when: unexpected end of expression',
+    ]);
+  });
+
+  test('requires an array of lines', () => {
+    expect(validateFlowConfig({ nodes, summary: {} })).toEqual(['summary.lines: must be an array of lines']);
+  });
+});
@@ -0,0 +1,94 @@
+import { createInitialState, TEMPLATE_STATE_SCHEMA } from '../../store/initialState.js';
+import { validateSchema } from '../../store/schema.js';
+
+describe('createInitialState', () => {
+  test('uses the fallback defaults without a config', () => {
+    const state = createInitialState();
+
+    expect(state.checkboxes).toEqual({
+      statusUrgent: false,
+      statusName: false,
+      statusNote: false,
+      modelCheck: false,
+      mitsubishi: false,
+      newyear: false,
+      showDatetimeName: true,
+      phoneGuidanceAtStore: false,
+      dealerCostCoverage: false,
+    });
+    expect(state.status).toEqual({ dealerInformed: false, paidStatus: false, delayStatus: false });
+    expect(state.forms).toEqual({
+      paidRadio: '有償警告',
+      paidMakerWarranty: false,
+      personSelect: '奥様',
+      nameInput: '',
+      dealerCostCoverageType: 'full',
+    });
+    expect(state.ui).toEqual({ mitsubishiCheckboxVisible: true, currentTimestamp: null });
+    expect(state.animation).toEqual({ flashColor: '#ffeb3b', flashDuration: 300 });
+    expect(state._meta.version).toBe('1.0.0');
+  });
+
+  test('matches the templates page schema', () => {
+    expect(validateSchema(createInitialState(), TEMPLATE_STATE_SCHEMA)).toEqual([]);
+  });
+
+  test('overrides top-level options from the config', () => {
+    const state = createInitialState({
+      paid: '保証対象外部位有償案内',
+      paidMakerWarranty: true,
+      showDatetimeName: false,
+      newyear: true,
+    });
+
+    expect(state.forms.paidRadio).toBe('保証対象外部位有償案内');
+    expect(state.forms.paidMakerWarranty).toBe(true);
+    expect(state.checkboxes.showDatetimeName).toBe(false);
+    expect(state.checkboxes.newyear).toBe(true);
+    expect(state.ui.mitsubishiCheckboxVisible).toBe(false);
+  });
+
+  test('merges texts key by key with the defaults', () => {
+    const state = createInitialState({ texts: { statusDone: 'OK' } });
+
+    expect(state.texts.statusDone).toBe('OK');
+    expect(state.texts.statusPending).toBe('未');
+    expect(state.texts.statusDelayNewyear).toBe('年末年始トーク');
+  });
+
+  test('merges checks key by key with the defaults', () => {
+    const state = createInitialState({ checks: { 'status-note': true } });
+
+    expect(state.checkboxes.statusNote).toBe(true);
+    expect(state.checkboxes.statusUrgent).toBe(false);
+    expect(state.checkboxes.modelCheck).toBe(false);
+  });
+
+  test('merges animation key by key with the defaults', () => {
+    const state = createInitialState({ animation: { flashDuration: 100 } });
+    expect(state.animation).toEqual({ flashColor: '#ffeb3b', flashDuration: 100 });
+  });
+
+  test('starts both statuses as done when status is 済', () => {
+    const state = createInitialState({ status: '済' });
+    expect(state.status.paidStatus).toBe(true);
+    expect(state.status.delayStatus).toBe(true);
+  });
+
+  test.each([
+    [{ maker: '三菱' }, true],
+    [{ maker: '三菱以外' }, false],
+    [{ isMitsubishi: true }, true],
+    [{ isMitsubishi: false, maker: '三菱' }, false],
+  ])('sets mitsubishi from %j', (config, expected) => {
+    expect(createInitialState(config).checkboxes.mitsubishi).toBe(expected);
+  });
+
+  test('does not share objects with the config', () => {
+    const config = { texts: { statusDone: 'OK' }, checks: { 'status-note': true } };
+    const state = createInitialState(config);
+    state.texts.statusDone = 'changed';
+
+    expect(config.texts.statusDone).toBe('OK');
+  });
+});
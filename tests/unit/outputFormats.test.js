@@ -0,0 +1,48 @@
+import { renderOutputText } from '../../store/outputFormats.js';
+import { createInitialState } from '../../store/initialState.js';
+
+/**
+ * Initial state with some checkboxes overridden
+ */
+function stateWith(checkboxes = {}) {
+  const state = createInitialState();
+  return { ...state, checkboxes: { ...state.checkboxes, ...checkboxes } };
+}
+
+const GUIDANCE = 'お客様来店中のため、お電話を代わっていただき、案内。';
+
+describe('renderOutputText', () => {
+  test('uses the default bullet and newline', () => {
+    expect(renderOutputText(stateWith(), { fields: ['paid', 'delay'] }))
+      .toBe('・有償警告未\n・お日にちがかかる可能性案内未');
+  });
+
+  test('uses the bullet option for bullet lines only', () => {
+    const text = renderOutputText(stateWith({ phoneGuidanceAtStore: true }), {
+      bullet: '- ',
+      fields: ['phoneGuidance', 'paid'],
+    });
+
+    expect(text).toBe(`${GUIDANCE}\n\n- 有償警告未`);
+  });
+
+  test('puts the line prefix before the bullet and skips blank lines', () => {
+    const text = renderOutputText(stateWith({ phoneGuidanceAtStore: true }), {
+      linePrefix: '> ',
+      fields: ['phoneGuidance', 'paid'],
+    });
+
+    expect(text).toBe(`> ${GUIDANCE}\n\n> ・有償警告未`);
+  });
+
+  test('joins the lines with the newline option', () => {
+    const text = renderOutputText(stateWith(), { newline: '\r\n', fields: ['paid', 'delay'] });
+
+    expect(text).toBe('・有償警告未\r\n・お日にちがかかる可能性案内未');
+  });
+
+  test('trims the trailing blank line', () => {
+    expect(renderOutputText(stateWith({ phoneGuidanceAtStore: true }), { fields: ['phoneGuidance'] }))
+      .toBe(GUIDANCE);
+  });
+});
@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import StateManager from '../../store/StateManager.js';
+import {
+  compareVersions,
+  createPersistence,
+  createWebStorageAdapter,
+  migratePersistedState,
+} from '../../store/persistence.js';
+import { createSessionPersistence, getSessionStorageKey } from '../../store/session.js';
+
+const KEY = 'test:state';
+
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: jest.fn((key, value) => { items[key] = String(value); }),
+    removeItem: (key) => { delete items[key]; },
+  };
+}
+
+const initialState = {
+  _meta: { version: '1.2.0' },
+  forms: { nameInput: '', person: '' },
+  texts: { note: 'default' },
+};
+
+function createTestPersistence(storage, options = {}) {
+  return createPersistence({
+    key: KEY,
+    slices: ['forms'],
+    storage: createWebStorageAdapter(storage),
+    ...options,
+  });
+}
+
+describe('compareVersions', () => {
+  test('compares dotted versions numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.2', '1.2.0')).toBe(0);
+    expect(compareVersions('1.0.0', '2.0.0')).toBeLessThan(0);
+  });
+
+  test('treats a missing version as 0', () => {
+    expect(compareVersions(null, '0.0.1')).toBeLessThan(0);
+    expect(compareVersions(undefined, '0')).toBe(0);
+    expect(compareVersions('1.0.0', null)).toBeGreaterThan(0);
+  });
+});
+
+describe('migratePersistedState', () => {
+  const migrations = {
+    '1.2.0': (state) => ({ ...state, forms: { ...state.forms, person: state.forms.person || '担当者' } }),
+    '1.1.0': (state) => ({ ...state, forms: { nameInput: state.forms.name } }),
+    '2.0.0': () => { throw new Error('not reached'); },
+  };
+
+  test('runs the migrations after the saved version, in version order', () => {
+    const saved = { version: '1.0.0', state: { forms: { name: '佐藤' } } };
+    expect(migratePersistedState(saved, '1.2.0', migrations)).toEqual({
+      forms: { nameInput: '佐藤', person: '担当者' },
+    });
+  });
+
+  test('runs every migration for data saved without a version', () => {
+    const saved = { version: null, state: { forms: { name: '佐藤' } } };
+    expect(migratePersistedState(saved, '1.2.0', migrations).forms.nameInput).toBe('佐藤');
+  });
+
+  test('rejects data saved by a newer page and migrations that return nothing', () => {
+    expect(() => migratePersistedState({ version: '3.0.0', state: {} }, '1.2.0', migrations)).toThrow('newer');
+    expect(() => migratePersistedState({ version: '1.0.0', state: {} }, '1.1.0', { '1.1.0': () => null }))
+      .toThrow('did not return a state');
+  });
+});
+
+describe('createPersistence', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('starts from the initial state when nothing is saved', async () => {
+    const persistence = createTestPersistence(createStorage());
+    expect(await persistence.load(initialState)).toBe(initialState);
+    expect(await persistence.read('1.2.0')).toBeNull();
+  });
+
+  test('merges the saved slices onto the initial state', async () => {
+    const storage = createStorage({
+      [KEY]: JSON.stringify({ version: '1.2.0', savedAt: 1, state: { forms: { nameInput: '佐藤' } } }),
+    });
+    const state = await createTestPersistence(storage).load(initialState);
+
+    expect(state.forms).toEqual({ nameInput: '佐藤', person: '' });
+    expect(state.texts).toBe(initialState.texts);
+  });
+
+  test('migrates data saved by an older page', async () => {
+    const storage = createStorage({
+      [KEY]: JSON.stringify({ savedAt: 1, state: { forms: { name: '佐藤' } } }),
+    });
+    const persistence = createTestPersistence(storage, {
+      migrations: { '1.1.0': (state) => ({ forms: { nameInput: state.forms.name } }) },
+    });
+
+    expect((await persistence.load(initialState)).forms.nameInput).toBe('佐藤');
+  });
+
+  test.each([
+    ['unreadable JSON', '{'],
+    ['not an object', '"text"'],
+    ['no state', JSON.stringify({ version: '1.2.0' })],
+    ['a newer version', JSON.stringify({ version: '9.0.0', state: { forms: {} } })],
+  ])('drops %s and starts from the initial state', async (label, text) => {
+    const storage = createStorage({ [KEY]: text });
+
+    expect(await createTestPersistence(storage).load(initialState)).toBe(initialState);
+    await Promise.resolve();
+    expect(storage.items[KEY]).toBeUndefined();
+    expect(warn).toHaveBeenCalled();
+  });
+
+  test('saves the persisted slices at most once per throttle interval', async () => {
+    jest.useFakeTimers();
+    const storage = createStorage();
+    const persistence = createTestPersistence(storage, { throttle: 1000 });
+    const store = new StateManager(initialState);
+    persistence.connect(store);
+
+    const setName = (nameInput) =>
+      store.setState((state) => ({ ...state, forms: { ...state.forms, nameInput } }));
+    setName('佐');
+    setName('佐藤');
+    store.setState((state) => ({ ...state, texts: { note: 'changed' } }));
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(0);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.items[KEY])).toEqual({
+      version: '1.2.0',
+      savedAt: expect.any(Number),
+      state: { forms: { nameInput: '佐藤', person: '' } },
+    });
+
+    setName('佐藤花子');
+    jest.advanceTimersByTime(500);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(500);
+    expect(storage.setItem).toHaveBeenCalledTimes(2);
+  });
+
+  test('flush saves a scheduled change now, clear drops it', async () => {
+    jest.useFakeTimers();
+    const storage = createStorage();
+    const persistence = createTestPersistence(storage, { throttle: 1000 });
+
+    persistence.save({ ...initialState, forms: { nameInput: 'a' } });
+    await persistence.flush();
+    expect(JSON.parse(storage.items[KEY]).state.forms.nameInput).toBe('a');
+
+    persistence.save({ ...initialState, forms: { nameInput: 'b' } });
+    await persistence.clear();
+    jest.advanceTimersByTime(1000);
+    expect(storage.items[KEY]).toBeUndefined();
+  });
+});
+
+describe('createSessionPersistence', () => {
+  test('saves only the form slices under the page key', async () => {
+    const storage = createStorage();
+    const persistence = createSessionPersistence('templates', { storage, throttle: 0 });
+    const state = {
+      _meta: { version: '1.0.0' },
+      texts: { statusNote: '備考要確認' },
+      checkboxes: { newyear: true },
+      status: { paidStatus: false },
+      forms: { nameInput: '佐藤' },
+    };
+
+    persistence.save(state);
+    await persistence.flush();
+
+    expect((await persistence.read('1.0.0')).state).toEqual({
+      checkboxes: { newyear: true },
+      status: { paidStatus: false },
+      forms: { nameInput: '佐藤' },
+    });
+    expect(storage.items[getSessionStorageKey('templates')]).toBeDefined();
+  });
+});
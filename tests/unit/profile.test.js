@@ -0,0 +1,76 @@
+import { parseProfile } from '../../store/profile.js';
+
+/**
+ * Parse a profile object through its JSON text
+ */
+function parse(profile) {
+  return parseProfile(JSON.stringify(profile));
+}
+
+describe('parseProfile', () => {
+  test('returns a valid profile without errors', () => {
+    const profile = {
+      version: 1,
+      name: '年末年始',
+      config: {
+        newyear: true,
+        shortcuts: [{ id: 'paid', label: '有償' }],
+        texts: { statusNote: '備考要確認' },
+      },
+    };
+
+    expect(parse(profile)).toEqual({ profile, errors: [] });
+  });
+
+  test('reports text that is not JSON', () => {
+    const { profile, errors } = parseProfile('{ version: 1');
+
+    expect(profile).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe('(root)');
+    expect(errors[0].message).toMatch(/^is not valid JSON/);
+  });
+
+  test('requires the version and the config', () => {
+    const { profile, errors } = parse({});
+
+    expect(profile).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'version', message: 'is required' },
+      { path: 'config', message: 'is required' },
+    ]));
+  });
+
+  test('rejects unknown versions', () => {
+    const { errors } = parse({ version: 2, config: {} });
+
+    expect(errors).toEqual([expect.objectContaining({ path: 'version' })]);
+  });
+
+  test('rejects unknown keys', () => {
+    const { errors } = parse({ version: 1, config: { unknownOption: true }, extra: 1 });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'config.unknownOption', message: 'is not allowed' },
+      { path: 'extra', message: 'is not allowed' },
+    ]));
+  });
+
+  test('reports the path of nested errors', () => {
+    const { errors } = parse({
+      version: 1,
+      config: {
+        status: 'done',
+        shortcuts: [{ label: '有償' }],
+        texts: { statusNote: 1, unknownText: 'x' },
+      },
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'config.status', message: 'must be one of "済", "未"' },
+      { path: 'config.shortcuts[0].id', message: 'is required' },
+      { path: 'config.texts.statusNote', message: expect.stringMatching(/^must be string/) },
+      { path: 'config.texts.unknownText', message: 'is not allowed' },
+    ]));
+  });
+});
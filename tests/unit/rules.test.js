@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import { evaluateRules, createRules } from '../../store/rules.js';
+import StateManager from '../../store/StateManager.js';
+import { createInitialState } from '../../store/initialState.js';
+
+/**
+ * Initial state with some checkboxes overridden
+ */
+function stateWith(checkboxes = {}) {
+  const state = createInitialState();
+  return { ...state, checkboxes: { ...state.checkboxes, ...checkboxes } };
+}
+
+const SET_RULE = {
+  id: 'name-needs-note',
+  when: { path: 'checkboxes.statusName', equals: true },
+  set: { 'checkboxes.statusNote': true },
+  reason: '備考要確認をオンにしました',
+};
+
+const REQUIRE_RULE = {
+  id: 'newyear-needs-delay',
+  when: { path: 'checkboxes.newyear', equals: true },
+  require: { 'status.delayStatus': true },
+  reason: '年末年始はお日にち案内が必要です',
+};
+
+const CONFIRM_RULE = {
+  id: 'mitsubishi-confirm',
+  when: { path: 'checkboxes.mitsubishi', equals: true },
+  set: { 'checkboxes.modelCheck': true },
+  confirm: '型番確認もオンにしますか？',
+};
+
+describe('evaluateRules', () => {
+  describe('set', () => {
+    test('applies the values when the condition becomes true', () => {
+      const prev = stateWith();
+      const next = stateWith({ statusName: true });
+
+      const result = evaluateRules([SET_RULE], prev, next, { type: 'SET_CHECK' });
+
+      expect(result.state.checkboxes.statusNote).toBe(true);
+      expect(result.notices).toEqual([
+        { ruleId: 'name-needs-note', message: SET_RULE.reason, paths: ['checkboxes.statusNote'] },
+      ]);
+      expect(result.confirmations).toEqual([]);
+    });
+
+    test('does not apply again while the condition stays true', () => {
+      const prev = stateWith({ statusName: true });
+      const next = stateWith({ statusName: true, statusNote: false });
+
+      const result = evaluateRules([SET_RULE], prev, next);
+
+      expect(result.state).toBe(next);
+      expect(result.notices).toEqual([]);
+    });
+
+    test('only triggers for the listed action types', () => {
+      const rule = { ...SET_RULE, actions: ['SET_CHECK'] };
+      const prev = stateWith();
+      const next = stateWith({ statusName: true });
+
+      expect(evaluateRules([rule], prev, next, { type: 'RESTORE_SESSION' }).state).toBe(next);
+      expect(evaluateRules([rule], prev, next, { type: 'SET_CHECK' }).state.checkboxes.statusNote).toBe(true);
+    });
+  });
+
+  describe('require', () => {
+    test('enforces the values for as long as the condition is true', () => {
+      const prev = stateWith({ newyear: true });
+      const next = { ...prev, status: { ...prev.status, delayStatus: false } };
+
+      const result = evaluateRules([REQUIRE_RULE], prev, next);
+
+      expect(result.state.status.delayStatus).toBe(true);
+      expect(result.notices).toEqual([
+        { ruleId: 'newyear-needs-delay', message: REQUIRE_RULE.reason, paths: ['status.delayStatus'] },
+      ]);
+    });
+
+    test('leaves the values alone when the condition is false', () => {
+      const prev = stateWith();
+      const next = stateWith();
+
+      expect(evaluateRules([REQUIRE_RULE], prev, next).state).toBe(next);
+    });
+  });
+
+  describe('confirm', () => {
+    test('asks before applying the values', () => {
+      const prev = stateWith();
+      const next = stateWith({ mitsubishi: true });
+
+      const result = evaluateRules([CONFIRM_RULE], prev, next);
+
+      expect(result.state).toBe(next);
+      expect(result.notices).toEqual([]);
+      expect(result.confirmations).toEqual([
+        { ruleId: 'mitsubishi-confirm', message: CONFIRM_RULE.confirm, values: CONFIRM_RULE.set },
+      ]);
+    });
+  });
+
+  test('later rules see the changes of earlier rules', () => {
+    const chained = {
+      id: 'note-needs-model-check',
+      when: { path: 'checkboxes.statusNote', equals: true },
+      set: { 'checkboxes.modelCheck': true },
+    };
+
+    const result = evaluateRules([SET_RULE, chained], stateWith(), stateWith({ statusName: true }));
+
+    expect(result.state.checkboxes.modelCheck).toBe(true);
+  });
+});
+
+describe('createRules', () => {
+  test('reports the results once the change is committed', () => {
+    const onEvaluate = jest.fn();
+    const rules = createRules([SET_RULE], { onEvaluate });
+    const store = new StateManager(stateWith(), { middleware: [rules.middleware] });
+    rules.connect(store);
+
+    store.setState((state) => stateWith({ ...state.checkboxes, statusName: true }), 'SET_CHECK');
+
+    expect(store.getState().checkboxes.statusNote).toBe(true);
+    expect(onEvaluate).toHaveBeenCalledTimes(1);
+    expect(onEvaluate).toHaveBeenCalledWith(
+      { notices: [expect.objectContaining({ ruleId: 'name-needs-note' })], confirmations: [] },
+      expect.objectContaining({ type: 'SET_CHECK' })
+    );
+  });
+
+  test('reports nothing when later middleware cancels the change', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const onEvaluate = jest.fn();
+    const rules = createRules([SET_RULE], { onEvaluate });
+    const store = new StateManager(stateWith(), { middleware: [rules.middleware] });
+    rules.connect(store);
+    store.use(() => false);
+
+    store.setState((state) => stateWith({ ...state.checkboxes, statusName: true }), 'SET_CHECK');
+
+    expect(store.getState().checkboxes.statusName).toBe(false);
+    expect(onEvaluate).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,26 @@
+import { validateSchema } from '../../store/schema.js';
+
+describe('validateSchema', () => {
+  test('does not take inherited keys for required properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { toString: { type: 'string', required: true } },
+    };
+
+    expect(validateSchema({}, schema)).toEqual([{ path: 'toString', message: 'is required' }]);
+  });
+
+  test('rejects keys named like Object.prototype properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      additionalProperties: false,
+    };
+    const value = JSON.parse('{ "name": "a", "constructor": 1, "__proto__": {} }');
+
+    expect(validateSchema(value, schema)).toEqual([
+      { path: 'constructor', message: 'is not allowed' },
+      { path: '__proto__', message: 'is not allowed' },
+    ]);
+  });
+});
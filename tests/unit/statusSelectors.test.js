@@ -0,0 +1,131 @@
+import {
+  getStatusWord,
+  getStatusDisplayText,
+  getPaidStatusDisplayText,
+  getDelayStatusDisplayText,
+  areAllStatusesComplete,
+  isAnyStatusComplete,
+  getCheckboxIndeterminateState,
+  getPaidDisplayText,
+  getPersonNameText,
+} from '../../store/selectors/statusSelectors.js';
+import { createInitialState } from '../../store/initialState.js';
+
+/**
+ * Initial state with some slices overridden
+ */
+function stateWith({ status = {}, forms = {}, checkboxes = {}, texts = {} } = {}) {
+  const state = createInitialState();
+  return {
+    ...state,
+    status: { ...state.status, ...status },
+    forms: { ...state.forms, ...forms },
+    checkboxes: { ...state.checkboxes, ...checkboxes },
+    texts: { ...state.texts, ...texts },
+  };
+}
+
+describe('statusSelectors', () => {
+  describe('getStatusWord', () => {
+    test('returns the done and pending words of the text catalog', () => {
+      const state = stateWith();
+      expect(getStatusWord(state, true)).toBe('済');
+      expect(getStatusWord(state, false)).toBe('未');
+    });
+
+    test('uses the catalog overrides', () => {
+      const state = stateWith({ texts: { statusDone: 'OK', statusPending: 'NG' } });
+      expect(getStatusWord(state, true)).toBe('OK');
+      expect(getStatusWord(state, false)).toBe('NG');
+    });
+  });
+
+  describe('areAllStatusesComplete / isAnyStatusComplete', () => {
+    test.each([
+      [false, false, false, false],
+      [true, false, false, true],
+      [false, true, false, true],
+      [true, true, true, true],
+    ])('paid=%s delay=%s -> all=%s any=%s', (paidStatus, delayStatus, all, any) => {
+      const state = stateWith({ status: { paidStatus, delayStatus } });
+      expect(areAllStatusesComplete(state)).toBe(all);
+      expect(isAnyStatusComplete(state)).toBe(any);
+    });
+  });
+
+  describe('display texts', () => {
+    test('getStatusDisplayText is done only when both statuses are', () => {
+      expect(getStatusDisplayText(stateWith({ status: { paidStatus: true, delayStatus: true } }))).toBe('済');
+      expect(getStatusDisplayText(stateWith({ status: { paidStatus: true, delayStatus: false } }))).toBe('未');
+    });
+
+    test('getPaidStatusDisplayText follows the paid status', () => {
+      expect(getPaidStatusDisplayText(stateWith({ status: { paidStatus: true, delayStatus: false } }))).toBe('済');
+      expect(getPaidStatusDisplayText(stateWith({ status: { paidStatus: false, delayStatus: true } }))).toBe('未');
+    });
+
+    test('getDelayStatusDisplayText follows the delay status', () => {
+      expect(getDelayStatusDisplayText(stateWith({ status: { paidStatus: false, delayStatus: true } }))).toBe('済');
+      expect(getDelayStatusDisplayText(stateWith({ status: { paidStatus: true, delayStatus: false } }))).toBe('未');
+    });
+  });
+
+  describe('getCheckboxIndeterminateState', () => {
+    test.each([
+      [true, true, { checked: true, indeterminate: false }],
+      [true, false, { checked: false, indeterminate: true }],
+      [false, true, { checked: false, indeterminate: true }],
+      [false, false, { checked: false, indeterminate: false }],
+    ])('paid=%s delay=%s', (paidStatus, delayStatus, expected) => {
+      expect(getCheckboxIndeterminateState(stateWith({ status: { paidStatus, delayStatus } }))).toEqual(expected);
+    });
+
+    test('returns the same object while the result is unchanged', () => {
+      const first = getCheckboxIndeterminateState(stateWith({ status: { paidStatus: true, delayStatus: false } }));
+      const second = getCheckboxIndeterminateState(stateWith({ status: { paidStatus: false, delayStatus: true } }));
+      expect(second).toBe(first);
+    });
+  });
+
+  describe('getPaidDisplayText', () => {
+    test('returns the catalog text of the selected radio', () => {
+      expect(getPaidDisplayText(stateWith({ forms: { paidRadio: '有償警告' } }))).toBe('有償警告');
+      expect(getPaidDisplayText(stateWith({ forms: { paidRadio: '保証対象外部位有償案内' } })))
+        .toBe('保証対象外部位有償案内');
+    });
+
+    test('uses the maker warranty text for 有償警告 within the warranty', () => {
+      const state = stateWith({ forms: { paidRadio: '有償警告', paidMakerWarranty: true } });
+      expect(getPaidDisplayText(state)).toBe('メーカー保証期間内の有償警告');
+    });
+
+    test('ignores the maker warranty for out-of-warranty parts', () => {
+      const state = stateWith({ forms: { paidRadio: '保証対象外部位有償案内', paidMakerWarranty: true } });
+      expect(getPaidDisplayText(state)).toBe('保証対象外部位有償案内');
+    });
+
+    test('follows the text catalog', () => {
+      const state = stateWith({ forms: { paidRadio: '有償警告' }, texts: { statusPaid: '有償案内' } });
+      expect(getPaidDisplayText(state)).toBe('有償案内');
+    });
+
+    test('returns an unknown radio value as is', () => {
+      expect(getPaidDisplayText(stateWith({ forms: { paidRadio: 'その他' } }))).toBe('その他');
+    });
+
+    test('returns an empty string when nothing is selected', () => {
+      expect(getPaidDisplayText(stateWith({ forms: { paidRadio: '' } }))).toBe('');
+    });
+  });
+
+  describe('getPersonNameText', () => {
+    test('returns the person with the suffix when the name check is on', () => {
+      const state = stateWith({ checkboxes: { statusName: true }, forms: { personSelect: 'ご主人様' } });
+      expect(getPersonNameText(state)).toBe('ご主人様の名前の聴取\n');
+    });
+
+    test('returns an empty string when the name check is off', () => {
+      expect(getPersonNameText(stateWith({ checkboxes: { statusName: false } }))).toBe('');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment jsdom
+ */
+import StateManager from '../../store/StateManager.js';
+import { createSync, createSyncReducer, getSyncStorageKey, isNewerEntry } from '../../store/sync.js';
+
+const CHANNEL = 'test';
+const KEY = getSyncStorageKey(CHANNEL);
+
+function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+  };
+}
+
+function createStore(name = '') {
+  return new StateManager(
+    { forms: { nameInput: name, other: 1 } },
+    { reducers: { forms: createSyncReducer('forms') }, enableTimeTravel: true }
+  );
+}
+
+const setName = (store, nameInput) =>
+  store.setState((state) => ({ ...state, forms: { ...state.forms, nameInput } }), 'SET_NAME_INPUT');
+
+/** Deliver a message from another tab (file:// transport) */
+function receive(entries) {
+  window.dispatchEvent(new StorageEvent('storage', { key: KEY, newValue: JSON.stringify(entries) }));
+}
+
+describe('isNewerEntry', () => {
+  test('wins over no entry', () => {
+    expect(isNewerEntry({ timestamp: 1, source: 'a' }, undefined)).toBe(true);
+  });
+
+  test('compares timestamps first', () => {
+    expect(isNewerEntry({ timestamp: 2, source: 'a' }, { timestamp: 1, source: 'b' })).toBe(true);
+    expect(isNewerEntry({ timestamp: 1, source: 'b' }, { timestamp: 2, source: 'a' })).toBe(false);
+  });
+
+  test('breaks ties by the tab id, the same way in every tab', () => {
+    expect(isNewerEntry({ timestamp: 1, source: 'b' }, { timestamp: 1, source: 'a' })).toBe(true);
+    expect(isNewerEntry({ timestamp: 1, source: 'a' }, { timestamp: 1, source: 'b' })).toBe(false);
+    expect(isNewerEntry({ timestamp: 1, source: 'a' }, { timestamp: 1, source: 'a' })).toBe(false);
+  });
+});
+
+describe('createSync', () => {
+  let disconnect;
+
+  afterEach(() => {
+    if (disconnect) disconnect();
+    disconnect = null;
+  });
+
+  function connect(store, storage = createStorage()) {
+    disconnect = createSync({ channel: CHANNEL, paths: ['forms.nameInput'], transport: 'storage', storage, tabId: 'me' })
+      .connect(store);
+    return storage;
+  }
+
+  test('starts with the saved values, outside the undo history', () => {
+    const store = createStore('');
+    connect(store, createStorage({
+      [KEY]: JSON.stringify({ 'forms.nameInput': { value: '佐藤', timestamp: 1, source: 'other' } }),
+    }));
+
+    expect(store.getState().forms).toEqual({ nameInput: '佐藤', other: 1 });
+    expect(store.canUndo()).toBe(false);
+  });
+
+  test('applies newer values of other tabs and ignores older ones', () => {
+    const store = createStore('');
+    connect(store);
+
+    receive({ 'forms.nameInput': { value: '佐藤', timestamp: 10, source: 'other' } });
+    expect(store.getState().forms.nameInput).toBe('佐藤');
+
+    receive({ 'forms.nameInput': { value: '鈴木', timestamp: 5, source: 'other' } });
+    expect(store.getState().forms.nameInput).toBe('佐藤');
+  });
+
+  test('undo reverts this tab\'s edit but keeps the value of the other tab', () => {
+    const store = createStore('');
+    connect(store);
+    store.setState((state) => ({ ...state, forms: { ...state.forms, other: 2 } }), 'SET_OTHER');
+
+    receive({ 'forms.nameInput': { value: '佐藤', timestamp: Date.now() + 1000, source: 'other' } });
+    store.undo();
+
+    expect(store.getState().forms).toEqual({ nameInput: '佐藤', other: 1 });
+    expect(store.canUndo()).toBe(false);
+  });
+
+  test('keeps received values out of the undo history', () => {
+    const store = createStore('');
+    connect(store);
+    receive({ 'forms.nameInput': { value: '佐藤', timestamp: Date.now() + 1000, source: 'other' } });
+
+    expect(store.getHistory()).toEqual([]);
+  });
+
+  test('publishes edits of this tab, but not undo or redo', () => {
+    const store = createStore('');
+    const storage = connect(store);
+
+    setName(store, '田中');
+    const saved = JSON.parse(storage.items[KEY]);
+    expect(saved['forms.nameInput']).toEqual(expect.objectContaining({ value: '田中', source: 'me' }));
+
+    store.undo();
+    store.redo();
+    expect(JSON.parse(storage.items[KEY])).toEqual(saved);
+  });
+
+  test('does not send values received from other tabs back', () => {
+    const store = createStore('');
+    const storage = connect(store);
+
+    receive({ 'forms.nameInput': { value: '佐藤', timestamp: 10, source: 'other' } });
+
+    expect(storage.items[KEY]).toBeUndefined();
+  });
+});